@@ -0,0 +1,341 @@
+import { infoLog, warnLog, debugLog } from "./logging.js";
+import { SampleManager } from "./sampleManager.js";
+import { kOutputContainers } from "./codecUtils.js";
+
+// Number of audio samples loaded from the source file at a time.
+const kAudioBatchSize = 512;
+// Maximum number of chunks queued in the audio decoder and encoder together.
+const kAudioQueueSize = 32;
+// Bitrate used when the audio track has to be re-encoded.
+const kAudioBitrate = 128_000;
+
+/**
+ * Encoders tried, in order, when the source audio cannot be passed through.
+ * Each maps a WebCodecs codec string to the matching mp4-muxer codec id.
+ */
+const kAudioEncoderCandidates = [
+  { codec: "mp4a.40.2", muxerCodec: "aac" }, // AAC-LC
+  { codec: "opus", muxerCodec: "opus" },
+];
+
+/**
+ * Produces the encoded audio for an export. The source track is read lazily
+ * through its own SampleManager, trimmed to the exported time range, and
+ * either passed through untouched (AAC) or decoded with an AudioDecoder and
+ * re-encoded with an AudioEncoder.
+ */
+export class AudioTrackProcessor {
+  /**
+   * Creates an EncodedAudioChunk from an audio sample.
+   * @param {object} sample - The audio sample.
+   * @returns {EncodedAudioChunk} - The resulting audio chunk.
+   */
+  static encodedAudioChunkFromSample(sample) {
+    return new EncodedAudioChunk({
+      type: "key",
+      timestamp: (1e6 * sample.cts) / sample.timescale,
+      duration: (1e6 * sample.duration) / sample.timescale,
+      data: sample.data,
+    });
+  }
+
+  /**
+   * Copies an encoded audio chunk with a new timestamp, to move it on the
+   * output timeline.
+   * @param {EncodedAudioChunk} chunk - The chunk.
+   * @param {number} timestamp - The new timestamp in microseconds.
+   * @returns {EncodedAudioChunk} - The moved chunk.
+   */
+  static retimeChunk(chunk, timestamp) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    return new EncodedAudioChunk({
+      type: chunk.type,
+      timestamp,
+      duration: chunk.duration ?? undefined,
+      data,
+    });
+  }
+
+  /**
+   * Creates a new AudioTrackProcessor instance.
+   * @param {Object} options - The options for the processor.
+   * @param {SampleManager} options.sampleManager - The manager holding the audio sample index.
+   * @param {Object} options.config - The audio configuration from the demuxer.
+   * @param {boolean} [options.allowPassthrough=true] - Whether the source chunks may be
+   *   copied as-is. Must be false when the output timeline does not match the source.
+   * @param {string} [options.container='mp4'] - The output container, which limits the
+   *   audio codecs that can be produced.
+   */
+  constructor({ sampleManager, config, allowPassthrough = true, container = "mp4" }) {
+    this.sampleManager = sampleManager;
+    this.config = config;
+    this.allowPassthrough = allowPassthrough;
+    this.container = container;
+    this.mode = null; // 'passthrough', 'transcode', or null when there is no output audio
+    this.decoderConfig = null;
+    this.encoderConfig = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Decides how the audio track is produced and returns the audio options for
+   * the muxer. Must be called before the muxer is created.
+   * @returns {Promise<{codec: string, numberOfChannels: number, sampleRate: number}|null>}
+   *   The muxer audio options, or null if the audio cannot be exported.
+   */
+  async prepare() {
+    const { codec, sampleRate, numberOfChannels, description } = this.config;
+    this.decoderConfig = { codec, sampleRate, numberOfChannels };
+    if (description) {
+      this.decoderConfig.description = description;
+    }
+
+    const { audioCodecs } = kOutputContainers[this.container];
+    if (
+      this.allowPassthrough &&
+      audioCodecs.includes("aac") &&
+      codec.startsWith("mp4a.40") &&
+      description
+    ) {
+      this.mode = "passthrough";
+      infoLog("AudioTrackProcessor", "Passing the AAC audio track through", {
+        codec,
+        sampleRate,
+        numberOfChannels,
+      });
+      return { codec: "aac", numberOfChannels, sampleRate };
+    }
+
+    if (!globalThis.AudioDecoder || !globalThis.AudioEncoder) {
+      warnLog("AudioTrackProcessor", "WebCodecs audio is not available, exporting without audio");
+      return null;
+    }
+
+    const decoderSupport = await AudioDecoder.isConfigSupported(this.decoderConfig);
+    if (!decoderSupport.supported) {
+      warnLog("AudioTrackProcessor", "Audio codec cannot be decoded, exporting without audio", {
+        codec,
+      });
+      return null;
+    }
+
+    const candidates = kAudioEncoderCandidates.filter(({ muxerCodec }) =>
+      audioCodecs.includes(muxerCodec)
+    );
+    for (const candidate of candidates) {
+      const encoderConfig = {
+        codec: candidate.codec,
+        sampleRate,
+        numberOfChannels,
+        bitrate: kAudioBitrate,
+      };
+      try {
+        const { supported } = await AudioEncoder.isConfigSupported(encoderConfig);
+        if (supported) {
+          this.mode = "transcode";
+          this.encoderConfig = encoderConfig;
+          infoLog("AudioTrackProcessor", "Re-encoding the audio track", {
+            from: codec,
+            to: candidate.codec,
+          });
+          return { codec: candidate.muxerCodec, numberOfChannels, sampleRate };
+        }
+      } catch (error) {
+        debugLog("AudioTrackProcessor", "Audio encoder config rejected", {
+          codec: candidate.codec,
+          error: error.message,
+        });
+      }
+    }
+
+    warnLog("AudioTrackProcessor", "No supported audio encoder, exporting without audio");
+    return null;
+  }
+
+  /**
+   * Gets the bitrate of the produced audio track, measured from the source
+   * samples when they are passed through. Call after prepare().
+   * @returns {number} The bitrate in bits per second, 0 when there is no output audio.
+   */
+  estimateBitrate() {
+    if (this.mode === "passthrough") {
+      return SampleManager.estimateBitrate(this.sampleManager.samples);
+    }
+    return this.mode === "transcode" ? this.encoderConfig.bitrate : 0;
+  }
+
+  /**
+   * Produces the encoded audio chunks covering the given time range, a batch
+   * at a time so that a long range is never held in memory as a whole.
+   * @param {number} timeRangeStart - The start of the range in ms.
+   * @param {number} timeRangeEnd - The end of the range in ms (exclusive).
+   * @param {function(Array<{chunk: EncodedAudioChunk, meta: Object|undefined}>): Promise<void>} onChunks -
+   *   Receives each batch of chunks in timestamp order, each with its optional
+   *   muxer metadata. The next batch is produced once the returned promise resolves.
+   * @returns {Promise<void>} Resolves once the whole range is produced.
+   */
+  async process(timeRangeStart, timeRangeEnd, onChunks) {
+    if (!this.mode) {
+      return;
+    }
+
+    const first = this.sampleManager.lowerBound(timeRangeStart ?? 0);
+    const end =
+      timeRangeEnd === undefined
+        ? this.sampleManager.sampleCount()
+        : this.sampleManager.lowerBound(timeRangeEnd);
+    if (first >= end) {
+      return;
+    }
+
+    debugLog("AudioTrackProcessor", "Processing audio samples", {
+      first,
+      end,
+      mode: this.mode,
+    });
+
+    await (this.mode === "passthrough"
+      ? this.passthrough(first, end, onChunks)
+      : this.transcode(first, end, onChunks));
+  }
+
+  /**
+   * Copies the source chunks of the sample range without decoding them.
+   * @param {number} first - The first sample index.
+   * @param {number} end - The end sample index (exclusive).
+   * @param {function} onChunks - Receives each batch of chunks, see process().
+   * @returns {Promise<void>}
+   * @private
+   */
+  async passthrough(first, end, onChunks) {
+    for (let i = first; i < end && !this.cancelled; i += kAudioBatchSize) {
+      const last = Math.min(i + kAudioBatchSize, end) - 1;
+      await this.sampleManager.ensureSampleData(i, last);
+
+      const chunks = [];
+      for (let j = i; j <= last; j++) {
+        const chunk = AudioTrackProcessor.encodedAudioChunkFromSample(
+          this.sampleManager.samples[j]
+        );
+        // The first chunk carries the source AudioSpecificConfig for the muxer.
+        const meta = j === first ? { decoderConfig: this.decoderConfig } : undefined;
+        chunks.push({ chunk, meta });
+      }
+      this.sampleManager.releaseSampleData(i, last);
+      if (!this.cancelled) {
+        await onChunks(chunks);
+      }
+    }
+  }
+
+  /**
+   * Decodes the sample range and re-encodes it with the selected encoder.
+   * @param {number} first - The first sample index.
+   * @param {number} end - The end sample index (exclusive).
+   * @param {function} onChunks - Receives each batch of chunks, see process().
+   * @returns {Promise<void>}
+   * @private
+   */
+  async transcode(first, end, onChunks) {
+    let chunks = []; // Encoded since the last batch was handed out
+    let chunkCount = 0;
+    let codecError = null;
+    const startUs =
+      SampleManager.sampleTimeMs(this.sampleManager.samples[first]) * 1000;
+
+    const encoder = new AudioEncoder({
+      output: (chunk, meta) => chunks.push({ chunk, meta }),
+      error: (e) => {
+        codecError = e;
+      },
+    });
+    encoder.configure(this.encoderConfig);
+
+    const decoder = new AudioDecoder({
+      output: (data) => {
+        // Drop the priming output that precedes the exported range.
+        if (data.timestamp >= startUs && encoder.state === "configured") {
+          encoder.encode(data);
+        }
+        data.close();
+      },
+      error: (e) => {
+        codecError = e;
+      },
+    });
+    decoder.configure(this.decoderConfig);
+
+    try {
+      // Start one sample early so the decoder is primed for the first kept one.
+      const decodeStart = Math.max(0, first - 1);
+      for (let i = decodeStart; i < end && !this.cancelled; i += kAudioBatchSize) {
+        const last = Math.min(i + kAudioBatchSize, end) - 1;
+        await this.sampleManager.ensureSampleData(i, last);
+
+        for (let j = i; j <= last && !this.cancelled; j++) {
+          await this.waitForQueues(decoder, encoder);
+          if (codecError) {
+            throw codecError;
+          }
+          decoder.decode(
+            AudioTrackProcessor.encodedAudioChunkFromSample(
+              this.sampleManager.samples[j]
+            )
+          );
+        }
+        this.sampleManager.releaseSampleData(i, last);
+        if (!this.cancelled && chunks.length > 0) {
+          chunkCount += chunks.length;
+          const batch = chunks;
+          chunks = [];
+          await onChunks(batch);
+        }
+      }
+
+      if (this.cancelled) {
+        return;
+      }
+      await decoder.flush();
+      await encoder.flush();
+      if (codecError) {
+        throw codecError;
+      }
+      chunkCount += chunks.length;
+      if (chunks.length > 0) {
+        await onChunks(chunks);
+      }
+    } finally {
+      if (decoder.state !== "closed") decoder.close();
+      if (encoder.state !== "closed") encoder.close();
+    }
+
+    infoLog("AudioTrackProcessor", "Audio track re-encoded", {
+      chunks: chunkCount,
+    });
+  }
+
+  /**
+   * Waits until the audio decoder and encoder queues have room for more chunks.
+   * @param {AudioDecoder} decoder - The audio decoder.
+   * @param {AudioEncoder} encoder - The audio encoder.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async waitForQueues(decoder, encoder) {
+    while (
+      !this.cancelled &&
+      decoder.decodeQueueSize + encoder.encodeQueueSize > kAudioQueueSize
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  /**
+   * Stops any audio processing in progress. process() then resolves without
+   * handing out more chunks.
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
@@ -0,0 +1,182 @@
+// Event line of a CMX3600 EDL: number, reel, track, transition (with an
+// optional duration), then source in/out and record in/out timecodes.
+const kEdlEventPattern =
+  /^(\d+)\s+\S+\s+\S+\s+\S+(?:\s+\d+)?\s+(\d{2}:\d{2}:\d{2}[:;]\d{2})\s+(\d{2}:\d{2}:\d{2}[:;]\d{2})/;
+const kEdlClipNamePattern = /^\*\s*FROM CLIP NAME:\s*(.+)$/i;
+
+/**
+ * Parses a time into milliseconds. Numbers are seconds; strings are
+ * "[[HH:]MM:]SS[.mmm]" or a "HH:MM:SS:FF" timecode at the given frame rate.
+ * @param {number|string} value - The time.
+ * @param {number} fps - The frame rate of timecodes.
+ * @returns {number} The time in ms.
+ * @throws {Error} If the time cannot be read.
+ */
+export function parseTime(value, fps) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value * 1000;
+  }
+  const text = String(value ?? "").trim();
+  const timecode = text.match(/^(\d+):(\d{2}):(\d{2})[:;](\d{2})$/);
+  if (timecode) {
+    const [hours, minutes, seconds, frames] = timecode.slice(1).map(Number);
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + (frames * 1000) / fps;
+  }
+  if (/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) {
+    return text.split(":").reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+  }
+  throw new Error(`Invalid time "${text}"`);
+}
+
+/**
+ * Turns a clip name into a file name without path separators or characters
+ * file systems reject.
+ * @param {string} name - The clip name.
+ * @returns {string} The file name, without extension.
+ */
+export function sanitizeFileName(name) {
+  return String(name).trim().replace(/[^\w.-]+/g, "_").replace(/^[._]+/, "") || "clip";
+}
+
+/**
+ * Splits a CSV line into its cells, honouring double-quoted cells.
+ * @param {string} line - The line.
+ * @returns {Array<string>} The cells.
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Reads a CSV clip list: one clip per line as start, end and an optional
+ * name. A header line naming the "start", "end" and "name" columns may set
+ * their order. Empty lines and lines starting with # are skipped.
+ * @param {string} text - The file content.
+ * @returns {Array<{start: string, end: string, name: string|undefined}>} The raw clips.
+ */
+function readCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith("#"))
+    .map(splitCsvLine);
+  let columns = { start: 0, end: 1, name: 2 };
+  const header = rows[0]?.map((cell) => cell.toLowerCase());
+  if (header?.includes("start") && header.includes("end")) {
+    columns = {
+      start: header.indexOf("start"),
+      end: header.indexOf("end"),
+      name: header.indexOf("name"),
+    };
+    rows.shift();
+  }
+  return rows.map((row) => ({
+    start: row[columns.start],
+    end: row[columns.end],
+    name: columns.name >= 0 ? row[columns.name] : undefined,
+  }));
+}
+
+/**
+ * Reads a JSON clip list: an array of {start, end, name} objects, or an
+ * object holding it in "clips".
+ * @param {string} text - The file content.
+ * @returns {Array<Object>} The raw clips.
+ * @throws {Error} If there is no clip array.
+ */
+function readJson(text) {
+  const data = JSON.parse(text);
+  const clips = Array.isArray(data) ? data : data?.clips;
+  if (!Array.isArray(clips)) {
+    throw new Error('A JSON clip list must be an array or have a "clips" array');
+  }
+  return clips;
+}
+
+/**
+ * Reads a CMX3600 EDL: each event's source in and out timecodes, named by
+ * its "FROM CLIP NAME" comment. Timecodes are taken relative to the start
+ * of the recording.
+ * @param {string} text - The file content.
+ * @returns {Array<Object>} The raw clips.
+ */
+function readEdl(text) {
+  const clips = [];
+  for (const line of text.split(/\r?\n/)) {
+    const event = line.trim().match(kEdlEventPattern);
+    if (event) {
+      clips.push({ start: event[2], end: event[3], name: `event-${event[1]}` });
+      continue;
+    }
+    const clipName = line.trim().match(kEdlClipNamePattern);
+    if (clipName && clips.length > 0) {
+      clips[clips.length - 1].name = clipName[1];
+    }
+  }
+  return clips;
+}
+
+/**
+ * Parses an imported clip list in CSV, JSON or CMX3600 EDL format, picked
+ * from the file extension or else the content.
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name.
+ * @param {number} fps - The frame rate of the recording, for timecodes.
+ * @returns {Array<{start: number, end: number, name: string}>} The clips in
+ *   list order, with times in ms and unique file-safe names.
+ * @throws {Error} If the list is empty or a clip is invalid.
+ */
+export function parseClipList(text, fileName, fps) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  let raw;
+  if (extension === "json" || (extension !== "csv" && /^\s*[[{]/.test(text))) {
+    raw = readJson(text);
+  } else if (extension === "edl" || /^\s*TITLE:/i.test(text)) {
+    raw = readEdl(text);
+  } else {
+    raw = readCsv(text);
+  }
+  if (raw.length === 0) {
+    throw new Error("The clip list is empty");
+  }
+
+  const names = new Set();
+  return raw.map((clip, index) => {
+    const number = String(index + 1).padStart(3, "0");
+    const start = parseTime(clip.start, fps);
+    const end = parseTime(clip.end, fps);
+    if (end <= start) {
+      throw new Error(`Clip ${index + 1}: the end must be after the start`);
+    }
+    const base = sanitizeFileName(clip.name || `clip-${number}`);
+    let name = base;
+    for (let n = 2; names.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    names.add(name);
+    return { start, end, name };
+  });
+}
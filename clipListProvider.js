@@ -0,0 +1,185 @@
+import { parseClipList } from "./clipList.js";
+import { formatTime } from "./cutListProvider.js";
+import { downloadFile, removeTempFile } from "./videoEncoder.js";
+
+const kStatusLabels = {
+  pending: "",
+  processing: "exporting…",
+  done: "done",
+  failed: "failed",
+  cancelled: "cancelled",
+  skipped: "skipped",
+};
+
+/**
+ * Provides the clips of an imported clip list for a batch export, and shows
+ * the progress of each clip and its output once exported.
+ */
+export class ClipListProvider {
+  /**
+   * Initializes the provider with the clip list elements.
+   * @param {object} config - The configuration object.
+   * @param {HTMLInputElement} config.fileInput - The input importing a CSV,
+   *   JSON or EDL clip list.
+   * @param {HTMLElement} config.listElement - The list showing the clips.
+   * @param {HTMLButtonElement} config.downloadAllButton - The button
+   *   downloading every exported clip.
+   */
+  constructor({ fileInput, listElement, downloadAllButton }) {
+    this.listElement = listElement;
+    this.downloadAllButton = downloadAllButton;
+    this.text = null; // Content of the imported list
+    this.fileName = "";
+    this.fps = 30; // Frame rate of the recording, for EDL timecodes
+    this.clips = [];
+    this.error = null; // Why the imported list could not be read
+    this.statuses = []; // {status, outputs, error} of each clip
+
+    fileInput.addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.load(file);
+      }
+    });
+    downloadAllButton.addEventListener("click", () => this.downloadAll());
+  }
+
+  /**
+   * Imports a clip list file.
+   * @param {File} file - The CSV, JSON or EDL file.
+   */
+  async load(file) {
+    this.text = await file.text();
+    this.fileName = file.name;
+    this.parse();
+  }
+
+  /**
+   * Sets the frame rate of the recording, and reads the imported list again
+   * with it.
+   * @param {number} fps - The frame rate.
+   */
+  setFps(fps) {
+    this.fps = fps || 30;
+    if (this.text !== null) {
+      this.parse();
+    }
+  }
+
+  /**
+   * Reads the imported list, clearing the progress of a previous batch.
+   * @private
+   */
+  parse() {
+    this.removeOutputs();
+    try {
+      this.clips = parseClipList(this.text, this.fileName, this.fps);
+      this.error = null;
+    } catch (error) {
+      this.clips = [];
+      this.error = error.message;
+    }
+    this.statuses = this.clips.map(() => ({ status: "pending" }));
+    this.render();
+  }
+
+  /**
+   * Records the progress of a clip, as reported by
+   * VideoProcessor.processClips.
+   * @param {number} index - The clip index.
+   * @param {string} status - 'pending', 'processing', 'done', 'failed',
+   *   'cancelled' or 'skipped'.
+   * @param {Array<{name: string, file: Blob, tempFileName: string|null}>|Error} [detail] -
+   *   The outputs of a done clip, whose temporary files the provider removes
+   *   once it drops them, or the error of a failed one.
+   */
+  setStatus(index, status, detail) {
+    this.statuses[index] = {
+      status,
+      outputs: status === "done" ? detail : [],
+      error: status === "failed" ? detail : null,
+    };
+    this.render();
+  }
+
+  /**
+   * Marks every clip as pending, before a new batch.
+   */
+  resetStatuses() {
+    this.removeOutputs();
+    this.statuses = this.clips.map(() => ({ status: "pending" }));
+    this.render();
+  }
+
+  /**
+   * Shows the clips with their progress, and a download button for each
+   * output of the exported ones.
+   */
+  render() {
+    if (this.error) {
+      const item = document.createElement("li");
+      item.textContent = `Cannot read ${this.fileName}: ${this.error}`;
+      this.listElement.replaceChildren(item);
+    } else {
+      this.listElement.replaceChildren(
+        ...this.clips.map((clip, index) => {
+          const { status, outputs = [], error } = this.statuses[index];
+          const item = document.createElement("li");
+          item.textContent =
+            `${clip.name} (${formatTime(clip.start)} – ${formatTime(clip.end)}) ` +
+            (error ? `${kStatusLabels[status]}: ${error.message} ` : `${kStatusLabels[status]} `);
+          for (const output of outputs) {
+            const download = document.createElement("button");
+            download.textContent = outputs.length > 1 ? output.name : "Download";
+            download.title = output.name;
+            download.addEventListener("click", () => downloadFile(output.file, output.name));
+            item.append(download);
+          }
+          return item;
+        })
+      );
+    }
+    this.downloadAllButton.disabled = this.getOutputs().length === 0;
+  }
+
+  /**
+   * Gets the clips to export.
+   * @returns {Array<{start: number, end: number, name: string}>|null} The
+   *   clips in ms, as expected by VideoProcessor.processClips, or null if no
+   *   list was imported.
+   */
+  getClips() {
+    return this.clips.length > 0 ? [...this.clips] : null;
+  }
+
+  /**
+   * Gets the outputs of the clips exported so far.
+   * @returns {Array<{name: string, file: Blob, tempFileName: string|null}>}
+   *   The outputs in clip order.
+   */
+  getOutputs() {
+    return this.statuses.flatMap(({ outputs = [] }) => outputs);
+  }
+
+  /**
+   * Removes the temporary files of the outputs, before they are dropped
+   * with the progress of the last batch.
+   * @private
+   */
+  removeOutputs() {
+    for (const { tempFileName } of this.getOutputs()) {
+      if (tempFileName) {
+        removeTempFile(tempFileName);
+      }
+    }
+  }
+
+  /**
+   * Downloads every exported clip.
+   */
+  downloadAll() {
+    for (const { file, name } of this.getOutputs()) {
+      downloadFile(file, name);
+    }
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Maps a WebCodecs codec string (e.g. "avc1.640028") to the codec id used by
+ * mp4-muxer for the video track.
+ * @param {string} codec - The WebCodecs codec string.
+ * @returns {string|null} 'avc', 'hevc', 'vp9' or 'av1', or null if mp4-muxer cannot mux the codec.
+ */
+export function muxerCodecFromCodecString(codec) {
+  const fourcc = (codec || "").split(".")[0];
+  switch (fourcc) {
+    case "avc1":
+    case "avc3":
+      return "avc";
+    case "hvc1":
+    case "hev1":
+      return "hevc";
+    case "vp09":
+      return "vp9";
+    case "av01":
+      return "av1";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compares two codec descriptions, e.g. the avcC of two files.
+ * @param {BufferSource|undefined} a - The first description.
+ * @param {BufferSource|undefined} b - The second description.
+ * @returns {boolean} True if both are missing or hold the same bytes.
+ */
+export function descriptionsEqual(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  const bytes = (data) =>
+    ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+  const x = bytes(a);
+  const y = bytes(b);
+  return x.length === y.length && x.every((byte, i) => byte === y[i]);
+}
+
+/**
+ * Checks whether a decoder configured for one video configuration can decode
+ * the samples of another without being reconfigured.
+ * @param {Object} a - The first video configuration from the demuxer.
+ * @param {Object} b - The second video configuration.
+ * @returns {boolean} True if the codec, size and description are the same.
+ */
+export function decoderConfigsMatch(a, b) {
+  return (
+    a.codec === b.codec &&
+    a.codedWidth === b.codedWidth &&
+    a.codedHeight === b.codedHeight &&
+    descriptionsEqual(a.description, b.description)
+  );
+}
+
+/**
+ * Output video codecs, in order of preference. `id` is the mp4-muxer codec id,
+ * which is also the key of the per-frame encode options in WebCodecs;
+ * `maxQuantizer` is the highest QP accepted in quantizer mode.
+ */
+export const kOutputCodecs = [
+  { id: "avc", label: "H.264", maxQuantizer: 51 },
+  { id: "hevc", label: "HEVC (H.265)", maxQuantizer: 51 },
+  { id: "vp9", label: "VP9", maxQuantizer: 63 },
+  { id: "av1", label: "AV1", maxQuantizer: 63 },
+];
+
+// H.264 levels: level_idc, max macroblocks per second and max frame size in macroblocks.
+const kAvcLevels = [
+  [10, 1485, 99],
+  [11, 3000, 396],
+  [12, 6000, 396],
+  [13, 11880, 396],
+  [20, 11880, 396],
+  [21, 19800, 792],
+  [22, 20250, 1620],
+  [30, 40500, 1620],
+  [31, 108000, 3600],
+  [32, 216000, 5120],
+  [40, 245760, 8192],
+  [41, 245760, 8192],
+  [42, 522240, 8704],
+  [50, 589824, 22080],
+  [51, 983040, 36864],
+  [52, 2073600, 36864],
+  [60, 4177920, 139264],
+  [61, 8355840, 139264],
+  [62, 16711680, 139264],
+];
+
+// HEVC Main tier levels: general_level_idc, max luma picture size and max luma sample rate.
+const kHevcLevels = [
+  [30, 36864, 552960],
+  [60, 122880, 3686400],
+  [63, 245760, 7372800],
+  [90, 552960, 16588800],
+  [93, 983040, 33177600],
+  [120, 2228224, 66846720],
+  [123, 2228224, 133693440],
+  [150, 8912896, 267386880],
+  [153, 8912896, 534773760],
+  [156, 8912896, 1069547520],
+  [180, 35651584, 1069547520],
+  [183, 35651584, 2139095040],
+  [186, 35651584, 4278190080],
+];
+
+// VP9 levels: level, max luma picture size and max luma sample rate.
+const kVp9Levels = [
+  [10, 36864, 829440],
+  [11, 73728, 2764800],
+  [20, 122880, 4608000],
+  [21, 245760, 9216000],
+  [30, 552960, 20736000],
+  [31, 983040, 36864000],
+  [40, 2228224, 83558400],
+  [41, 2228224, 160432128],
+  [50, 8912896, 311951360],
+  [51, 8912896, 588251136],
+  [52, 8912896, 1176502272],
+  [60, 35651584, 1176502272],
+  [61, 35651584, 2353004544],
+  [62, 35651584, 4706009088],
+];
+
+// AV1 Main tier levels: seq_level_idx, max picture size, max display rate,
+// and max width and height.
+const kAv1Levels = [
+  [0, 147456, 4423680, 2048, 1152],
+  [1, 278784, 8363520, 2816, 1584],
+  [4, 665856, 19975680, 4352, 2448],
+  [5, 1065024, 31950720, 5504, 3096],
+  [8, 2359296, 70778880, 6144, 3456],
+  [9, 2359296, 141557760, 6144, 3456],
+  [12, 8912896, 267386880, 8192, 4352],
+  [13, 8912896, 534773760, 8192, 4352],
+  [14, 8912896, 1069547520, 8192, 4352],
+  [15, 8912896, 1069547520, 8192, 4352],
+  [16, 35651584, 1069547520, 16384, 8704],
+  [17, 35651584, 2139095040, 16384, 8704],
+  [18, 35651584, 4278190080, 16384, 8704],
+  [19, 35651584, 4278190080, 16384, 8704],
+];
+
+/**
+ * Picks the lowest H.264 level fitting the frame size and macroblock rate.
+ * @param {number} width - The frame width.
+ * @param {number} height - The frame height.
+ * @param {number} fps - The frame rate.
+ * @returns {number} The level_idc, or the highest level if none fits.
+ */
+function avcLevel(width, height, fps) {
+  const widthMbs = Math.ceil(width / 16);
+  const heightMbs = Math.ceil(height / 16);
+  const frameSize = widthMbs * heightMbs;
+  const level = kAvcLevels.find(
+    ([, maxMbps, maxFs]) =>
+      frameSize <= maxFs &&
+      frameSize * fps <= maxMbps &&
+      // Neither side may exceed sqrt(8 * MaxFS) macroblocks.
+      Math.max(widthMbs, heightMbs) ** 2 <= 8 * maxFs
+  );
+  return (level ?? kAvcLevels[kAvcLevels.length - 1])[0];
+}
+
+/**
+ * Picks the lowest level of a picture-size/sample-rate table (HEVC, VP9)
+ * fitting the output.
+ * @param {Array<Array<number>>} levels - The level table.
+ * @param {number} width - The frame width.
+ * @param {number} height - The frame height.
+ * @param {number} fps - The frame rate.
+ * @returns {number} The level, or the highest level if none fits.
+ */
+function lumaLevel(levels, width, height, fps) {
+  const pictureSize = width * height;
+  const level = levels.find(
+    ([, maxPictureSize, maxSampleRate]) =>
+      pictureSize <= maxPictureSize &&
+      pictureSize * fps <= maxSampleRate &&
+      Math.max(width, height) ** 2 <= 8 * maxPictureSize
+  );
+  return (level ?? levels[levels.length - 1])[0];
+}
+
+/**
+ * Picks the lowest AV1 level fitting the output.
+ * @param {number} width - The frame width.
+ * @param {number} height - The frame height.
+ * @param {number} fps - The frame rate.
+ * @returns {number} The seq_level_idx, or the highest level if none fits.
+ */
+function av1Level(width, height, fps) {
+  const pictureSize = width * height;
+  const level = kAv1Levels.find(
+    ([, maxPictureSize, maxDisplayRate, maxWidth, maxHeight]) =>
+      pictureSize <= maxPictureSize &&
+      pictureSize * fps <= maxDisplayRate &&
+      width <= maxWidth &&
+      height <= maxHeight
+  );
+  return (level ?? kAv1Levels[kAv1Levels.length - 1])[0];
+}
+
+/**
+ * Builds the WebCodecs codec string for an output codec, with the lowest
+ * level that fits the output resolution and frame rate. H.264 uses the High
+ * profile, HEVC the Main profile, VP9 profile 0 and AV1 the Main profile, all
+ * 8-bit.
+ * @param {string} codecId - The mp4-muxer codec id: 'avc', 'hevc', 'vp9' or 'av1'.
+ * @param {number} width - The output width.
+ * @param {number} height - The output height.
+ * @param {number} fps - The output frame rate.
+ * @returns {string} The codec string, e.g. "avc1.640028".
+ */
+export function buildCodecString(codecId, width, height, fps) {
+  const hex = (value) => value.toString(16).padStart(2, "0");
+  const twoDigits = (value) => String(value).padStart(2, "0");
+  switch (codecId) {
+    case "avc":
+      return `avc1.6400${hex(avcLevel(width, height, fps))}`;
+    case "hevc":
+      return `hvc1.1.6.L${lumaLevel(kHevcLevels, width, height, fps)}.B0`;
+    case "vp9":
+      return `vp09.00.${twoDigits(lumaLevel(kVp9Levels, width, height, fps))}.08`;
+    case "av1":
+      return `av01.0.${twoDigits(av1Level(width, height, fps))}M.08`;
+    default:
+      throw new Error(`Unknown output codec: ${codecId}`);
+  }
+}
+
+/**
+ * Probes which output codecs the browser can encode at the given resolution
+ * and frame rate, software encoders included.
+ * @param {number} width - The output width.
+ * @param {number} height - The output height.
+ * @param {number} fps - The output frame rate.
+ * @returns {Promise<Array<{id: string, label: string, codec: string}>>} The
+ *   supported codecs, in order of preference.
+ */
+export async function getSupportedOutputCodecs(width, height, fps) {
+  const supported = [];
+  for (const { id, label } of kOutputCodecs) {
+    const codec = buildCodecString(id, width, height, fps);
+    try {
+      const support = await globalThis.VideoEncoder.isConfigSupported({
+        codec,
+        width,
+        height,
+        framerate: fps,
+        hardwareAcceleration: "no-preference",
+      });
+      if (support.supported) {
+        supported.push({ id, label, codec });
+      }
+    } catch (error) {
+      // An invalid or unknown codec string rejects instead of reporting false.
+    }
+  }
+  return supported;
+}
+
+/**
+ * Output containers. `videoCodecs` and `audioCodecs` list the mp4-muxer codec
+ * ids each container can hold; WebM is limited to royalty-free codecs.
+ */
+export const kOutputContainers = {
+  mp4: {
+    label: "MP4",
+    extension: "mp4",
+    mimeType: "video/mp4",
+    videoCodecs: ["avc", "hevc", "vp9", "av1"],
+    audioCodecs: ["aac", "opus"],
+  },
+  webm: {
+    label: "WebM",
+    extension: "webm",
+    mimeType: "video/webm",
+    videoCodecs: ["vp9", "av1"],
+    audioCodecs: ["opus"],
+  },
+};
+
+// Matroska codec ids of the codecs that can be written to WebM.
+const kWebmCodecIds = {
+  vp9: "V_VP9",
+  av1: "V_AV1",
+  opus: "A_OPUS",
+};
+
+/**
+ * Maps an mp4-muxer codec id to the codec id used by webm-muxer.
+ * @param {string} codecId - The mp4-muxer codec id, e.g. 'vp9' or 'opus'.
+ * @returns {string} The Matroska codec id, e.g. 'V_VP9'.
+ */
+export function webmCodecFromMuxerCodec(codecId) {
+  const webmCodec = kWebmCodecIds[codecId];
+  if (!webmCodec) {
+    throw new Error(`Codec ${codecId} cannot be written to WebM`);
+  }
+  return webmCodec;
+}
+
+// Share of a target file size set aside for the container overhead.
+const kContainerOverhead = 0.02;
+
+/**
+ * Derives the video bitrate that makes an export fit into a file size.
+ * @param {number} targetBytes - The maximum size of the output file in bytes.
+ * @param {number} durationMs - The duration of the exported range in ms.
+ * @param {number} [audioBitrate=0] - The bitrate of the audio track in bits per second.
+ * @returns {number} The video bitrate in bits per second.
+ * @throws {Error} If the audio and container overhead alone exceed the size.
+ */
+export function bitrateForTargetSize(targetBytes, durationMs, audioBitrate = 0) {
+  const seconds = durationMs / 1000;
+  const totalBitrate = (targetBytes * 8 * (1 - kContainerOverhead)) / seconds;
+  const videoBitrate = Math.floor(totalBitrate - audioBitrate);
+  if (!(videoBitrate > 0)) {
+    throw new Error(
+      `A ${(targetBytes / 1024 / 1024).toFixed(1)} MB file cannot hold ${seconds.toFixed(1)} s of video`
+    );
+  }
+  return videoBitrate;
+}
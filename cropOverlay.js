@@ -0,0 +1,215 @@
+// Smallest crop edge in canvas pixels.
+const kMinCropSize = 16;
+
+/**
+ * Draws an editable crop rectangle over the preview canvas. The rectangle
+ * can be moved by dragging it and resized with its corner handles, optionally
+ * keeping an aspect ratio. Coordinates are canvas pixels; the overlay scales
+ * with the canvas as it is laid out on the page.
+ */
+export class CropOverlay {
+  /**
+   * Initializes the overlay from its DOM elements.
+   * @param {Object} config - The configuration object.
+   * @param {HTMLElement} config.overlay - The overlay element covering the canvas,
+   *   containing a `.crop-rect` element with `[data-handle]` corner handles.
+   * @param {Function} config.onChange - Callback receiving the rectangle once a
+   *   drag ends or the aspect ratio changes.
+   */
+  constructor({ overlay, onChange }) {
+    this.overlay = overlay;
+    this.rectElement = overlay.querySelector(".crop-rect");
+    this.onChange = onChange;
+
+    this.width = 0; // Canvas width in pixels
+    this.height = 0; // Canvas height in pixels
+    this.rect = null; // Crop rectangle in canvas pixels
+    this.aspectRatio = null; // Locked width / height ratio, null for a free crop
+    this.drag = null; // The handle, start rectangle and start pointer position of a drag
+
+    this.rectElement.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    this.rectElement.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    this.rectElement.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.rectElement.addEventListener("pointercancel", (e) => this.handlePointerUp(e));
+  }
+
+  /**
+   * Shows the overlay with a rectangle.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The
+   *   rectangle in canvas pixels.
+   * @param {number} width - The canvas width in pixels.
+   * @param {number} height - The canvas height in pixels.
+   */
+  show(rect, width, height) {
+    this.width = width;
+    this.height = height;
+    this.rect = rect;
+    this.overlay.hidden = false;
+    if (this.aspectRatio) {
+      this.setAspectRatio(this.aspectRatio);
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    this.overlay.hidden = true;
+    this.drag = null;
+  }
+
+  /**
+   * Checks whether the overlay is shown.
+   * @returns {boolean} True if the crop is being edited.
+   */
+  isVisible() {
+    return !this.overlay.hidden;
+  }
+
+  /**
+   * Locks the rectangle to an aspect ratio. The current rectangle is shrunk
+   * around its center to the ratio.
+   * @param {number|null} ratio - The width / height ratio, or null for a free crop.
+   */
+  setAspectRatio(ratio) {
+    this.aspectRatio = ratio;
+    if (!ratio || !this.isVisible()) {
+      return;
+    }
+    const { x, y, width, height } = this.rect;
+    const fittedWidth = Math.min(width, height * ratio);
+    const fittedHeight = fittedWidth / ratio;
+    this.rect = {
+      x: x + (width - fittedWidth) / 2,
+      y: y + (height - fittedHeight) / 2,
+      width: fittedWidth,
+      height: fittedHeight,
+    };
+    this.render();
+    this.onChange(this.rect);
+  }
+
+  /**
+   * Positions the rectangle element, in percent of the canvas so it follows
+   * the canvas layout.
+   * @private
+   */
+  render() {
+    const { x, y, width, height } = this.rect;
+    const style = this.rectElement.style;
+    style.left = `${(x / this.width) * 100}%`;
+    style.top = `${(y / this.height) * 100}%`;
+    style.width = `${(width / this.width) * 100}%`;
+    style.height = `${(height / this.height) * 100}%`;
+  }
+
+  /**
+   * Starts moving or resizing the rectangle.
+   * @param {PointerEvent} e - The event object.
+   * @private
+   */
+  handlePointerDown(e) {
+    e.preventDefault();
+    this.rectElement.setPointerCapture(e.pointerId);
+    this.drag = {
+      handle: e.target.dataset.handle ?? "move",
+      start: { ...this.rect },
+      clientX: e.clientX,
+      clientY: e.clientY,
+    };
+  }
+
+  /**
+   * Moves or resizes the rectangle while dragging.
+   * @param {PointerEvent} e - The event object.
+   * @private
+   */
+  handlePointerMove(e) {
+    if (!this.drag) return;
+
+    // Convert the pointer movement from CSS pixels to canvas pixels.
+    const scale = this.width / this.overlay.getBoundingClientRect().width;
+    const dx = (e.clientX - this.drag.clientX) * scale;
+    const dy = (e.clientY - this.drag.clientY) * scale;
+    this.rect =
+      this.drag.handle === "move"
+        ? this.moveRect(this.drag.start, dx, dy)
+        : this.resizeRect(this.drag.handle, this.drag.start, dx, dy);
+    this.render();
+  }
+
+  /**
+   * Ends a drag and reports the new rectangle.
+   * @param {PointerEvent} e - The event object.
+   * @private
+   */
+  handlePointerUp(e) {
+    if (!this.drag) return;
+    this.rectElement.releasePointerCapture(e.pointerId);
+    this.drag = null;
+    this.onChange(this.rect);
+  }
+
+  /**
+   * Moves a rectangle, keeping it inside the canvas.
+   * @param {Object} start - The rectangle when the drag started.
+   * @param {number} dx - The horizontal movement in canvas pixels.
+   * @param {number} dy - The vertical movement in canvas pixels.
+   * @returns {Object} The moved rectangle.
+   * @private
+   */
+  moveRect(start, dx, dy) {
+    return {
+      ...start,
+      x: Math.min(Math.max(start.x + dx, 0), this.width - start.width),
+      y: Math.min(Math.max(start.y + dy, 0), this.height - start.height),
+    };
+  }
+
+  /**
+   * Resizes a rectangle by one of its corners. The opposite corner stays in
+   * place, the rectangle stays inside the canvas and keeps the locked aspect
+   * ratio, if any.
+   * @param {string} handle - The dragged corner: 'nw', 'ne', 'sw' or 'se'.
+   * @param {Object} start - The rectangle when the drag started.
+   * @param {number} dx - The horizontal movement in canvas pixels.
+   * @param {number} dy - The vertical movement in canvas pixels.
+   * @returns {Object} The resized rectangle.
+   * @private
+   */
+  resizeRect(handle, start, dx, dy) {
+    const west = handle.includes("w");
+    const north = handle.includes("n");
+    const anchorX = west ? start.x + start.width : start.x;
+    const anchorY = north ? start.y + start.height : start.y;
+    const maxWidth = west ? anchorX : this.width - anchorX;
+    const maxHeight = north ? anchorY : this.height - anchorY;
+
+    let width = Math.min(
+      Math.max(west ? start.width - dx : start.width + dx, kMinCropSize),
+      maxWidth
+    );
+    let height = Math.min(
+      Math.max(north ? start.height - dy : start.height + dy, kMinCropSize),
+      maxHeight
+    );
+    if (this.aspectRatio) {
+      // Follow the larger of the two movements, then shrink to fit.
+      width = Math.min(
+        Math.max(width, height * this.aspectRatio),
+        maxWidth,
+        maxHeight * this.aspectRatio
+      );
+      height = width / this.aspectRatio;
+    }
+
+    return {
+      x: west ? anchorX - width : anchorX,
+      y: north ? anchorY - height : anchorY,
+      width,
+      height,
+    };
+  }
+}
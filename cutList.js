@@ -0,0 +1,104 @@
+/**
+ * Sorts time segments and merges the ones that overlap or touch.
+ * @param {Array<{start: number, end: number}>} segments - The segments in ms.
+ * @returns {Array<{start: number, end: number}>} The merged segments in time
+ *   order, without empty ones.
+ */
+export function normalizeSegments(segments) {
+  const sorted = segments
+    .filter(({ start, end }) => end > start)
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const segment of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && segment.start <= last.end) {
+      last.end = Math.max(last.end, segment.end);
+    } else {
+      merged.push(segment);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Turns a list of parts to remove into the list of parts to keep.
+ * @param {Array<{start: number, end: number}>} segments - The parts to remove in ms.
+ * @param {number} startMs - The start of the video in ms.
+ * @param {number} endMs - The end of the video in ms.
+ * @returns {Array<{start: number, end: number}>} The parts to keep, in time order.
+ */
+export function invertSegments(segments, startMs, endMs) {
+  const kept = [];
+  let start = startMs;
+  for (const removed of normalizeSegments(segments)) {
+    if (removed.start > start) {
+      kept.push({ start, end: Math.min(removed.start, endMs) });
+    }
+    start = Math.max(start, removed.end);
+  }
+  if (start < endMs) {
+    kept.push({ start, end: endMs });
+  }
+  return kept.filter(({ start, end }) => end > start);
+}
+
+/**
+ * Maps the frames of several kept segments to one continuous output
+ * timeline: each segment follows the previous one a frame after its last
+ * frame, starting at the first segment's start.
+ */
+export class CutList {
+  /**
+   * Initializes the mapping.
+   * @param {Array<{start: number, end: number}>} segments - The kept segments
+   *   in time order, from the start of their first frame to the start of their
+   *   last frame in ms.
+   * @param {number} frameDurationMs - The duration of a frame in ms.
+   */
+  constructor(segments, frameDurationMs) {
+    this.segments = segments;
+    this.frameDurationMs = frameDurationMs;
+    // Source and output start of each segment, in µs.
+    this.bounds = [];
+    let outputStartUs = segments[0].start * 1000;
+    for (const { start, end } of segments) {
+      this.bounds.push({
+        startUs: Math.floor(start * 1000),
+        endUs: Math.ceil(end * 1000),
+        offsetUs: outputStartUs - start * 1000,
+      });
+      outputStartUs += (end - start + frameDurationMs) * 1000;
+    }
+    this.durationMs = outputStartUs / 1000 - segments[0].start;
+  }
+
+  /**
+   * Finds the segment containing a source timestamp.
+   * @param {number} timestampUs - The source timestamp in µs.
+   * @returns {number} The segment index, or -1 if the frame is cut.
+   */
+  find(timestampUs) {
+    return this.bounds.findIndex(
+      ({ startUs, endUs }) => timestampUs >= startUs && timestampUs <= endUs
+    );
+  }
+
+  /**
+   * Gets the shift from source to output time of a segment.
+   * @param {number} index - The segment index.
+   * @returns {number} The offset in µs to add to source timestamps.
+   */
+  offsetUs(index) {
+    return this.bounds[index].offsetUs;
+  }
+
+  /**
+   * Maps a source timestamp inside a segment to the output timeline.
+   * @param {number} timestampUs - The source timestamp in µs.
+   * @returns {number} The output timestamp in whole µs.
+   */
+  toOutputTimestamp(timestampUs) {
+    return Math.round(timestampUs + this.offsetUs(Math.max(0, this.find(timestampUs))));
+  }
+}
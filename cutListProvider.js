@@ -0,0 +1,94 @@
+/**
+ * Formats a time for the cut and clip list displays.
+ * @param {number} ms - The time in milliseconds.
+ * @returns {string} The time as "MM:SS.mmm".
+ */
+export function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  const millis = String(Math.floor(ms % 1000)).padStart(3, "0");
+  return `${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * Provides a cut list from the user input: segments of the timeline to keep,
+ * or to remove, joined into one export.
+ */
+export class CutListProvider {
+  /**
+   * Initializes the provider with the cut list elements.
+   * @param {object} config - The configuration object.
+   * @param {HTMLElement} config.listElement - The list showing the segments.
+   * @param {HTMLSelectElement} config.modeSelect - The select element for
+   *   whether the segments are kept or removed.
+   * @param {HTMLButtonElement} config.addButton - The button adding the selected range.
+   * @param {HTMLButtonElement} config.clearButton - The button clearing the list.
+   * @param {Function} config.getSelection - Returns the selected range as
+   *   {start, end} in ms.
+   */
+  constructor({ listElement, modeSelect, addButton, clearButton, getSelection }) {
+    this.listElement = listElement;
+    this.modeSelect = modeSelect;
+    this.getSelection = getSelection;
+    this.segments = [];
+
+    addButton.addEventListener("click", () => this.add(this.getSelection()));
+    clearButton.addEventListener("click", () => this.clear());
+  }
+
+  /**
+   * Adds a segment to the list.
+   * @param {{start: number, end: number}|null} segment - The segment in ms.
+   */
+  add(segment) {
+    if (!segment || segment.end <= segment.start) {
+      return;
+    }
+    this.segments.push(segment);
+    this.segments.sort((a, b) => a.start - b.start);
+    this.render();
+  }
+
+  /**
+   * Removes all the segments.
+   */
+  clear() {
+    this.segments = [];
+    this.render();
+  }
+
+  /**
+   * Shows the segments, each with a button removing it.
+   */
+  render() {
+    this.listElement.replaceChildren(
+      ...this.segments.map((segment, index) => {
+        const item = document.createElement("li");
+        item.textContent = `${formatTime(segment.start)} – ${formatTime(segment.end)} `;
+        const remove = document.createElement("button");
+        remove.textContent = "×";
+        remove.title = "Remove segment";
+        remove.addEventListener("click", () => {
+          this.segments.splice(index, 1);
+          this.render();
+        });
+        item.append(remove);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Gets the cut list.
+   * @returns {{mode: string, segments: Array<{start: number, end: number}>}|null}
+   *   The mode ('keep' or 'remove') and the segments in ms, as expected by
+   *   VideoProcessor.processFileBySegments, or null if the list is empty.
+   */
+  getCutList() {
+    if (this.segments.length === 0) {
+      return null;
+    }
+    return { mode: this.modeSelect.value, segments: [...this.segments] };
+  }
+}
@@ -183,7 +183,10 @@ export class ErrorHandler {
       return { isValid: false, error: "No file selected" };
     }
 
-    if (!file.type.startsWith("video/")) {
+    // Browsers often report no MIME type for Matroska files.
+    const isUntypedMatroska = file.type === "" && /\.(mkv|webm)$/i.test(file.name);
+
+    if (!file.type.startsWith("video/") && !isUntypedMatroska) {
       return { isValid: false, error: "Selected file is not a video" };
     }
 
@@ -195,12 +198,13 @@ export class ErrorHandler {
     const supportedTypes = [
       "video/mp4",
       "video/webm",
+      "video/x-matroska",
       "video/ogg",
       "video/quicktime",
       "video/x-msvideo",
     ];
 
-    if (!supportedTypes.includes(file.type)) {
+    if (!supportedTypes.includes(file.type) && !isUntypedMatroska) {
       return { isValid: false, error: "Video format not supported" };
     }
 
@@ -0,0 +1,127 @@
+import { errorLog } from "./logging.js";
+import { ProcessingPipeline } from "./processingPipeline.js";
+import { SampleManager } from "./sampleManager.js";
+import { UIManager } from "./uiManager.js";
+import { readSampleData } from "./sampleDataReader.js";
+
+/**
+ * Runs the export ProcessingPipeline off the main thread. The frames are
+ * rendered to an OffscreenCanvas; status, progress and the output file are
+ * posted back to the WorkerPipeline on the main thread.
+ */
+
+/**
+ * A UIManager drawing to an OffscreenCanvas, which reports the status to
+ * the main thread instead of the DOM.
+ */
+class WorkerUIManager extends UIManager {
+  /**
+   * Posts the status message to the main thread.
+   * @param {string} phase - Current processing phase.
+   * @param {string} message - Status message to display.
+   */
+  setStatus(phase, message) {
+    self.postMessage({ type: "status", data: { phase, message } });
+  }
+
+  /**
+   * The frame count is displayed by the main thread, from the progress messages.
+   */
+  renderFrameCount() {}
+}
+
+let pipeline = null;
+
+/**
+ * Posts an error to the main thread. Errors are not cloneable in every
+ * browser, so only the message is sent.
+ * @param {Error} error - The error.
+ */
+function postError(error) {
+  errorLog("ExportWorker", "Export failed", error);
+  self.postMessage({ type: "error", data: { message: error.message } });
+}
+
+/**
+ * Builds the pipeline from the state sent by the main thread and sets it up.
+ * @param {Object} data - The setup message data, see WorkerPipeline.setup.
+ */
+async function setup(data) {
+  const { file, videoConfig, samples, audioConfig, audioIndex, renderState, options } =
+    data;
+
+  const sampleManager = new SampleManager();
+  sampleManager.loadFinalizedSamples(samples);
+
+  // The audio is read from the source file on demand, as on the main thread.
+  let audioSampleManager = null;
+  if (audioConfig && audioIndex) {
+    audioSampleManager = new SampleManager();
+    audioSampleManager.setIndex(audioIndex);
+    audioSampleManager.setDataLoader(
+      async (byteStart, byteEnd, firstSampleNumber, expectedCount) => {
+        audioSampleManager.backFillData(
+          await readSampleData(file, audioIndex, firstSampleNumber, expectedCount)
+        );
+      }
+    );
+    audioSampleManager.finalize();
+  }
+
+  const uiManager = new WorkerUIManager({ canvas: new OffscreenCanvas(1, 1) });
+  uiManager.loadRenderState(renderState);
+
+  pipeline = new ProcessingPipeline({
+    ...options,
+    onFrameProcessed: () => self.postMessage({ type: "progress" }),
+    onFinalized: () => self.postMessage({ type: "finalized" }),
+    onOutput: (output, name, tempFileName) =>
+      self.postMessage({ type: "output", data: { file: output, name, tempFileName } }),
+    sampleManager,
+    audioSampleManager,
+    audioConfig,
+    uiManager,
+  });
+  await pipeline.setup(videoConfig);
+}
+
+self.onmessage = async function (e) {
+  const { type, data } = e.data;
+
+  switch (type) {
+    case "setup": {
+      try {
+        await setup(data);
+        self.postMessage({ type: "ready" });
+      } catch (error) {
+        postError(error);
+      }
+      break;
+    }
+
+    case "start": {
+      try {
+        await pipeline.start(data.timeRangeStart, data.timeRangeEnd);
+      } catch (error) {
+        postError(error);
+      }
+      break;
+    }
+
+    case "pause": {
+      pipeline?.pause();
+      break;
+    }
+
+    case "resume": {
+      pipeline?.resume();
+      break;
+    }
+
+    case "cancel": {
+      await pipeline?.cancel();
+      self.postMessage({ type: "cancelled" });
+      break;
+    }
+  }
+};
@@ -0,0 +1,314 @@
+import { infoLog, warnLog, debugLog } from "./logging.js";
+import { SampleManager } from "./sampleManager.js";
+import { MP4Demuxer } from "./videoDecoder.js";
+import { MatroskaDemuxer } from "./matroskaDemuxer.js";
+import { readSampleData } from "./sampleDataReader.js";
+import { descriptionsEqual } from "./codecUtils.js";
+
+/**
+ * Checks whether the audio tracks of two files can be joined into one track.
+ * @param {Object} a - The first audio configuration from the demuxer.
+ * @param {Object} b - The second audio configuration.
+ * @returns {boolean} True if the codec, sample rate, channels and
+ *   description are the same.
+ */
+function audioConfigsMatch(a, b) {
+  return (
+    a.codec === b.codec &&
+    a.sampleRate === b.sampleRate &&
+    a.numberOfChannels === b.numberOfChannels &&
+    descriptionsEqual(a.description, b.description)
+  );
+}
+
+/**
+ * Joins several MP4 files, e.g. the segments of a dashcam or action cam
+ * recording, into one source. Each file is demuxed with its own MP4Demuxer,
+ * then their sample indexes are merged into the given sample managers: each
+ * file follows the previous one without a gap, samples are numbered across
+ * the files and remember their `source` file, and their data is read from it
+ * on demand.
+ */
+export class FileSequence {
+  /**
+   * Initializes the sequence.
+   * @param {Array<File>} files - The MP4 files.
+   * @param {object} config - The configuration object.
+   * @param {string} [config.order='created'] - How the files are joined:
+   *   'created' by their metadata creation time, 'name' by file name. Files
+   *   without a creation time are joined by name.
+   * @param {function} config.setStatus - Callback to update the status.
+   * @param {SampleManager} config.sampleManager - Receives the joined video index.
+   * @param {SampleManager} config.audioSampleManager - Receives the joined audio
+   *   index, left empty when the files have no common audio track.
+   */
+  constructor(files, { order = "created", setStatus, sampleManager, audioSampleManager }) {
+    this.files = [...files];
+    this.order = order;
+    this.setStatus = setStatus;
+    this.sampleManager = sampleManager;
+    this.audioSampleManager = audioSampleManager;
+    this.sources = []; // {file, config, audioConfig, index, audioIndex} of each file, in joined order
+    this.overlayShifts = []; // {fromMs, shiftMs} moving the timestamp overlay to each file's recording time
+  }
+
+  /**
+   * Demuxes the files and merges their sample indexes.
+   * @returns {Promise<{videoConfig: Object, audioConfig: Object|null}>} The video
+   *   configuration of the first file, counting the samples of all files, and
+   *   the common audio configuration, or null to join the files without audio.
+   * @throws {Error} If a file is not an MP4, cannot be demuxed or the videos
+   *   differ in size.
+   */
+  async open() {
+    const sources = [];
+    for (const file of this.files) {
+      sources.push(await this.demux(file));
+    }
+    this.sources = this.orderSources(sources);
+
+    const { codedWidth, codedHeight } = this.sources[0].config;
+    for (const { file, config } of this.sources) {
+      if (config.codedWidth !== codedWidth || config.codedHeight !== codedHeight) {
+        throw new Error(
+          `${file.name} is ${config.codedWidth}x${config.codedHeight}, ` +
+            `other files are ${codedWidth}x${codedHeight}`
+        );
+      }
+    }
+
+    const timeline = this.mergeVideo();
+    const audioConfig = this.mergeAudio(timeline);
+    this.overlayShifts = this.computeOverlayShifts(timeline);
+
+    infoLog("FileSequence", "Files joined", {
+      files: this.sources.map(({ file }) => file.name),
+      samples: this.sampleManager.sampleCount(),
+      audio: audioConfig !== null,
+    });
+    return {
+      videoConfig: { ...this.sources[0].config, nb_samples: this.sampleManager.sampleCount() },
+      audioConfig,
+    };
+  }
+
+  /**
+   * Demuxes one file into sample managers of its own.
+   * @param {File} file - The file.
+   * @returns {Promise<Object>} The file with its configurations and indexes.
+   * @throws {Error} If the file cannot be demuxed.
+   * @private
+   */
+  async demux(file) {
+    if (await MatroskaDemuxer.isMatroska(file)) {
+      throw new Error(`${file.name}: only MP4 files can be joined`);
+    }
+    const sampleManager = new SampleManager();
+    const audioSampleManager = new SampleManager();
+    let audioConfig = null;
+    const config = await new Promise((resolve, reject) => {
+      new MP4Demuxer(file, {
+        onConfig: resolve,
+        onAudioConfig: (config) => {
+          audioConfig = config;
+        },
+        setStatus: (phase, message) => this.setStatus(phase, `${file.name}: ${message}`),
+        onError: (error) => reject(new Error(`${file.name}: ${error.message}`)),
+        sampleManager,
+        audioSampleManager,
+      });
+    });
+    return {
+      file,
+      config,
+      audioConfig,
+      index: sampleManager.originalSamples,
+      audioIndex: audioConfig ? audioSampleManager.originalSamples : [],
+    };
+  }
+
+  /**
+   * Sorts the files in joined order.
+   * @param {Array<Object>} sources - The demuxed files.
+   * @returns {Array<Object>} The sorted files.
+   * @private
+   */
+  orderSources(sources) {
+    const byName = (a, b) =>
+      a.file.name.localeCompare(b.file.name, undefined, { numeric: true });
+    if (this.order === "created") {
+      // A missing creation time is stored as 0, i.e. 1904.
+      const created = (source) => source.config.creationTime?.getTime() ?? 0;
+      if (sources.every((source) => created(source) > 0)) {
+        return sources.sort((a, b) => created(a) - created(b) || byName(a, b));
+      }
+      warnLog("FileSequence", "Creation times missing, joining the files by name");
+    }
+    return sources.sort(byName);
+  }
+
+  /**
+   * Merges the video indexes: each file starts where the previous one ends.
+   * @returns {Array<{startUs: number, shiftUs: number}>} The start of each
+   *   file on the joined timeline and the time shift of its samples, in µs.
+   * @private
+   */
+  mergeVideo() {
+    const index = [];
+    const timeline = [];
+    let endUs = 0; // End of the previous file on the joined timeline
+    for (const [source, { index: samples }] of this.sources.entries()) {
+      let firstUs = Infinity;
+      let lastUs = 0;
+      for (const sample of samples) {
+        firstUs = Math.min(firstUs, (1e6 * sample.cts) / sample.timescale);
+        lastUs = Math.max(lastUs, (1e6 * (sample.cts + sample.duration)) / sample.timescale);
+      }
+      const shiftUs = source === 0 ? 0 : endUs - firstUs;
+      for (const sample of samples) {
+        index.push(this.shiftSample(sample, shiftUs, index.length, source));
+      }
+      timeline.push({ startUs: firstUs + shiftUs, shiftUs });
+      endUs = lastUs + shiftUs;
+    }
+    this.sampleManager.setIndex(index);
+    this.sampleManager.finalize();
+    this.sampleManager.setDataLoader(this.createDataLoader(this.sampleManager, index));
+    return timeline;
+  }
+
+  /**
+   * Merges the audio indexes with the time shifts of the video, dropping the
+   * audio overlapping the end of the previous file.
+   * @param {Array<{startUs: number, shiftUs: number}>} timeline - The files
+   *   on the joined timeline, as returned by mergeVideo.
+   * @returns {Object|null} The common audio configuration, or null if a file
+   *   has no audio track or another audio format.
+   * @private
+   */
+  mergeAudio(timeline) {
+    const audioConfig = this.sources[0].audioConfig;
+    const mismatch = this.sources.find(
+      (source) => !source.audioConfig || !audioConfigsMatch(source.audioConfig, audioConfig)
+    );
+    if (mismatch) {
+      if (audioConfig || mismatch.audioConfig) {
+        warnLog("FileSequence", "Audio formats differ, joining the files without audio", {
+          file: mismatch.file.name,
+        });
+      }
+      return null;
+    }
+
+    const index = [];
+    let endUs = -Infinity;
+    for (const [source, { audioIndex }] of this.sources.entries()) {
+      let lastUs = endUs;
+      for (const sample of audioIndex) {
+        const entry = this.shiftSample(sample, timeline[source].shiftUs, index.length, source);
+        const startUs = (1e6 * entry.cts) / entry.timescale;
+        if (startUs < endUs) {
+          continue;
+        }
+        index.push(entry);
+        lastUs = Math.max(lastUs, (1e6 * (entry.cts + entry.duration)) / entry.timescale);
+      }
+      endUs = lastUs;
+    }
+    this.audioSampleManager.setIndex(index);
+    this.audioSampleManager.finalize();
+    this.audioSampleManager.setDataLoader(this.createDataLoader(this.audioSampleManager, index));
+    return audioConfig;
+  }
+
+  /**
+   * Copies an index entry onto the joined timeline.
+   * @param {Object} sample - The index entry of its file.
+   * @param {number} shiftUs - The time shift of its file in µs.
+   * @param {number} number - The number of the entry in the joined index.
+   * @param {number} source - The index of its file.
+   * @returns {Object} The joined index entry.
+   * @private
+   */
+  shiftSample(sample, shiftUs, number, source) {
+    const shift = Math.round((shiftUs * sample.timescale) / 1e6);
+    return {
+      ...sample,
+      number,
+      cts: sample.cts + shift,
+      dts: sample.dts + shift,
+      source,
+    };
+  }
+
+  /**
+   * Creates the data loader of a joined index, reading each run of samples
+   * from its own file.
+   * @param {SampleManager} sampleManager - The manager receiving the data.
+   * @param {Array<Object>} index - The joined index.
+   * @returns {function} The loader, as taken by SampleManager.setDataLoader.
+   * @private
+   */
+  createDataLoader(sampleManager, index) {
+    return async (byteStart, byteEnd, firstSampleNumber, expectedCount) => {
+      const end = Math.min(firstSampleNumber + expectedCount, index.length);
+      let runStart = firstSampleNumber;
+      while (runStart < end) {
+        const { source } = index[runStart];
+        let runEnd = runStart + 1;
+        while (runEnd < end && index[runEnd].source === source) {
+          runEnd++;
+        }
+        const samples = await readSampleData(
+          this.sources[source].file,
+          index,
+          runStart,
+          runEnd - runStart
+        );
+        sampleManager.backFillData(samples);
+        runStart = runEnd;
+      }
+    };
+  }
+
+  /**
+   * Computes where the timestamp overlay jumps to the recording time of each
+   * file, so that gaps between the recordings show. Without creation times
+   * the files are taken as one continuous recording.
+   * @param {Array<{startUs: number, shiftUs: number}>} timeline - The files
+   *   on the joined timeline, as returned by mergeVideo.
+   * @returns {Array<{fromMs: number, shiftMs: number}>} From which joined time
+   *   in ms each shift applies, in time order.
+   * @private
+   */
+  computeOverlayShifts(timeline) {
+    if (!this.sources.every(({ config }) => config.creationTime?.getTime() > 0)) {
+      return [];
+    }
+    const firstStartMs = this.sources[0].config.startTime.getTime();
+    return this.sources.slice(1).map(({ file, config }, i) => {
+      const { startUs, shiftUs } = timeline[i + 1];
+      const shiftMs = config.startTime.getTime() - firstStartMs - shiftUs / 1000;
+      debugLog("FileSequence", "Overlay shift", { file: file.name, shiftMs: Math.round(shiftMs) });
+      return { fromMs: startUs / 1000, shiftMs };
+    });
+  }
+
+  /**
+   * Gets the decoder configuration of each file.
+   * @returns {Array<Object>} The video configurations, indexed by the
+   *   samples' `source`.
+   */
+  get configs() {
+    return this.sources.map(({ config }) => config);
+  }
+
+  /**
+   * Gets the decoder configuration of the file a sample comes from.
+   * @param {Object} sample - A joined index entry.
+   * @returns {Object} The video configuration.
+   */
+  configFor(sample) {
+    return this.sources[sample.source].config;
+  }
+}
@@ -13,6 +13,7 @@ self.onmessage = async function (e) {
     case "init": {
       // Get the root directory.
       const root = await navigator.storage.getDirectory();
+      self.fileName = data.fileName;
       try {
         // Try to remove the file if it already exists.
         await root.removeEntry(data.fileName);
@@ -54,15 +55,32 @@ self.onmessage = async function (e) {
     }
 
     case "close": {
-      if (self.accessHandle) {
-        await lastWritePromise;
-        // Flush any pending writes.
-        await self.accessHandle.flush();
-        // Close the access handle.
-        await self.accessHandle.close();
-        // Notify that the file has been closed.
-        self.postMessage({ type: "closed" });
+      // Wait for the initialization, a short output may be closed before it.
+      await initPromise;
+      await lastWritePromise;
+      // Flush any pending writes.
+      await self.accessHandle.flush();
+      // Close the access handle.
+      await self.accessHandle.close();
+      // Notify that the file has been closed.
+      self.postMessage({ type: "closed" });
+      break;
+    }
+
+    case "abort": {
+      // Wait for the initialization so the file is not created after removal.
+      await initPromise;
+      await lastWritePromise;
+      // Close the access handle without flushing and drop the partial file.
+      await self.accessHandle.close();
+      const root = await navigator.storage.getDirectory();
+      try {
+        await root.removeEntry(self.fileName);
+      } catch (e) {
+        // The file may already be gone; nothing left to clean up.
       }
+      // Notify that the file has been discarded.
+      self.postMessage({ type: "aborted" });
       break;
     }
   }
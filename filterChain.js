@@ -0,0 +1,185 @@
+import { performanceLog } from "./logging.js";
+
+/**
+ * An ordered chain of per-frame filter stages, run on the canvas for every
+ * frame of both the preview and the export. A stage is an object with:
+ * - `id` {string}: unique name of the stage.
+ * - `apply({frame, ctx, frameTimeMs, params, job})` {Function}: draws on the
+ *   canvas context. `frame` is the decoded VideoFrame, which must not be
+ *   closed; `job` describes the render ({mode: 'preview'|'export', ...}).
+ * - `params` {Object} (optional): parameters, which must be serialisable to JSON.
+ * - `enabled` {boolean} (optional, default true).
+ */
+export class FilterChain {
+  /**
+   * Initializes an empty chain.
+   */
+  constructor() {
+    this.filters = [];
+    this.timings = new Map(); // Filter id -> {count, total} in ms, since the last reset
+  }
+
+  /**
+   * Registers a filter stage.
+   * @param {Object} filter - The stage, see the class description.
+   * @param {Object} [options] - The registration options.
+   * @param {string} [options.before] - The id of the stage to insert before;
+   *   by default the stage is appended.
+   * @throws {Error} If a stage with the same id is already registered.
+   */
+  register(filter, { before } = {}) {
+    if (this.get(filter.id)) {
+      throw new Error(`Filter ${filter.id} is already registered`);
+    }
+    const stage = {
+      ...filter,
+      enabled: filter.enabled ?? true,
+      params: filter.params ?? {},
+    };
+    const index = this.filters.findIndex(({ id }) => id === before);
+    if (index < 0) {
+      this.filters.push(stage);
+    } else {
+      this.filters.splice(index, 0, stage);
+    }
+  }
+
+  /**
+   * Removes a filter stage.
+   * @param {string} id - The id of the stage.
+   */
+  unregister(id) {
+    this.filters = this.filters.filter((filter) => filter.id !== id);
+    this.timings.delete(id);
+  }
+
+  /**
+   * Gets a filter stage.
+   * @param {string} id - The id of the stage.
+   * @returns {Object|undefined} The stage, if registered.
+   */
+  get(id) {
+    return this.filters.find((filter) => filter.id === id);
+  }
+
+  /**
+   * Enables or disables a filter stage.
+   * @param {string} id - The id of the stage.
+   * @param {boolean} enabled - Whether the stage runs.
+   */
+  setEnabled(id, enabled) {
+    this.getOrThrow(id).enabled = enabled;
+  }
+
+  /**
+   * Merges parameters into those of a filter stage.
+   * @param {string} id - The id of the stage.
+   * @param {Object} params - The parameters to change.
+   */
+  setParams(id, params) {
+    const filter = this.getOrThrow(id);
+    filter.params = { ...filter.params, ...params };
+  }
+
+  /**
+   * Checks whether any enabled stage could change the pixels, besides the
+   * given ones.
+   * @param {Array<string>} [ignoredIds=[]] - The ids of the stages to leave out.
+   * @returns {boolean} True if such a stage is enabled.
+   */
+  hasEnabledFilters(ignoredIds = []) {
+    return this.filters.some(
+      ({ id, enabled }) => enabled && !ignoredIds.includes(id)
+    );
+  }
+
+  /**
+   * Serialises the state of the chain: the order, enabled flags and
+   * parameters of the stages.
+   * @returns {Array<{id: string, enabled: boolean, params: Object}>} The state.
+   */
+  toJSON() {
+    return this.filters.map(({ id, enabled, params }) => ({ id, enabled, params }));
+  }
+
+  /**
+   * Restores a state produced by toJSON(). Stages that are not registered are
+   * ignored; registered stages missing from the state keep their settings and
+   * follow the restored ones.
+   * @param {Array<{id: string, enabled: boolean, params: Object}>} state - The state.
+   */
+  loadJSON(state) {
+    const restored = [];
+    for (const { id, enabled, params } of state) {
+      const filter = this.get(id);
+      if (!filter) continue;
+      filter.enabled = enabled;
+      filter.params = { ...params };
+      restored.push(filter);
+    }
+    this.filters = [
+      ...restored,
+      ...this.filters.filter((filter) => !restored.includes(filter)),
+    ];
+  }
+
+  /**
+   * Runs the enabled stages in order on a frame, timing each one.
+   * @param {Object} context - The frame context.
+   * @param {VideoFrame} context.frame - The decoded frame.
+   * @param {CanvasRenderingContext2D} context.ctx - The canvas context to draw on.
+   * @param {number} context.frameTimeMs - The frame time in milliseconds.
+   * @param {Object} context.job - The job metadata.
+   */
+  run({ frame, ctx, frameTimeMs, job }) {
+    for (const filter of this.filters) {
+      if (!filter.enabled) continue;
+      const start = performance.now();
+      ctx.save();
+      try {
+        filter.apply({ frame, ctx, frameTimeMs, params: filter.params, job });
+      } finally {
+        ctx.restore();
+      }
+      const timing = this.timings.get(filter.id) ?? { count: 0, total: 0 };
+      timing.count++;
+      timing.total += performance.now() - start;
+      this.timings.set(filter.id, timing);
+    }
+  }
+
+  /**
+   * Clears the collected timings.
+   */
+  resetTimings() {
+    this.timings.clear();
+  }
+
+  /**
+   * Writes the time spent in each stage since the last reset to the
+   * performance log.
+   */
+  logTimings() {
+    for (const [id, { count, total }] of this.timings) {
+      performanceLog(
+        `FilterChain.${id}`,
+        `Filter ${id}: ${total.toFixed(1)}ms over ${count} frames, ${(total / count).toFixed(3)}ms per frame`,
+        total
+      );
+    }
+  }
+
+  /**
+   * Gets a filter stage or throws.
+   * @param {string} id - The id of the stage.
+   * @returns {Object} The stage.
+   * @private
+   */
+  getOrThrow(id) {
+    const filter = this.get(id);
+    if (!filter) {
+      throw new Error(`Filter ${id} is not registered`);
+    }
+    return filter;
+  }
+}
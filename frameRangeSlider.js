@@ -15,6 +15,7 @@ export class FrameRangeSlider {
     this.thumbEnd = document.getElementById("thumbEnd");
     this.sliderTrack = document.querySelector(".slider-track");
     this.sliderRange = document.querySelector(".slider-range");
+    this.doubleSlider = document.querySelector(".double-slider");
     this.startFrameDisplay = document.getElementById("startFrame");
     this.endFrameDisplay = document.getElementById("endFrame");
     this.totalFramesDisplay = document.getElementById("totalFrames");
@@ -121,6 +122,22 @@ export class FrameRangeSlider {
     this.endFrameDisplay.textContent = endFrame;
   }
 
+  /**
+   * Shows markers on the slider track, e.g. for pan-and-zoom keyframes.
+   * @param {Array<number>} percentages - The marker positions in percent (0-100).
+   */
+  setKeyframeMarkers(percentages) {
+    this.doubleSlider
+      .querySelectorAll(".slider-keyframe")
+      .forEach((marker) => marker.remove());
+    for (const percent of percentages) {
+      const marker = document.createElement("div");
+      marker.className = "slider-keyframe";
+      marker.style.left = `${percent}%`;
+      this.doubleSlider.insertBefore(marker, this.thumbStart);
+    }
+  }
+
   /**
    * Checks if the slider mode is currently active.
    * @returns {boolean} - True if the slider is visible, false otherwise.
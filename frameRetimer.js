@@ -0,0 +1,64 @@
+/**
+ * Maps the output frames of a speed-changed export to source time. The
+ * output runs at a constant frame rate: output frame k (a slot) starts
+ * `k / fps` seconds after the start of the range and shows the source at
+ * `k * speed / fps` seconds after it.
+ */
+export class FrameRetimer {
+  /**
+   * Initializes the mapping.
+   * @param {Object} config - The configuration object.
+   * @param {number} config.speed - The playback speed, e.g. 4 for a 4x timelapse
+   *   or 0.5 for half-speed slow motion.
+   * @param {number} config.fps - The output frame rate.
+   * @param {number} config.startUs - The start of the range in µs, both the
+   *   source time and the output timestamp of the first slot.
+   */
+  constructor({ speed, fps, startUs }) {
+    this.speed = speed;
+    this.startUs = startUs;
+    this.frameDurationUs = 1e6 / fps; // Output frame duration
+    this.sourceStepUs = this.frameDurationUs * speed; // Source time between two slots
+  }
+
+  /**
+   * Gets an output slot.
+   * @param {number} index - The slot index.
+   * @returns {{index: number, timestamp: number, duration: number, sourceTimeUs: number}}
+   *   The output timestamp and duration in whole µs, and the source time it shows.
+   */
+  slot(index) {
+    const timestamp = Math.round(this.startUs + index * this.frameDurationUs);
+    return {
+      index,
+      timestamp,
+      duration: Math.round(this.startUs + (index + 1) * this.frameDurationUs) - timestamp,
+      sourceTimeUs: this.startUs + index * this.sourceStepUs,
+    };
+  }
+
+  /**
+   * Lists the slots whose source time lies in a source interval.
+   * @param {number} fromUs - The start of the interval in µs (inclusive).
+   * @param {number} toUs - The end of the interval in µs (exclusive).
+   * @returns {Array<Object>} The slots, see slot().
+   */
+  slotsIn(fromUs, toUs) {
+    const first = Math.max(0, Math.ceil((fromUs - this.startUs) / this.sourceStepUs));
+    const slots = [];
+    for (let index = first; this.slot(index).sourceTimeUs < toUs; index++) {
+      slots.push(this.slot(index));
+    }
+    return slots;
+  }
+
+  /**
+   * Gets the slot a source frame is blended into when speeding up: the one
+   * whose source time is the closest.
+   * @param {number} timeUs - The source time in µs.
+   * @returns {number} The slot index.
+   */
+  slotIndexAt(timeUs) {
+    return Math.max(0, Math.round((timeUs - this.startUs) / this.sourceStepUs));
+  }
+}
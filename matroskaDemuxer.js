@@ -0,0 +1,889 @@
+import { infoLog, warnLog, errorLog } from "./logging.js";
+import { readSampleData } from "./sampleDataReader.js";
+import { buildCodecString } from "./codecUtils.js";
+
+// EBML element ids used by the demuxer.
+const kEbml = 0x1a45dfa3;
+const kSegment = 0x18538067;
+const kSeekHead = 0x114d9b74;
+const kSeek = 0x4dbb;
+const kSeekID = 0x53ab;
+const kSeekPosition = 0x53ac;
+const kInfo = 0x1549a966;
+const kTimecodeScale = 0x2ad7b1;
+const kDateUTC = 0x4461;
+const kTracks = 0x1654ae6b;
+const kTrackEntry = 0xae;
+const kTrackNumber = 0xd7;
+const kTrackType = 0x83;
+const kCodecID = 0x86;
+const kCodecPrivate = 0x63a2;
+const kDefaultDuration = 0x23e383;
+const kVideo = 0xe0;
+const kPixelWidth = 0xb0;
+const kPixelHeight = 0xba;
+const kAudio = 0xe1;
+const kSamplingFrequency = 0xb5;
+const kChannels = 0x9f;
+const kCluster = 0x1f43b675;
+const kTimecode = 0xe7;
+const kSimpleBlock = 0xa3;
+const kBlockGroup = 0xa0;
+const kBlock = 0xa1;
+const kReferenceBlock = 0xfb;
+const kCues = 0x1c53bb6b;
+const kCuePoint = 0xbb;
+const kCueTrackPositions = 0xb7;
+const kCueClusterPosition = 0xf1;
+const kTags = 0x1254c367;
+const kChapters = 0x1043a770;
+const kAttachments = 0x1941a469;
+
+// Children of the Segment; any of them ends a Cluster of unknown size.
+const kSegmentChildren = new Set([
+  kSeekHead,
+  kInfo,
+  kTracks,
+  kCluster,
+  kCues,
+  kTags,
+  kChapters,
+  kAttachments,
+]);
+
+const kTrackTypeVideo = 1;
+const kTrackTypeAudio = 2;
+
+// Size of the file window read at a time while scanning the clusters.
+const kWindowSize = 8 * 1024 * 1024;
+// Largest element header: a 4-byte id and an 8-byte size.
+const kMaxHeaderSize = 12;
+// Enough bytes for a block header including its lacing sizes.
+const kMaxBlockHeaderSize = 4096;
+// Matroska dates count nanoseconds from 2001-01-01T00:00:00 UTC.
+const kMatroskaEpochMs = Date.UTC(2001, 0, 1);
+
+/**
+ * Reads a File through a sliding window, so the clusters can be scanned
+ * sequentially without loading the whole file.
+ */
+class FileWindowReader {
+  /**
+   * @param {Blob} file - The file to read.
+   * @param {function} onLoad - Called with the end offset of each window read.
+   */
+  constructor(file, onLoad) {
+    this.file = file;
+    this.onLoad = onLoad;
+    this.start = 0;
+    this.bytes = new Uint8Array(0);
+    this.view = new DataView(this.bytes.buffer);
+  }
+
+  /**
+   * Makes sure the given byte range is in the window.
+   * @param {number} position - The start offset.
+   * @param {number} length - The number of bytes needed.
+   */
+  async ensure(position, length) {
+    const end = Math.min(position + length, this.file.size);
+    if (position >= this.start && end <= this.start + this.bytes.length) {
+      return;
+    }
+    const readEnd = Math.min(this.file.size, Math.max(end, position + kWindowSize));
+    const buffer = await this.file.slice(position, readEnd).arrayBuffer();
+    this.start = position;
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+    this.onLoad(readEnd);
+  }
+
+  byte(position) {
+    return this.bytes[position - this.start];
+  }
+
+  /**
+   * Reads a variable-length integer.
+   * @param {number} position - The offset of the integer.
+   * @param {boolean} keepMarker - Whether to keep the length marker bit (element ids).
+   * @returns {{value: number, length: number, unknown: boolean}} The value, its
+   *   length in bytes, and whether all value bits are set (unknown size).
+   */
+  vint(position, keepMarker = false) {
+    const first = this.byte(position);
+    if (!first) {
+      throw new Error(`Invalid EBML variable-length integer at ${position}`);
+    }
+    const length = Math.clz32(first) - 23;
+    let value = keepMarker ? first : first & (0xff >> length);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + this.byte(position + i);
+    }
+    const unknown = !keepMarker && value === 2 ** (7 * length) - 1;
+    return { value, length, unknown };
+  }
+
+  uint(position, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value = value * 256 + this.byte(position + i);
+    }
+    return value;
+  }
+
+  int(position, size) {
+    const value = this.uint(position, size);
+    return value >= 2 ** (8 * size - 1) ? value - 2 ** (8 * size) : value;
+  }
+
+  float(position, size) {
+    const offset = position - this.start;
+    return size === 4 ? this.view.getFloat32(offset) : this.view.getFloat64(offset);
+  }
+
+  string(position, size) {
+    const bytes = this.bytes.subarray(position - this.start, position - this.start + size);
+    return new TextDecoder().decode(bytes).replace(/\0+$/, "");
+  }
+
+  copy(position, size) {
+    return this.bytes.slice(position - this.start, position - this.start + size);
+  }
+
+  /**
+   * Reads the header of the element at the given offset. The header must be
+   * in the window.
+   * @param {number} position - The offset of the element.
+   * @returns {{id: number, dataStart: number, size: number|null, end: number|null}}
+   *   The element, with null size and end when its size is unknown.
+   */
+  header(position) {
+    const id = this.vint(position, true);
+    const size = this.vint(position + id.length);
+    const dataStart = position + id.length + size.length;
+    if (size.unknown) {
+      return { id: id.value, dataStart, size: null, end: null };
+    }
+    return { id: id.value, dataStart, size: size.value, end: dataStart + size.value };
+  }
+
+  /**
+   * Lists the children of a master element whose payload is in the window.
+   * @param {number} start - The offset of the payload.
+   * @param {number} end - The end offset of the payload.
+   * @returns {Array<object>} The child element headers.
+   */
+  children(start, end) {
+    const children = [];
+    for (let position = start; position < end; ) {
+      const child = this.header(position);
+      children.push(child);
+      position = child.end ?? end;
+    }
+    return children;
+  }
+}
+
+/**
+ * Demuxes WebM and Matroska files. The clusters are scanned once to build the
+ * same lightweight sample index as the MP4Demuxer (offsets and sizes, no data);
+ * sample data is then read from the source File on demand via byte-range slices.
+ * Matroska has no sample table, so every block header is read; the Cues, when
+ * the file has them, locate the clusters so a damaged one is skipped instead
+ * of ending the scan. Video tracks in VP8, VP9, AV1 and H.264 are supported.
+ */
+export class MatroskaDemuxer {
+  /**
+   * Checks the EBML signature at the start of a file.
+   * @param {Blob} file - The file to check.
+   * @returns {Promise<boolean>} True if the file is a WebM/Matroska file.
+   */
+  static async isMatroska(file) {
+    const bytes = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    return bytes.length === 4 && new DataView(bytes.buffer).getUint32(0) === kEbml;
+  }
+
+  /**
+   * Initializes the MatroskaDemuxer and starts scanning the file.
+   * @param {File} file - The source WebM/Matroska File object.
+   * @param {object} config - The configuration object.
+   * @param {function} config.onConfig - Callback with the video configuration.
+   * @param {function} [config.onAudioConfig] - Callback with the audio configuration,
+   *   invoked before onConfig when the file has a supported audio track.
+   * @param {function} config.setStatus - Callback to update the status.
+   * @param {function} [config.onError] - Callback with the error when the file
+   *   cannot be demuxed.
+   * @param {SampleManager} config.sampleManager - The sample manager to handle the sample index and data.
+   * @param {SampleManager} [config.audioSampleManager] - The sample manager for the audio track.
+   */
+  constructor(
+    file,
+    { onConfig, onAudioConfig, setStatus, onError, sampleManager, audioSampleManager }
+  ) {
+    this.onConfig = onConfig;
+    this.onAudioConfig = onAudioConfig;
+    this.setStatus = setStatus;
+    this.onError = onError;
+    this.sourceFile = file;
+    this.sampleManager = sampleManager;
+    this.audioSampleManager = audioSampleManager;
+    this.reader = new FileWindowReader(file, (end) =>
+      setStatus("fetch", `${(end / 1024 / 1024).toFixed(1)} MB`)
+    );
+    this.timecodeScale = 1_000_000; // Nanoseconds per timestamp unit
+    this.dateUTC = null;
+    this.tracks = new Map(); // Track number -> track
+    this.videoTrack = null;
+    this.audioTrack = null;
+    this.segmentStart = 0; // Offset of the Segment payload, the origin of its positions
+    this.cuesPosition = null; // Offset of the Cues, from the SeekHead
+    this.clusterPositions = null; // Sorted offsets of the cued clusters, null without Cues
+    this.stopped = false;
+    this.nb_samples = 0;
+
+    this.parse().catch((error) => {
+      errorLog("MatroskaDemuxer", "Failed to demux file", error);
+      setStatus("demux", error.message);
+      this.onError?.(error);
+    });
+  }
+
+  /**
+   * Parses the file: the headers first, then every cluster to index the blocks
+   * of the video and audio tracks.
+   */
+  async parse() {
+    const reader = this.reader;
+    await reader.ensure(0, kMaxHeaderSize);
+    const ebml = reader.header(0);
+    if (ebml.id !== kEbml) {
+      throw new Error("Not a WebM/Matroska file");
+    }
+
+    // The Segment follows the EBML header; its size is unknown in live recordings.
+    await reader.ensure(ebml.end, kMaxHeaderSize);
+    const segment = reader.header(ebml.end);
+    if (segment.id !== kSegment) {
+      throw new Error("Segment element not found");
+    }
+    const segmentEnd = Math.min(segment.end ?? Infinity, this.sourceFile.size);
+    this.segmentStart = segment.dataStart;
+
+    let position = segment.dataStart;
+    let cuesRead = false;
+    let infoRead = false;
+    let tracksRead = false;
+    while (position < segmentEnd && !this.stopped) {
+      let element = null;
+      try {
+        await reader.ensure(position, kMaxHeaderSize);
+        element = reader.header(position);
+        if (element.id === kCluster) {
+          // The Cues usually follow the clusters; the SeekHead tells where.
+          if (!cuesRead && this.cuesPosition !== null) {
+            await this.readCues(this.cuesPosition);
+          }
+          cuesRead = true;
+          position = await this.parseClusterOrSkip(element, segmentEnd);
+          continue;
+        }
+        if (element.end === null) {
+          // Only Clusters may have an unknown size; the rest can only be found by the Cues.
+          const next = this.nextCuedCluster(position);
+          if (next === undefined) {
+            break;
+          }
+          position = next;
+          continue;
+        }
+        if (element.id === kInfo) {
+          await reader.ensure(element.dataStart, element.size);
+          this.parseInfo(element);
+          infoRead = true;
+        } else if (element.id === kTracks) {
+          await reader.ensure(element.dataStart, element.size);
+          this.parseTracks(element);
+          tracksRead = true;
+        } else if (element.id === kSeekHead) {
+          await reader.ensure(element.dataStart, element.size);
+          this.parseSeekHead(element);
+        } else if (element.id === kCues && !cuesRead) {
+          await reader.ensure(element.dataStart, element.size);
+          this.parseCues(element);
+          cuesRead = true;
+        }
+        position = element.end;
+      } catch (error) {
+        if (element && element.id !== kCluster && element.end !== null) {
+          // The element is damaged but its size is known: skip it. Missing
+          // Info or Tracks are reported once the scan is done.
+          warnLog("MatroskaDemuxer", "Skipping unreadable element", {
+            position,
+            id: element.id.toString(16),
+            error: error.message,
+          });
+          position = element.end;
+        } else {
+          position = this.resync(position, error);
+        }
+      }
+    }
+
+    if (!this.stopped) {
+      if (!infoRead) {
+        throw new Error("Info element not found");
+      }
+      if (!tracksRead) {
+        throw new Error("Tracks element not found");
+      }
+      this.onReady();
+    }
+  }
+
+  /**
+   * Finds the Cues in the SeekHead.
+   * @param {object} seekHead - The SeekHead element.
+   */
+  parseSeekHead(seekHead) {
+    const reader = this.reader;
+    for (const seek of reader.children(seekHead.dataStart, seekHead.end)) {
+      if (seek.id !== kSeek) continue;
+      let id = null;
+      let seekPosition = null;
+      for (const child of reader.children(seek.dataStart, seek.end)) {
+        if (child.id === kSeekID) {
+          id = reader.uint(child.dataStart, child.size);
+        } else if (child.id === kSeekPosition) {
+          seekPosition = reader.uint(child.dataStart, child.size);
+        }
+      }
+      if (id === kCues && seekPosition !== null) {
+        this.cuesPosition = this.segmentStart + seekPosition;
+      }
+    }
+  }
+
+  /**
+   * Reads the Cues at the given offset. A file whose Cues cannot be read is
+   * scanned without them.
+   * @param {number} position - The offset of the Cues element.
+   */
+  async readCues(position) {
+    try {
+      await this.reader.ensure(position, kMaxHeaderSize);
+      const cues = this.reader.header(position);
+      if (cues.id !== kCues || cues.end === null || cues.end > this.sourceFile.size) {
+        throw new Error("Cues element not found");
+      }
+      await this.reader.ensure(cues.dataStart, cues.size);
+      this.parseCues(cues);
+    } catch (error) {
+      warnLog("MatroskaDemuxer", "Cannot read the cues, scanning without them", {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Collects the positions of the cued clusters.
+   * @param {object} cues - The Cues element.
+   */
+  parseCues(cues) {
+    const reader = this.reader;
+    const positions = new Set();
+    for (const cuePoint of reader.children(cues.dataStart, cues.end)) {
+      if (cuePoint.id !== kCuePoint) continue;
+      for (const trackPositions of reader.children(cuePoint.dataStart, cuePoint.end)) {
+        if (trackPositions.id !== kCueTrackPositions) continue;
+        for (const child of reader.children(trackPositions.dataStart, trackPositions.end)) {
+          if (child.id === kCueClusterPosition) {
+            positions.add(this.segmentStart + reader.uint(child.dataStart, child.size));
+          }
+        }
+      }
+    }
+    this.clusterPositions = [...positions].sort((a, b) => a - b);
+    infoLog("MatroskaDemuxer", "Cues read", { clusters: this.clusterPositions.length });
+  }
+
+  /**
+   * Indexes a cluster. If it is damaged, its blocks are dropped and the scan
+   * goes on at the next cued cluster.
+   * @param {object} cluster - The Cluster element.
+   * @param {number} segmentEnd - The end offset of the Segment.
+   * @returns {Promise<number>} The offset to go on scanning from.
+   * @throws {Error} If the cluster is damaged and no cued cluster follows it.
+   */
+  async parseClusterOrSkip(cluster, segmentEnd) {
+    const counts = [this.videoTrack, this.audioTrack].map((track) => track?.samples.length);
+    try {
+      return await this.parseCluster(cluster, segmentEnd);
+    } catch (error) {
+      [this.videoTrack, this.audioTrack].forEach((track, i) => {
+        track?.samples.splice(counts[i]);
+      });
+      return this.resync(cluster.dataStart, error);
+    }
+  }
+
+  /**
+   * Finds the first cued cluster after an offset.
+   * @param {number} position - The offset.
+   * @returns {number|undefined} The offset of the cluster, if any.
+   */
+  nextCuedCluster(position) {
+    return this.clusterPositions?.find((clusterPosition) => clusterPosition > position);
+  }
+
+  /**
+   * Finds where to go on scanning after unreadable data: the next cued cluster.
+   * @param {number} position - The offset of the unreadable data.
+   * @param {Error} error - Why the data cannot be read.
+   * @returns {number} The offset of the next cued cluster.
+   * @throws {Error} The given error if no cued cluster follows.
+   */
+  resync(position, error) {
+    const next = this.nextCuedCluster(position);
+    if (next === undefined) {
+      throw error;
+    }
+    warnLog("MatroskaDemuxer", "Skipping unreadable data up to the next cued cluster", {
+      position,
+      next,
+      error: error.message,
+    });
+    return next;
+  }
+
+  /**
+   * Reads the timestamp scale and the recording date from the Info element.
+   * @param {object} info - The Info element.
+   */
+  parseInfo(info) {
+    for (const child of this.reader.children(info.dataStart, info.end)) {
+      if (child.id === kTimecodeScale) {
+        this.timecodeScale = this.reader.uint(child.dataStart, child.size);
+      } else if (child.id === kDateUTC) {
+        const ns = this.reader.int(child.dataStart, child.size);
+        this.dateUTC = new Date(kMatroskaEpochMs + ns / 1e6);
+      }
+    }
+  }
+
+  /**
+   * Reads the track entries and picks the first video and audio tracks.
+   * @param {object} tracks - The Tracks element.
+   */
+  parseTracks(tracks) {
+    const reader = this.reader;
+    for (const entry of reader.children(tracks.dataStart, tracks.end)) {
+      if (entry.id !== kTrackEntry) continue;
+
+      const track = { samples: [], defaultDuration: null };
+      for (const child of reader.children(entry.dataStart, entry.end)) {
+        switch (child.id) {
+          case kTrackNumber:
+            track.number = reader.uint(child.dataStart, child.size);
+            break;
+          case kTrackType:
+            track.type = reader.uint(child.dataStart, child.size);
+            break;
+          case kCodecID:
+            track.codecId = reader.string(child.dataStart, child.size);
+            break;
+          case kCodecPrivate:
+            track.codecPrivate = reader.copy(child.dataStart, child.size);
+            break;
+          case kDefaultDuration:
+            track.defaultDuration = reader.uint(child.dataStart, child.size);
+            break;
+          case kVideo:
+            for (const video of reader.children(child.dataStart, child.end)) {
+              if (video.id === kPixelWidth) {
+                track.width = reader.uint(video.dataStart, video.size);
+              } else if (video.id === kPixelHeight) {
+                track.height = reader.uint(video.dataStart, video.size);
+              }
+            }
+            break;
+          case kAudio:
+            track.sampleRate = 8000; // Matroska default
+            track.numberOfChannels = 1;
+            for (const audio of reader.children(child.dataStart, child.end)) {
+              if (audio.id === kSamplingFrequency) {
+                track.sampleRate = reader.float(audio.dataStart, audio.size);
+              } else if (audio.id === kChannels) {
+                track.numberOfChannels = reader.uint(audio.dataStart, audio.size);
+              }
+            }
+            break;
+        }
+      }
+
+      this.tracks.set(track.number, track);
+      if (track.type === kTrackTypeVideo && !this.videoTrack) {
+        this.videoTrack = track;
+      } else if (track.type === kTrackTypeAudio && !this.audioTrack) {
+        this.audioTrack = track;
+      }
+    }
+  }
+
+  /**
+   * Indexes the blocks of a cluster.
+   * @param {object} cluster - The Cluster element.
+   * @param {number} segmentEnd - The end offset of the Segment.
+   * @returns {Promise<number>} The offset following the cluster.
+   */
+  async parseCluster(cluster, segmentEnd) {
+    const reader = this.reader;
+    const end = cluster.end ?? segmentEnd;
+    let clusterTimecode = 0;
+
+    let position = cluster.dataStart;
+    while (position < end && !this.stopped) {
+      await reader.ensure(position, kMaxHeaderSize);
+      const element = reader.header(position);
+      if (cluster.end === null && kSegmentChildren.has(element.id)) {
+        return position; // The next top-level element ends an unknown-size cluster.
+      }
+      if (element.end > this.sourceFile.size) {
+        warnLog("MatroskaDemuxer", "File is truncated, ignoring the incomplete block");
+        return this.sourceFile.size;
+      }
+
+      if (element.id === kTimecode) {
+        await reader.ensure(element.dataStart, element.size);
+        clusterTimecode = reader.uint(element.dataStart, element.size);
+      } else if (element.id === kSimpleBlock) {
+        await this.parseBlock(element, clusterTimecode, null);
+      } else if (element.id === kBlockGroup) {
+        await this.parseBlockGroup(element, clusterTimecode);
+      }
+      position = element.end ?? end;
+    }
+    return end;
+  }
+
+  /**
+   * Indexes the Block of a BlockGroup. A block without ReferenceBlock is a keyframe.
+   * @param {object} group - The BlockGroup element.
+   * @param {number} clusterTimecode - The timestamp of the cluster.
+   */
+  async parseBlockGroup(group, clusterTimecode) {
+    const reader = this.reader;
+    let block = null;
+    let isKey = true;
+    for (let position = group.dataStart; position < group.end; ) {
+      await reader.ensure(position, kMaxHeaderSize);
+      const child = reader.header(position);
+      if (child.id === kBlock) {
+        block = child;
+      } else if (child.id === kReferenceBlock) {
+        isKey = false;
+      }
+      position = child.end;
+    }
+    if (block) {
+      await this.parseBlock(block, clusterTimecode, isKey);
+    }
+  }
+
+  /**
+   * Adds the frames of a (Simple)Block to the index of its track, resolving lacing.
+   * @param {object} block - The SimpleBlock or Block element.
+   * @param {number} clusterTimecode - The timestamp of the cluster.
+   * @param {boolean|null} isKey - The keyframe flag of a Block, or null to read
+   *   it from the SimpleBlock flags.
+   */
+  async parseBlock(block, clusterTimecode, isKey) {
+    const reader = this.reader;
+    await reader.ensure(block.dataStart, Math.min(block.size, kMaxBlockHeaderSize));
+
+    const trackNumber = reader.vint(block.dataStart);
+    const track = this.tracks.get(trackNumber.value);
+    if (!track || (track !== this.videoTrack && track !== this.audioTrack)) {
+      return;
+    }
+    let position = block.dataStart + trackNumber.length;
+    const timecode = clusterTimecode + reader.int(position, 2);
+    const flags = reader.byte(position + 2);
+    position += 3;
+    const keyframe = isKey ?? (flags & 0x80) !== 0;
+
+    // Frame sizes: a single frame, or laced frames (Xiph, fixed-size or EBML).
+    const lacing = (flags >> 1) & 0x3;
+    let sizes;
+    if (lacing === 0) {
+      sizes = [block.end - position];
+    } else {
+      const count = reader.byte(position) + 1;
+      position++;
+      sizes = [];
+      if (lacing === 1) {
+        for (let i = 0; i < count - 1; i++) {
+          let size = 0;
+          let byte;
+          do {
+            byte = reader.byte(position++);
+            size += byte;
+          } while (byte === 0xff);
+          sizes.push(size);
+        }
+      } else if (lacing === 3) {
+        const first = reader.vint(position);
+        position += first.length;
+        sizes.push(first.value);
+        for (let i = 1; i < count - 1; i++) {
+          const delta = reader.vint(position);
+          position += delta.length;
+          // Signed difference to the previous size.
+          const bias = 2 ** (7 * delta.length - 1) - 1;
+          sizes.push(sizes[i - 1] + delta.value - bias);
+        }
+      }
+      const dataSize = block.end - position;
+      if (lacing === 2) {
+        sizes = new Array(count).fill(dataSize / count);
+      } else {
+        sizes.push(dataSize - sizes.reduce((sum, size) => sum + size, 0));
+      }
+    }
+
+    // Laced frames follow each other at the track's default duration.
+    const frameDuration = track.defaultDuration
+      ? track.defaultDuration / this.timecodeScale
+      : 0;
+    sizes.forEach((size, i) => {
+      track.samples.push({
+        cts: timecode + i * frameDuration,
+        is_sync: keyframe,
+        offset: position,
+        size,
+      });
+      position += size;
+    });
+  }
+
+  /**
+   * Completes a track's index: numbers, durations from the presentation order,
+   * and decode timestamps. Matroska only stores presentation timestamps, so the
+   * decode timestamps are the sorted presentation timestamps, delayed just
+   * enough to never follow the presentation.
+   * @param {object} track - The track.
+   * @returns {Array<object>} The index entries.
+   */
+  buildIndex(track) {
+    const samples = track.samples;
+    const timescale = 1e9 / this.timecodeScale;
+    const defaultDuration = track.defaultDuration
+      ? track.defaultDuration / this.timecodeScale
+      : 0;
+
+    const presentationOrder = samples
+      .map((sample, i) => i)
+      .sort((a, b) => samples[a].cts - samples[b].cts);
+    for (let i = 0; i < presentationOrder.length; i++) {
+      const sample = samples[presentationOrder[i]];
+      const next = samples[presentationOrder[i + 1]];
+      const previous = samples[presentationOrder[i - 1]];
+      if (next) {
+        sample.duration = next.cts - sample.cts;
+      } else {
+        // The last frame lasts the default duration, or as long as the one before.
+        sample.duration = defaultDuration || (previous ? sample.cts - previous.cts : 0);
+      }
+    }
+
+    let delay = 0;
+    for (let i = 0; i < samples.length; i++) {
+      delay = Math.max(delay, samples[presentationOrder[i]].cts - samples[i].cts);
+    }
+    return samples.map((sample, i) => ({
+      number: i,
+      cts: sample.cts,
+      dts: samples[presentationOrder[i]].cts - delay,
+      duration: sample.duration,
+      timescale,
+      is_sync: sample.is_sync,
+      offset: sample.offset,
+      size: sample.size,
+    }));
+  }
+
+  /**
+   * Maps the video track to a WebCodecs decoder configuration.
+   * @param {object} track - The video track.
+   * @param {number} fps - The frame rate of the track.
+   * @returns {{codec: string, description: Uint8Array|undefined}} The codec string
+   *   and decoder description.
+   */
+  getVideoCodec(track, fps) {
+    const hex = (value) => value.toString(16).padStart(2, "0");
+    const codecPrivate = track.codecPrivate;
+    switch (track.codecId) {
+      case "V_VP8":
+        return { codec: "vp8", description: undefined };
+      case "V_VP9": {
+        // CodecPrivate, when present, lists the profile as feature 1 and the
+        // bit depth as feature 3 (id, length, value triplets).
+        let profile = 0;
+        let bitDepth = 8;
+        for (let i = 0; codecPrivate && i + 2 < codecPrivate.length; i += 2 + codecPrivate[i + 1]) {
+          if (codecPrivate[i] === 1) profile = codecPrivate[i + 2];
+          if (codecPrivate[i] === 3) bitDepth = codecPrivate[i + 2];
+        }
+        const level = buildCodecString("vp9", track.width, track.height, fps).split(".")[2];
+        const codec = `vp09.0${profile}.${level}.${String(bitDepth).padStart(2, "0")}`;
+        return { codec, description: undefined };
+      }
+      case "V_AV1": {
+        if (!codecPrivate || codecPrivate.length < 4) {
+          return { codec: buildCodecString("av1", track.width, track.height, fps), description: undefined };
+        }
+        // av1C: seq_profile, seq_level_idx_0, seq_tier_0 and the bit depth flags.
+        const profile = codecPrivate[1] >> 5;
+        const level = codecPrivate[1] & 0x1f;
+        const tier = codecPrivate[2] & 0x80 ? "H" : "M";
+        const highBitDepth = (codecPrivate[2] & 0x40) !== 0;
+        const twelveBit = (codecPrivate[2] & 0x20) !== 0;
+        const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+        const codec = `av01.${profile}.${String(level).padStart(2, "0")}${tier}.${String(bitDepth).padStart(2, "0")}`;
+        return { codec, description: codecPrivate };
+      }
+      case "V_MPEG4/ISO/AVC":
+        if (!codecPrivate || codecPrivate.length < 4) {
+          throw new Error("H.264 track without avcC configuration");
+        }
+        // avcC: profile, constraint flags and level.
+        return {
+          codec: `avc1.${hex(codecPrivate[1])}${hex(codecPrivate[2])}${hex(codecPrivate[3])}`,
+          description: codecPrivate,
+        };
+      default:
+        throw new Error(`Unsupported video codec: ${track.codecId}`);
+    }
+  }
+
+  /**
+   * Maps the audio track to a WebCodecs codec string.
+   * @param {object} track - The audio track.
+   * @returns {string|null} The codec string, or null if unsupported.
+   */
+  getAudioCodec(track) {
+    switch (track.codecId) {
+      case "A_OPUS":
+        return "opus";
+      case "A_VORBIS":
+        return "vorbis";
+      case "A_AAC":
+        // The audio object type is in the first 5 bits of the AudioSpecificConfig.
+        return track.codecPrivate
+          ? `mp4a.40.${track.codecPrivate[0] >> 3}`
+          : "mp4a.40.2";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Injects a data loader reading the samples of an index from the source file.
+   * @param {SampleManager} sampleManager - The sample manager.
+   * @param {Array<object>} index - The index entries.
+   */
+  setDataLoader(sampleManager, index) {
+    sampleManager.setDataLoader(
+      async (byteStart, byteEnd, firstSampleNumber, expectedCount) => {
+        const samples = await readSampleData(
+          this.sourceFile,
+          index,
+          firstSampleNumber,
+          expectedCount
+        );
+        sampleManager.backFillData(samples);
+      }
+    );
+  }
+
+  /**
+   * Called once the clusters are scanned. Hands the indexes to the sample
+   * managers and reports the audio and video configurations.
+   */
+  onReady() {
+    const track = this.videoTrack;
+    if (!track || track.samples.length === 0) {
+      throw new Error("No video track found");
+    }
+    this.setStatus("demux", "Ready");
+
+    const index = this.buildIndex(track);
+    this.sampleManager.setIndex(index);
+    this.sampleManager.finalize();
+    this.setDataLoader(this.sampleManager, index);
+
+    const audioTrack = this.audioTrack;
+    const audioCodec = audioTrack && this.getAudioCodec(audioTrack);
+    if (audioCodec && audioTrack.samples.length > 0 && this.audioSampleManager) {
+      const audioIndex = this.buildIndex(audioTrack);
+      this.audioSampleManager.setIndex(audioIndex);
+      this.audioSampleManager.finalize();
+      this.setDataLoader(this.audioSampleManager, audioIndex);
+
+      const config = {
+        codec: audioCodec,
+        sampleRate: audioTrack.sampleRate,
+        numberOfChannels: audioTrack.numberOfChannels,
+        description: audioTrack.codecPrivate,
+      };
+      infoLog("MatroskaDemuxer", "Audio track found", {
+        codec: config.codec,
+        sampleRate: config.sampleRate,
+        numberOfChannels: config.numberOfChannels,
+        samples: audioIndex.length,
+      });
+      this.onAudioConfig?.(config);
+    } else if (audioTrack) {
+      warnLog("MatroskaDemuxer", "Audio track not supported, ignoring it", {
+        codec: audioTrack.codecId,
+      });
+    }
+
+    const first = index.reduce((min, sample) => Math.min(min, sample.cts), Infinity);
+    const last = index.reduce(
+      (max, sample) => Math.max(max, sample.cts + sample.duration),
+      -Infinity
+    );
+    const durationSeconds = (last - first) / index[0].timescale;
+    const fps =
+      durationSeconds > 0
+        ? Math.round((index.length / durationSeconds) * 100) / 100
+        : 30;
+    const { codec, description } = this.getVideoCodec(track, fps);
+
+    infoLog("MatroskaDemuxer", "Video track found", {
+      codec,
+      width: track.width,
+      height: track.height,
+      samples: index.length,
+    });
+
+    this.nb_samples = index.length;
+    this.onConfig({
+      codec,
+      codedHeight: track.height,
+      codedWidth: track.width,
+      description,
+      nb_samples: index.length,
+      matrix: undefined,
+      startTime: this.dateUTC ?? new Date(),
+      fps,
+    });
+  }
+
+  /**
+   * Stops the scan and releases demuxer resources.
+   */
+  shutdown() {
+    this.stopped = true;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Helpers for H.264/HEVC bitstreams: reading the avcC/hvcC decoder
+ * configuration and converting between Annex B (start codes) and the
+ * length-prefixed NAL unit format stored in MP4 samples.
+ */
+
+/**
+ * Reads the size in bytes of the NAL unit length prefix used by the samples.
+ * @param {string} muxerCodec - 'avc' or 'hevc'.
+ * @param {Uint8Array} description - The avcC or hvcC payload.
+ * @returns {number} The length prefix size (1, 2 or 4).
+ */
+export function getNalLengthSize(muxerCodec, description) {
+  const byte = muxerCodec === "hevc" ? description[21] : description[4];
+  return (byte & 0x3) + 1;
+}
+
+/**
+ * Extracts the parameter set NAL units (VPS, SPS, PPS) from a decoder configuration.
+ * @param {string} muxerCodec - 'avc' or 'hevc'.
+ * @param {Uint8Array} description - The avcC or hvcC payload.
+ * @returns {Array<Uint8Array>} The parameter sets in decoding order.
+ */
+export function getParameterSets(muxerCodec, description) {
+  const nalUnits = [];
+  let pos;
+  const readNalUnits = (count) => {
+    for (let i = 0; i < count; i++) {
+      const size = (description[pos] << 8) | description[pos + 1];
+      pos += 2;
+      nalUnits.push(description.subarray(pos, pos + size));
+      pos += size;
+    }
+  };
+
+  if (muxerCodec === "hevc") {
+    const numArrays = description[22];
+    pos = 23;
+    for (let i = 0; i < numArrays; i++) {
+      pos++; // array_completeness and NAL unit type
+      const count = (description[pos] << 8) | description[pos + 1];
+      pos += 2;
+      readNalUnits(count);
+    }
+  } else {
+    pos = 5;
+    readNalUnits(description[pos++] & 0x1f); // SPS
+    readNalUnits(description[pos++]); // PPS
+  }
+  return nalUnits;
+}
+
+/**
+ * Splits an Annex B byte stream into its NAL units.
+ * @param {Uint8Array} data - The Annex B data.
+ * @returns {Array<Uint8Array>} The NAL units without start codes.
+ */
+function splitAnnexB(data) {
+  const nalUnits = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) {
+        // A 4-byte start code leaves a trailing zero on the previous unit.
+        let end = i;
+        while (end > start && data[end - 1] === 0) end--;
+        nalUnits.push(data.subarray(start, end));
+      }
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) {
+    nalUnits.push(data.subarray(start));
+  }
+  return nalUnits;
+}
+
+/**
+ * Writes NAL units with a big-endian length prefix of the given size.
+ * @param {Array<Uint8Array>} nalUnits - The NAL units.
+ * @param {number} lengthSize - The length prefix size in bytes.
+ * @returns {Uint8Array} The length-prefixed data.
+ */
+function writeLengthPrefixed(nalUnits, lengthSize) {
+  const total = nalUnits.reduce((sum, nal) => sum + lengthSize + nal.length, 0);
+  const output = new Uint8Array(total);
+  let pos = 0;
+  for (const nal of nalUnits) {
+    for (let i = lengthSize - 1; i >= 0; i--) {
+      output[pos++] = (nal.length >>> (8 * i)) & 0xff;
+    }
+    output.set(nal, pos);
+    pos += nal.length;
+  }
+  return output;
+}
+
+/**
+ * Converts an Annex B access unit to the length-prefixed format.
+ * @param {Uint8Array} data - The Annex B data.
+ * @param {number} lengthSize - The length prefix size in bytes.
+ * @returns {Uint8Array} The length-prefixed access unit.
+ */
+export function annexBToLengthPrefixed(data, lengthSize) {
+  return writeLengthPrefixed(splitAnnexB(data), lengthSize);
+}
+
+/**
+ * Prepends NAL units, e.g. parameter sets, to a length-prefixed access unit.
+ * @param {Uint8Array} data - The length-prefixed access unit.
+ * @param {Array<Uint8Array>} nalUnits - The NAL units to prepend.
+ * @param {number} lengthSize - The length prefix size in bytes.
+ * @returns {Uint8Array} The combined access unit.
+ */
+export function prependNalUnits(data, nalUnits, lengthSize) {
+  const prefix = writeLengthPrefixed(nalUnits, lengthSize);
+  const output = new Uint8Array(prefix.length + data.length);
+  output.set(prefix);
+  output.set(data, prefix.length);
+  return output;
+}
@@ -0,0 +1,342 @@
+import {
+  getSupportedOutputCodecs,
+  kOutputCodecs,
+  kOutputContainers,
+} from "./codecUtils.js";
+
+/**
+ * Provides the output settings of an export from the user input fields.
+ */
+export class OutputSettingsProvider {
+  /**
+   * Initializes the provider with the output settings input elements.
+   * @param {object} config - The configuration object.
+   * @param {HTMLSelectElement} config.codecSelect - The select element for the output codec.
+   * @param {HTMLSelectElement} config.containerSelect - The select element for the output container.
+   * @param {HTMLSelectElement} config.trimModeSelect - The select element for the trim mode.
+   * @param {HTMLSelectElement} config.rateControlSelect - The select element for the rate control mode.
+   * @param {HTMLInputElement} config.bitrateInput - The input element for the bitrate in Mbps.
+   * @param {HTMLInputElement} config.quantizerInput - The input element for the quantizer.
+   * @param {HTMLInputElement} config.targetSizeInput - The input element for the target size in MB.
+   * @param {HTMLSelectElement} config.gopSelect - The select element for the keyframe placement.
+   * @param {HTMLInputElement} config.gopLengthInput - The input element for the GOP length.
+   * @param {HTMLSelectElement} config.sizeSelect - The select element for the output size.
+   * @param {HTMLInputElement} config.widthInput - The input element for a custom width.
+   * @param {HTMLInputElement} config.heightInput - The input element for a custom height.
+   * @param {HTMLSelectElement} config.rotationModeSelect - The select element for
+   *   how the rotation is applied.
+   * @param {HTMLSelectElement} config.speedSelect - The select element for the playback speed.
+   * @param {HTMLSelectElement} config.speedMethodSelect - The select element for
+   *   how frames are dropped or added when the speed changes.
+   * @param {HTMLSelectElement} config.directionSelect - The select element for
+   *   the playback direction.
+   * @param {HTMLInputElement} config.splitDurationInput - The input element for
+   *   the longest part in minutes, empty for no limit.
+   * @param {HTMLInputElement} config.splitSizeInput - The input element for the
+   *   largest part in MB, empty for no limit.
+   */
+  constructor({
+    codecSelect,
+    containerSelect,
+    trimModeSelect,
+    rateControlSelect,
+    bitrateInput,
+    quantizerInput,
+    targetSizeInput,
+    gopSelect,
+    gopLengthInput,
+    sizeSelect,
+    widthInput,
+    heightInput,
+    rotationModeSelect,
+    speedSelect,
+    speedMethodSelect,
+    directionSelect,
+    splitDurationInput,
+    splitSizeInput,
+  }) {
+    this.codecSelect = codecSelect;
+    this.containerSelect = containerSelect;
+    this.trimModeSelect = trimModeSelect;
+    this.rateControlSelect = rateControlSelect;
+    this.bitrateInput = bitrateInput;
+    this.quantizerInput = quantizerInput;
+    this.targetSizeInput = targetSizeInput;
+    this.gopSelect = gopSelect;
+    this.gopLengthInput = gopLengthInput;
+    this.sizeSelect = sizeSelect;
+    this.widthInput = widthInput;
+    this.heightInput = heightInput;
+    this.rotationModeSelect = rotationModeSelect;
+    this.speedSelect = speedSelect;
+    this.speedMethodSelect = speedMethodSelect;
+    this.directionSelect = directionSelect;
+    this.splitDurationInput = splitDurationInput;
+    this.splitSizeInput = splitSizeInput;
+    this.supportedCodecs = null; // Codecs the browser can encode, null until probed
+
+    // Only the codecs the chosen container can hold are offered.
+    this.containerSelect.addEventListener("change", () => this.renderCodecOptions());
+    this.codecSelect.addEventListener("change", () => this.updateQuantizerRange());
+    this.rateControlSelect.addEventListener("change", () => this.renderRateControl());
+    this.gopSelect.addEventListener("change", () => this.renderGop());
+    this.sizeSelect.addEventListener("change", () => this.renderOutputSize());
+    this.renderRateControl();
+    this.renderGop();
+    this.renderOutputSize();
+  }
+
+  /**
+   * Lists the output codecs the browser can encode at the given resolution and
+   * frame rate. The current choice is kept when it is still available.
+   * @param {number} width - The output width.
+   * @param {number} height - The output height.
+   * @param {number} fps - The output frame rate.
+   * @returns {Promise<void>}
+   */
+  async updateCodecOptions(width, height, fps) {
+    this.supportedCodecs = await getSupportedOutputCodecs(width, height, fps);
+    this.renderCodecOptions();
+  }
+
+  /**
+   * Fills the codec select with the supported codecs the selected container
+   * can hold. A container holding none of them cannot be selected.
+   * @private
+   */
+  renderCodecOptions() {
+    if (!this.supportedCodecs) {
+      return;
+    }
+    const codecsOf = (container) => {
+      const { videoCodecs } = kOutputContainers[container];
+      return this.supportedCodecs.filter(({ id }) => videoCodecs.includes(id));
+    };
+    const containerOptions = Array.from(this.containerSelect.options);
+    for (const option of containerOptions) {
+      option.disabled = codecsOf(option.value).length === 0;
+    }
+    if (this.containerSelect.selectedOptions[0]?.disabled) {
+      const available = containerOptions.find((option) => !option.disabled);
+      if (available) {
+        this.containerSelect.value = available.value;
+      }
+    }
+
+    const previous = this.codecSelect.value;
+    const codecs = codecsOf(this.containerSelect.value);
+
+    this.codecSelect.replaceChildren(
+      ...codecs.map(({ id, label, codec }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = label;
+        option.title = codec;
+        return option;
+      })
+    );
+    if (codecs.some(({ id }) => id === previous)) {
+      this.codecSelect.value = previous;
+    }
+    this.codecSelect.disabled = codecs.length === 0;
+    this.updateQuantizerRange();
+  }
+
+  /**
+   * Shows the value input of the selected rate control mode, if any.
+   * @private
+   */
+  renderRateControl() {
+    const mode = this.rateControlSelect.value;
+    const inputs = {
+      constant: this.bitrateInput,
+      variable: this.bitrateInput,
+      quantizer: this.quantizerInput,
+      size: this.targetSizeInput,
+    };
+    for (const input of [this.bitrateInput, this.quantizerInput, this.targetSizeInput]) {
+      input.closest("label").hidden = inputs[mode] !== input;
+    }
+  }
+
+  /**
+   * Shows the GOP length input when the keyframe placement needs one.
+   * @private
+   */
+  renderGop() {
+    const mode = this.gopSelect.value;
+    this.gopLengthInput.closest("label").hidden = mode !== "seconds" && mode !== "frames";
+    this.gopLengthInput.step = mode === "frames" ? "1" : "any";
+  }
+
+  /**
+   * Shows the custom width and height inputs when the custom size is selected.
+   * @private
+   */
+  renderOutputSize() {
+    this.widthInput.parentElement.hidden = this.sizeSelect.value !== "custom";
+  }
+
+  /**
+   * Limits the quantizer input to the QP range of the selected codec.
+   * @private
+   */
+  updateQuantizerRange() {
+    const codec = kOutputCodecs.find(({ id }) => id === this.getCodec());
+    if (!codec) {
+      return;
+    }
+    this.quantizerInput.max = codec.maxQuantizer;
+    if (Number(this.quantizerInput.value) > codec.maxQuantizer) {
+      this.quantizerInput.value = codec.maxQuantizer;
+    }
+  }
+
+  /**
+   * Gets the selected codec, H.264 until the supported codecs are known.
+   * @returns {string|null} The mp4-muxer codec id, or null if the browser
+   *   cannot encode any codec the containers can hold.
+   * @private
+   */
+  getCodec() {
+    return this.codecSelect.value || null;
+  }
+
+  /**
+   * Gets the selected rate control, with the values converted to the units
+   * of VideoProcessor.setOutputSettings.
+   * @returns {{mode: string, bitrate?: number, quantizer?: number, targetSize?: number}}
+   *   The rate control; bitrate is in bits per second, targetSize in bytes.
+   * @throws {Error} If the value of the selected mode is not a positive number.
+   * @private
+   */
+  getRateControl() {
+    const mode = this.rateControlSelect.value;
+    const readPositive = (input, what) => {
+      const value = Number(input.value);
+      if (!(value > 0)) {
+        throw new Error(`Enter a ${what} greater than 0`);
+      }
+      return value;
+    };
+
+    switch (mode) {
+      case "constant":
+      case "variable":
+        return {
+          mode,
+          bitrate: Math.round(readPositive(this.bitrateInput, "bitrate") * 1_000_000),
+        };
+      case "quantizer": {
+        const quantizer = Number(this.quantizerInput.value);
+        if (!Number.isInteger(quantizer) || quantizer < 0) {
+          throw new Error(`Enter a quantizer between 0 and ${this.quantizerInput.max}`);
+        }
+        return { mode, quantizer };
+      }
+      case "size":
+        return {
+          mode,
+          targetSize: Math.floor(readPositive(this.targetSizeInput, "file size") * 1024 * 1024),
+        };
+      default:
+        return { mode: "auto" };
+    }
+  }
+
+  /**
+   * Gets the selected keyframe placement.
+   * @returns {{mode: string, length?: number}} The GOP settings, in seconds or frames.
+   * @throws {Error} If the GOP length is invalid.
+   * @private
+   */
+  getGop() {
+    const mode = this.gopSelect.value;
+    if (mode !== "seconds" && mode !== "frames") {
+      return { mode };
+    }
+    const length = Number(this.gopLengthInput.value);
+    if (!(length >= 0) || (mode === "frames" && !Number.isInteger(length))) {
+      throw new Error(`Enter a keyframe interval of 0 or more ${mode}`);
+    }
+    return { mode, length };
+  }
+
+  /**
+   * Gets the selected output size.
+   * @returns {{preset: string, width?: number, height?: number}} The output size;
+   *   a custom dimension left empty is 0, to be derived from the aspect ratio.
+   * @throws {Error} If the custom size is invalid.
+   * @private
+   */
+  getOutputSize() {
+    const preset = this.sizeSelect.value;
+    if (preset !== "custom") {
+      return { preset };
+    }
+    const width = Number(this.widthInput.value);
+    const height = Number(this.heightInput.value);
+    const isValid = (value) => Number.isInteger(value) && value >= 0;
+    if (!isValid(width) || !isValid(height) || width + height === 0) {
+      throw new Error("Enter a custom output width, height or both, in whole pixels");
+    }
+    return { preset, width, height };
+  }
+
+  /**
+   * Gets the selected part limits of a split output.
+   * @returns {{maxDurationMs: number, maxBytes: number}|null} The limits, 0
+   *   for none, or null if the output is not split.
+   * @throws {Error} If a limit is not empty or a positive number.
+   * @private
+   */
+  getSplit() {
+    const readLimit = (input, what) => {
+      if (input.value === "") {
+        return 0;
+      }
+      const value = Number(input.value);
+      if (!(value > 0)) {
+        throw new Error(`Enter a part ${what} greater than 0, or leave it empty`);
+      }
+      return value;
+    };
+    const maxDurationMs = Math.round(readLimit(this.splitDurationInput, "duration") * 60_000);
+    const maxBytes = Math.floor(readLimit(this.splitSizeInput, "size") * 1024 * 1024);
+    if (maxDurationMs === 0 && maxBytes === 0) {
+      return null;
+    }
+    return { maxDurationMs, maxBytes };
+  }
+
+  /**
+   * Gets the selected output settings.
+   * @returns {{codec: string, container: string, trimMode: string, rateControl: Object,
+   *   gop: Object, outputSize: Object, rotationMode: string, speed: Object,
+   *   direction: string, split: Object|null}} - The settings, as expected by
+   *   VideoProcessor.setOutputSettings.
+   * @throws {Error} If no codec can be encoded, or a rate control, GOP, size
+   *   or split value is invalid.
+   */
+  getSettings() {
+    const codec = this.getCodec();
+    if (!codec) {
+      throw new Error("This browser cannot encode any of the output video codecs");
+    }
+    return {
+      codec,
+      container: this.containerSelect.value,
+      trimMode: this.trimModeSelect.value,
+      rateControl: this.getRateControl(),
+      gop: this.getGop(),
+      outputSize: this.getOutputSize(),
+      rotationMode: this.rotationModeSelect.value,
+      speed: {
+        factor: Number(this.speedSelect.value),
+        method: this.speedMethodSelect.value,
+      },
+      direction: this.directionSelect.value,
+      split: this.getSplit(),
+    };
+  }
+}
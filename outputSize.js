@@ -0,0 +1,74 @@
+/**
+ * Output resolution presets, largest first. Each fits the output into a
+ * 16:9 box whose short side is `shortSide`, in the orientation of the video.
+ */
+export const kResolutionPresets = [
+  { id: "2160p", label: "2160p (4K)", shortSide: 2160 },
+  { id: "1080p", label: "1080p", shortSide: 1080 },
+  { id: "720p", label: "720p", shortSide: 720 },
+  { id: "480p", label: "480p", shortSide: 480 },
+];
+
+/**
+ * Rounds a dimension to the nearest even number, as required by 4:2:0 chroma
+ * subsampling.
+ * @param {number} value - The dimension in pixels.
+ * @returns {number} The even dimension, at least 2.
+ */
+export function alignEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Scales a size down to fit a preset box, keeping the aspect ratio. Sizes
+ * already inside the box are kept; the result is never upscaled.
+ * @param {number} width - The source width.
+ * @param {number} height - The source height.
+ * @param {number} shortSide - The short side of the 16:9 preset box.
+ * @returns {{width: number, height: number}} The even output size.
+ */
+function fitToPreset(width, height, shortSide) {
+  const longSide = Math.round((shortSide * 16) / 9);
+  const [boxWidth, boxHeight] =
+    width >= height ? [longSide, shortSide] : [shortSide, longSide];
+  const scale = Math.min(1, boxWidth / width, boxHeight / height);
+  return { width: alignEven(width * scale), height: alignEven(height * scale) };
+}
+
+/**
+ * Computes the exact output size of an export.
+ * @param {number} width - The width of the rendered picture (after zoom, rotation and levelling).
+ * @param {number} height - The height of the rendered picture.
+ * @param {Object} [outputSize={preset: 'original'}] - The requested size:
+ *   'original' keeps the rendered size, a preset id of kResolutionPresets
+ *   downscales to it, and 'custom' uses `outputSize.width` x `outputSize.height`,
+ *   deriving a missing dimension from the aspect ratio. A custom size of
+ *   another aspect ratio is filled with the centre of the picture, see cropToAspect.
+ * @returns {{width: number, height: number}} The even output size.
+ */
+export function computeOutputDimensions(width, height, outputSize = { preset: "original" }) {
+  const { preset } = outputSize;
+  if (preset === "custom") {
+    const customWidth = outputSize.width || (outputSize.height * width) / height;
+    const customHeight = outputSize.height || (outputSize.width * height) / width;
+    return { width: alignEven(customWidth), height: alignEven(customHeight) };
+  }
+  const match = kResolutionPresets.find(({ id }) => id === preset);
+  if (match) {
+    return fitToPreset(width, height, match.shortSide);
+  }
+  return { width: alignEven(width), height: alignEven(height) };
+}
+
+/**
+ * Lists smaller sizes to fall back to when the encoder rejects a size: each
+ * preset below it, with the same aspect ratio.
+ * @param {number} width - The rejected width.
+ * @param {number} height - The rejected height.
+ * @returns {Array<{width: number, height: number}>} The sizes, largest first.
+ */
+export function getFallbackDimensions(width, height) {
+  return kResolutionPresets
+    .filter(({ shortSide }) => shortSide < Math.min(width, height))
+    .map(({ shortSide }) => fitToPreset(width, height, shortSide));
+}
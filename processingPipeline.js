@@ -4,11 +4,24 @@ import {
   infoLog,
   debugLog,
   verboseLog,
+  performanceLog,
   kDecodeQueueSize,
 } from "./logging.js";
 import { VideoEncoder } from "./videoEncoder.js";
 import { VideoDecoder } from "./videoDecoder.js";
 import { ResourceManager } from "./resourceManager.js";
+import { AudioTrackProcessor } from "./audioTrackProcessor.js";
+import { SmartRenderer } from "./smartRenderer.js";
+import { ReverseRenderer } from "./reverseRenderer.js";
+import { SampleManager } from "./sampleManager.js";
+import { computeOutputDimensions } from "./outputSize.js";
+import { FrameRetimer } from "./frameRetimer.js";
+import { CutList } from "./cutList.js";
+import {
+  bitrateForTargetSize,
+  decoderConfigsMatch,
+  muxerCodecFromCodecString,
+} from "./codecUtils.js";
 
 /**
  * ProcessingPipeline manages the core video processing flow from decoding through encoding.
@@ -19,35 +32,164 @@ export class ProcessingPipeline {
    * @param {Object} options - The options for the pipeline.
    * @param {Function} options.onFrameProcessed - Callback executed for each processed frame.
    * @param {Function} options.onFinalized - Callback executed when processing is complete.
+   * @param {Function} [options.onOutput] - Receives the output file, its
+   *   suggested name and its temporary OPFS file name, see VideoEncoder; by
+   *   default the file is downloaded.
+   * @param {string} [options.outputName='processed-video'] - The output file
+   *   name, without extension.
    * @param {SampleManager} options.sampleManager - The manager for video samples.
+   * @param {SampleManager} [options.audioSampleManager] - The manager for audio samples.
+   * @param {Object|null} [options.audioConfig] - The source audio configuration, if any.
    * @param {UIManager} options.uiManager - The manager for UI updates.
    * @param {boolean} options.isChromeBased - Flag for browser type.
    * @param {number} options.fps - The frames per second of the video.
+   * @param {string} [options.outputCodec='avc'] - The mp4-muxer codec id of the
+   *   re-encoded video. Copied samples keep the source codec.
+   * @param {string} [options.container='mp4'] - The output container: 'mp4' or 'webm'.
+   *   'copy' and 'smart' only support 'mp4'.
+   * @param {string} [options.trimMode='reencode'] - How the video is produced:
+   *   'reencode' decodes, draws and re-encodes every frame; 'copy' remuxes the
+   *   keyframe-aligned source samples; 'smart' copies the GOPs inside the range
+   *   and re-encodes only the partial ones at its edges. 'copy' and 'smart' are
+   *   only valid when no pixel changes are requested.
+   * @param {Object} [options.rateControl={mode: 'auto'}] - The rate control of the
+   *   re-encoded video, as taken by VideoEncoder.init, plus the 'size' mode which
+   *   fits the output into `rateControl.targetSize` bytes.
+   * @param {number} [options.durationMs=0] - The duration of the exported range in
+   *   ms, required by the 'size' rate control mode.
+   * @param {Object} [options.gop={mode: 'auto'}] - The keyframe placement of the
+   *   re-encoded video, as taken by VideoEncoder.init.
+   * @param {Array<number>} [options.keyframeTimes=[]] - Output times in ms at which
+   *   the re-encoded video gets a keyframe.
+   * @param {Object} [options.outputSize={preset: 'original'}] - The size of the
+   *   re-encoded video, as taken by computeOutputDimensions.
+   * @param {number} [options.metadataRotation=0] - The rotation in degrees written
+   *   to the MP4 track matrix rather than drawn; the frames must then be
+   *   rendered without it.
+   * @param {Object} [options.speed={factor: 1, method: 'drop'}] - The playback
+   *   speed of the re-encoded video. `factor` is the speed, e.g. 8 for a
+   *   timelapse or 0.5 for slow motion. `method` 'drop' keeps the nearest source
+   *   frame for each output frame, dropping or repeating frames; 'blend'
+   *   averages the frames of each output frame when speeding up and
+   *   cross-fades between them when slowing down. The output keeps the source
+   *   frame rate and has no audio.
+   * @param {string} [options.direction='forward'] - The playback direction of the
+   *   re-encoded video: 'forward', 'reverse', or 'boomerang' for forward then
+   *   backwards. Reversed outputs have no audio and play at normal speed.
+   * @param {Array<{start: number, end: number}>|null} [options.segments=null] - The
+   *   kept segments in ms, in time order, joined into one output with
+   *   continuous timestamps; null exports the time range passed to start().
+   *   Joined segments are re-encoded forward at normal speed.
+   * @param {Object|null} [options.split=null] - Splits the output into parts
+   *   at keyframes, see VideoEncoder's split option: `maxDurationMs` and
+   *   `maxBytes` limit each part, 0 for no limit. A re-encode forces a
+   *   keyframe where the duration limit is reached. The timestamp overlay
+   *   of each part keeps showing the recording time of its frames.
+   * @param {Array<Object>|null} [options.sourceConfigs=null] - The video
+   *   configuration of each joined input file, indexed by the samples'
+   *   `source`; the decoder is reconfigured where the next file's codec
+   *   description differs. null for a single file. Joined files are
+   *   re-encoded forward.
    */
   constructor({
     onFrameProcessed,
     onFinalized,
+    onOutput,
+    outputName = "processed-video",
     sampleManager,
+    audioSampleManager = null,
+    audioConfig = null,
     uiManager,
     isChromeBased,
     fps,
+    outputCodec = "avc",
+    container = "mp4",
+    trimMode = "reencode",
+    rateControl = { mode: "auto" },
+    durationMs = 0,
+    gop = { mode: "auto" },
+    keyframeTimes = [],
+    outputSize = { preset: "original" },
+    metadataRotation = 0,
+    speed = { factor: 1, method: "drop" },
+    direction = "forward",
+    segments = null,
+    split = null,
+    sourceConfigs = null,
   }) {
     this.onFrameProcessed = onFrameProcessed;
     this.onFinalized = onFinalized;
+    this.onOutput = onOutput;
+    this.outputName = outputName;
+    this.split = split;
+    this.sourceConfigs = sourceConfigs;
     this.sampleManager = sampleManager;
+    this.audioSampleManager = audioSampleManager;
+    this.audioConfig = audioConfig;
     this.uiManager = uiManager;
     this.isChromeBased = isChromeBased;
     this.fps = fps;
+    this.outputCodec = outputCodec;
+    this.container = container;
+    this.trimMode = trimMode;
+    this.rateControl = rateControl;
+    this.durationMs = durationMs;
+    this.gop = gop;
+    this.keyframeTimes = keyframeTimes;
+    this.outputSize = outputSize;
+    this.metadataRotation = metadataRotation;
+    this.speed = speed;
+    this.direction = direction;
+    this.cutList = segments?.length > 1 ? new CutList(segments, 1000 / fps) : null;
+    if (this.cutList && (this.direction !== "forward" || this.speed.factor !== 1)) {
+      warnLog("ProcessingPipeline", "Joined segments are exported forward at normal speed", {
+        direction,
+        speed: speed.factor,
+      });
+      this.direction = "forward";
+      this.speed = { ...speed, factor: 1 };
+    }
+    if (this.sourceConfigs && this.direction !== "forward") {
+      warnLog("ProcessingPipeline", "Joined files are exported forward", { direction });
+      this.direction = "forward";
+    }
+    if (this.direction !== "forward" && this.speed.factor !== 1) {
+      warnLog("ProcessingPipeline", "Speed changes apply to forward exports only", {
+        direction,
+        speed: speed.factor,
+      });
+      this.speed = { ...speed, factor: 1 };
+    }
+    this.videoConfig = null;
 
     this.decoder = null;
+    this.decoderConfig = null; // Configuration the decoder was last configured with
     this.encoder = null;
-    this.state = "idle"; // 'idle', 'ready', 'processing', 'exhausted', 'finalized'
+    this.smartRenderer = null;
+    this.reverseRenderer = null;
+    this.audioProcessor = null;
+    this.audioOutputConfig = null; // Muxer audio options, null for a silent output
+    this.state = "idle"; // 'idle', 'ready', 'processing', 'paused', 'exhausted', 'finalized', 'cancelled'
     this.processingResolve = null;
+    this.processingReject = null;
     this.processingPromise = null;
     this.outputTaskPromises = [];
     this.previousPromise = Promise.resolve();
     this.timeRangeStart = 0;
     this.timeRangeEnd = 0;
+    this.job = null; // Filter chain job metadata, set when processing starts
+    this.directSourceRect = null; // Source rectangle encoded from the decoded frames, null to draw them
+    this.frameTimings = {
+      direct: { count: 0, total: 0 }, // Wrapping decoded frames, in ms
+      canvas: { count: 0, total: 0 }, // Drawing and reading back the canvas, in ms
+    };
+    this.retimer = null; // Output slots of a speed-changed export, null at normal speed
+    this.heldFrame = null; // Last source frame, kept until the next one when retiming
+    this.retimeFromUs = 0; // Source time up to which the output slots are filled
+    this.blendSlotIndex = null; // Output slot being averaged when speeding up
+    this.blendCount = 0; // Source frames averaged into it so far
+    this.timerDispatchPending = false;
+    this.copyDispatchPending = false;
 
     // Initialize resource manager
     this.resourceManager = new ResourceManager();
@@ -60,11 +202,54 @@ export class ProcessingPipeline {
    * @param {Object} config - The video configuration object from the demuxer.
    */
   async setup(config) {
-    await this.setupDecoder(config);
-    await this.setupEncoder();
+    this.videoConfig = config;
+    await this.setupAudio();
+    if (this.trimMode === "smart") {
+      await this.setupSmartRender();
+    }
+    if (this.trimMode === "copy") {
+      this.setupPassthrough();
+    } else if (this.trimMode === "reencode") {
+      if (this.direction === "forward") {
+        await this.setupDecoder(config);
+      } else {
+        await this.setupReverseRender(config);
+      }
+      await this.setupEncoder();
+    }
     this.state = "ready";
   }
 
+  /**
+   * Sets up the audio track processor when the source has an audio track,
+   * deciding between passthrough and re-encoding.
+   * @private
+   */
+  async setupAudio() {
+    if (!this.audioConfig || !this.audioSampleManager) {
+      return;
+    }
+    if (this.speed.factor !== 1 || this.direction !== "forward") {
+      warnLog("ProcessingPipeline", "Output retimed, exporting without audio", {
+        speed: this.speed.factor,
+        direction: this.direction,
+      });
+      return;
+    }
+    try {
+      this.audioProcessor = new AudioTrackProcessor({
+        sampleManager: this.audioSampleManager,
+        config: this.audioConfig,
+        container: this.container,
+      });
+      this.audioOutputConfig = await this.audioProcessor.prepare();
+    } catch (error) {
+      warnLog("ProcessingPipeline", "Audio setup failed, exporting without audio", error);
+      this.audioProcessor = null;
+      this.audioOutputConfig = null;
+    }
+  }
+
   /**
    * Sets up the video decoder.
    * @param {Object} config - The video configuration object from the demuxer.
@@ -82,6 +267,7 @@ export class ProcessingPipeline {
       });
 
       await this.decoder.setup(config);
+      this.decoderConfig = config;
       this.uiManager.setStatus("decode", "Decoder configured");
       infoLog("ProcessingPipeline", "Decoder setup complete");
     } catch (error) {
@@ -90,29 +276,176 @@ export class ProcessingPipeline {
     }
   }
 
+  /**
+   * Sets up the reverse renderer, which decodes the range GOP by GOP with its
+   * own decoder.
+   * @param {Object} config - The video configuration object from the demuxer.
+   * @private
+   */
+  async setupReverseRender(config) {
+    this.reverseRenderer = new ReverseRenderer({
+      sampleManager: this.sampleManager,
+      videoConfig: config,
+      resourceManager: this.resourceManager,
+      isChromeBased: this.isChromeBased,
+      onFrame: (frame, timestamp) => this.processReversedFrame(frame, timestamp),
+    });
+    await this.reverseRenderer.setup();
+    this.uiManager.setStatus("decode", "Decoder configured");
+    infoLog("ProcessingPipeline", "Reverse render setup complete", {
+      direction: this.direction,
+    });
+  }
+
+  /**
+   * Creates the encoder writing the output.
+   * @returns {VideoEncoder} The encoder, still to be initialized.
+   * @private
+   */
+  createEncoder() {
+    return new VideoEncoder({
+      onOutput: this.onOutput,
+      rotation: this.metadataRotation,
+      name: this.outputName,
+      split: this.split,
+    });
+  }
+
   /**
    * Sets up the video encoder.
    * @private
    */
   async setupEncoder() {
-    this.encoder = new VideoEncoder();
+    this.encoder = this.createEncoder();
     const { width, height } = this.getEncoderDimensions();
-    await this.encoder.init(width, height, this.fps, !this.isChromeBased, true);
+    await this.encoder.init({
+      width,
+      height,
+      fps: this.fps,
+      useCalculatedBitrate: !this.isChromeBased,
+      rateControl: this.resolveRateControl(),
+      gop: this.gop,
+      keyframeTimestamps: this.keyframeTimes.map((ms) => ms * 1000),
+      codec: this.outputCodec,
+      container: this.container,
+      useFileSystem: true,
+      audio: this.audioOutputConfig,
+    });
+
+    // Frames are rendered at the size the encoder accepted.
+    this.uiManager.setupCanvas(this.encoder.width, this.encoder.height);
+    infoLog("ProcessingPipeline", "Encoder output size", {
+      width: this.encoder.width,
+      height: this.encoder.height,
+    });
+  }
+
+  /**
+   * Resolves the 'size' rate control mode into a constant bitrate filling the
+   * target size once the audio track is accounted for. Other modes are
+   * returned as-is.
+   * @returns {Object} The rate control options for VideoEncoder.init.
+   * @private
+   */
+  resolveRateControl() {
+    if (this.rateControl.mode !== "size") {
+      return this.rateControl;
+    }
+    const audioBitrate = this.audioProcessor?.estimateBitrate() ?? 0;
+    const bitrate = bitrateForTargetSize(
+      this.rateControl.targetSize,
+      this.durationMs,
+      audioBitrate
+    );
+    infoLog("ProcessingPipeline", "Bitrate derived from the target size", {
+      targetSize: this.rateControl.targetSize,
+      durationMs: this.durationMs,
+      audioBitrate,
+      bitrate,
+    });
+    return { mode: "constant", bitrate };
   }
 
   /**
-   * Calculates the output dimensions for the encoder, accounting for rotation, zoom,
-   * and ensuring dimensions are a multiple of 64.
-   * @returns {{width: number, height: number}}
+   * Sets up the muxer for stream copy. No decoder or encoder is involved.
+   * @private
+   */
+  setupPassthrough() {
+    const muxerCodec = muxerCodecFromCodecString(this.videoConfig.codec);
+    if (!muxerCodec) {
+      throw new Error(`Stream copy is not supported for codec ${this.videoConfig.codec}`);
+    }
+    this.encoder = this.createEncoder();
+    this.encoder.initPassthrough({
+      decoderConfig: this.videoConfig,
+      muxerCodec,
+      useFileSystem: true,
+      audio: this.audioOutputConfig,
+    });
+    this.uiManager.setStatus("copy", "Stream copy configured");
+    infoLog("ProcessingPipeline", "Stream copy setup complete", {
+      codec: this.videoConfig.codec,
+    });
+  }
+
+  /**
+   * Sets up smart rendering: the muxer takes the source samples as-is and an
+   * encoder matching the source handles the boundary GOPs. Falls back to a
+   * full re-encode when no such encoder is available.
+   * @private
+   */
+  async setupSmartRender() {
+    const muxerCodec = muxerCodecFromCodecString(this.videoConfig.codec);
+    const samples = this.sampleManager.samples;
+    const encoderConfig = muxerCodec
+      ? await SmartRenderer.findEncoderConfig({
+          videoConfig: this.videoConfig,
+          muxerCodec,
+          fps: this.fps,
+          bitrate: SampleManager.estimateBitrate(samples),
+        })
+      : null;
+    if (!encoderConfig) {
+      warnLog("ProcessingPipeline", "No encoder matches the source, re-encoding every frame", {
+        codec: this.videoConfig.codec,
+      });
+      this.trimMode = "reencode";
+      return;
+    }
+
+    this.encoder = this.createEncoder();
+    await this.encoder.initSmartRender({
+      decoderConfig: this.videoConfig,
+      muxerCodec,
+      encoderConfig,
+      reorderDelay: SmartRenderer.reorderDelayUs(samples),
+      useFileSystem: true,
+      audio: this.audioOutputConfig,
+    });
+    this.smartRenderer = new SmartRenderer({
+      sampleManager: this.sampleManager,
+      videoConfig: this.videoConfig,
+      encoder: this.encoder,
+      isChromeBased: this.isChromeBased,
+      onFrameProcessed: () => this.onFrameProcessed(),
+    });
+    await this.smartRenderer.setup();
+    this.uiManager.setStatus("smart", "Smart render configured");
+    infoLog("ProcessingPipeline", "Smart render setup complete", {
+      codec: encoderConfig.codec,
+      bitrate: encoderConfig.bitrate,
+    });
+  }
+
+  /**
+   * Calculates the output dimensions for the encoder from the rendered picture,
+   * which accounts for rotation, zoom and levelling (flips keep the size),
+   * and the requested output size.
+   * @returns {{width: number, height: number}} The even output dimensions.
    */
   getEncoderDimensions() {
-    const { rotation, videoWidth, videoHeight, zoom } = this.uiManager;
-    const isSideways = rotation % 180 !== 0;
-    const width =
-      Math.ceil(((isSideways ? videoHeight : videoWidth) * zoom) / 64) * 64;
-    const height =
-      Math.ceil(((isSideways ? videoWidth : videoHeight) * zoom) / 64) * 64;
-    return { width, height };
+    const { width, height } = this.uiManager.getCanvasDimensions();
+    return computeOutputDimensions(width, height, this.outputSize);
   }
 
   /**
@@ -127,16 +460,198 @@ export class ProcessingPipeline {
     this.timeRangeStart = timeRangeStart;
     this.timeRangeEnd = timeRangeEnd;
     this.state = "processing";
-    this.timerDispatch();
-    this.dispatch(kDecodeQueueSize);
+    // Metadata handed to the filter chain with every frame.
+    this.job = {
+      mode: "export",
+      timeRangeStart,
+      timeRangeEnd,
+      fps: this.fps,
+      width: this.encoder.width,
+      height: this.encoder.height,
+      codec: this.outputCodec,
+      container: this.container,
+    };
+    this.uiManager.filterChain.resetTimings();
+    this.directSourceRect =
+      this.trimMode === "reencode"
+        ? this.uiManager.getDirectSourceRect(this.encoder.width / this.encoder.height)
+        : null;
+    if (this.speed.factor !== 1) {
+      this.retimer = new FrameRetimer({
+        speed: this.speed.factor,
+        fps: this.fps,
+        startUs: Math.round(timeRangeStart * 1000),
+      });
+      this.retimeFromUs = this.retimer.startUs;
+      // Blended frames are made on the canvas.
+      if (this.speed.method === "blend") {
+        this.directSourceRect = null;
+      }
+      infoLog("ProcessingPipeline", "Retiming the output", { ...this.speed, fps: this.fps });
+    }
+    if (this.directSourceRect) {
+      infoLog("ProcessingPipeline", "Encoding the decoded frames without the canvas", {
+        sourceRect: this.directSourceRect,
+      });
+    }
 
-    this.processingPromise = new Promise((resolve) => {
+    this.processingPromise = new Promise((resolve, reject) => {
       this.processingResolve = resolve;
+      this.processingReject = reject;
     });
 
+    // The audio is produced alongside the video and interleaved with it.
+    this.startAudio();
+
+    if (this.trimMode === "smart") {
+      this.runSmartRender();
+    } else if (this.reverseRenderer) {
+      this.runReverseRender();
+    } else {
+      this.timerDispatch();
+      this.dispatch(kDecodeQueueSize);
+    }
+
     return this.processingPromise;
   }
 
+  /**
+   * Runs the smart renderer over the time range, then finalizes the output.
+   * Errors reject the promise returned by start().
+   * @private
+   */
+  async runSmartRender() {
+    try {
+      await this.smartRenderer.run(this.timeRangeStart, this.timeRangeEnd);
+      if (this.state === "cancelled") {
+        return;
+      }
+      this.state = "exhausted";
+      await this.finalize();
+    } catch (error) {
+      errorLog("ProcessingPipeline", "Smart render failed", error);
+      this.processingReject(error);
+    }
+  }
+
+  /**
+   * Runs the reverse renderer over the time range, then finalizes the output.
+   * Errors reject the promise returned by start().
+   * @private
+   */
+  async runReverseRender() {
+    try {
+      await this.reverseRenderer.run(
+        this.timeRangeStart,
+        this.timeRangeEnd,
+        this.direction === "boomerang"
+      );
+      if (this.state === "cancelled") {
+        return;
+      }
+      this.state = "exhausted";
+      await this.finalize();
+    } catch (error) {
+      errorLog("ProcessingPipeline", "Reverse render failed", error);
+      this.processingReject(error);
+    }
+  }
+
+  /**
+   * Starts producing the audio in the background. The encoder takes it a
+   * batch at a time and holds the production back while it is far enough
+   * ahead of the video. Errors reject the promise returned by start() and
+   * cancel the processing.
+   * @private
+   */
+  startAudio() {
+    if (!this.audioProcessor || !this.audioOutputConfig) {
+      return;
+    }
+    this.encoder.beginAudio();
+    this.processAudio()
+      .catch((error) => {
+        if (this.state === "cancelled") {
+          return;
+        }
+        errorLog("ProcessingPipeline", "Audio processing failed", error);
+        this.processingReject(error);
+        // The video alone is not the requested output.
+        this.cancel();
+      })
+      .finally(() => this.encoder.endAudio());
+  }
+
+  /**
+   * Produces the encoded audio for the selected time range and queues it in
+   * the encoder. The range ends one frame after the last video frame starts.
+   * A stream copy covers the whole GOPs around the range, and so does its audio.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async processAudio() {
+    const frameDurationMs = this.fps > 0 ? 1000 / this.fps : 0;
+    const onChunks = (chunks) => this.encoder.queueAudioChunks(chunks);
+    if (this.cutList) {
+      await this.processSegmentAudio(frameDurationMs);
+    } else if (this.trimMode === "copy") {
+      const { start, end } = this.getCopiedRange();
+      await this.audioProcessor.process(start, end, onChunks);
+    } else {
+      await this.audioProcessor.process(
+        this.timeRangeStart,
+        this.timeRangeEnd + frameDurationMs,
+        onChunks
+      );
+    }
+  }
+
+  /**
+   * Gets the time covered by the stream-copied samples, which start at the
+   * keyframe before the selected range and end before the keyframe after it.
+   * @returns {{start: number, end: number}} The range in ms, end exclusive.
+   * @private
+   */
+  getCopiedRange() {
+    let start = Infinity;
+    let end = -Infinity;
+    for (const sample of this.sampleManager.samples) {
+      start = Math.min(start, SampleManager.sampleTimeMs(sample));
+      end = Math.max(end, ((sample.cts + sample.duration) * 1000) / sample.timescale);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Produces the audio of each joined segment, moves it to the output
+   * timeline and queues it in the encoder. Chunks overlapping the end of the
+   * previous segment are dropped.
+   * @param {number} frameDurationMs - The duration of a video frame in ms.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async processSegmentAudio(frameDurationMs) {
+    let endUs = -Infinity;
+    for (const [index, { start, end }] of this.cutList.segments.entries()) {
+      if (this.state === "cancelled") {
+        return;
+      }
+      const offsetUs = this.cutList.offsetUs(index);
+      await this.audioProcessor.process(start, end + frameDurationMs, (chunks) => {
+        const retimed = [];
+        for (const { chunk, meta } of chunks) {
+          const timestamp = Math.round(chunk.timestamp + offsetUs);
+          if (timestamp < endUs) {
+            continue;
+          }
+          retimed.push({ chunk: AudioTrackProcessor.retimeChunk(chunk, timestamp), meta });
+          endUs = timestamp + (chunk.duration ?? 0);
+        }
+        return this.encoder.queueAudioChunks(retimed);
+      });
+    }
+  }
+
   /**
    * Requests and decodes a specified number of video chunks.
    * This method is called to feed the decoder with data from the SampleManager.
@@ -148,15 +663,29 @@ export class ProcessingPipeline {
     if (this.state !== "processing") {
       return;
     }
+    if (this.trimMode === "copy") {
+      this.dispatchCopy(n);
+      return;
+    }
+    // The smart and reverse renderers feed their own decoders.
+    if (this.trimMode !== "reencode" || this.reverseRenderer) {
+      return;
+    }
     verboseLog(`Dispatching ${n} chunks`);
-    this.sampleManager.requestChunks(
+    this.sampleManager.requestSamples(
       n,
-      (chunk) => {
-        this.decoder.decode(chunk);
-      },
+      (sample) => this.decodeSample(sample),
       async () => {
         this.state = "exhausted";
-        await this.decoder.flush();
+        try {
+          await this.decoder.flush();
+        } catch (error) {
+          // A cancellation resets the decoder, which aborts the flush.
+          if (this.state === "cancelled") {
+            return;
+          }
+          throw error;
+        }
 
         // Wait for decoder queue to drain
         let decoderTimeout = 0;
@@ -165,6 +694,12 @@ export class ProcessingPipeline {
           decoderTimeout++;
         }
 
+        // Fill the output slots after the last source frame
+        if (this.retimer) {
+          this.previousPromise = this.previousPromise.then(() => this.retimeFrame(null));
+          await this.previousPromise;
+        }
+
         // Wait for encoder queue to drain
         let encoderTimeout = 0;
         while (this.encoder.encodeQueueSize > 0 && encoderTimeout < 200) {
@@ -173,11 +708,64 @@ export class ProcessingPipeline {
         }
 
         // Both queues are empty, safe to finalize
+        if (this.state === "cancelled") {
+          return;
+        }
         await this.finalize();
       }
     );
   }
 
+  /**
+   * Decodes a sample, first reconfiguring the decoder if the sample starts a
+   * joined file whose codec description differs from the previous one's.
+   * @param {Object} sample - The sample, with its data.
+   * @private
+   */
+  decodeSample(sample) {
+    const config = this.sourceConfigs?.[sample.source];
+    if (config && config !== this.decoderConfig) {
+      if (!decoderConfigsMatch(config, this.decoderConfig)) {
+        infoLog("ProcessingPipeline", "Reconfiguring the decoder", {
+          source: sample.source,
+          codec: config.codec,
+        });
+        this.decoder.reconfigure(config);
+      }
+      this.decoderConfig = config;
+    }
+    this.decoder.decode(SampleManager.encodedVideoChunkFromSample(sample));
+  }
+
+  /**
+   * Muxes a number of source samples as-is for stream copy. Yields to the
+   * event loop between batches so pause and cancel requests are honoured.
+   * @param {number} n - The number of samples to mux.
+   * @private
+   */
+  dispatchCopy(n) {
+    verboseLog(`Copying ${n} samples`);
+    this.sampleManager.requestSamples(
+      n,
+      (sample) => {
+        this.encoder.addRawVideoSample(sample);
+        this.onFrameProcessed();
+      },
+      async () => {
+        this.state = "exhausted";
+        await this.finalize();
+      }
+    );
+    // Only one pending batch at a time, even across a pause and resume.
+    if (this.state === "processing" && !this.copyDispatchPending) {
+      this.copyDispatchPending = true;
+      setTimeout(() => {
+        this.copyDispatchPending = false;
+        this.dispatch(kDecodeQueueSize);
+      }, 0);
+    }
+  }
+
   /**
    * A timer-based dispatch mechanism for non-Chrome browsers that do not
    * support the `ondequeue` event on the VideoDecoder.
@@ -187,10 +775,16 @@ export class ProcessingPipeline {
     if (this.state !== "processing") {
       return;
     }
-    if (this.isChromeBased) {
+    if (this.isChromeBased || this.trimMode !== "reencode" || this.reverseRenderer) {
+      return;
+    }
+    // A pause followed by a quick resume must not start a second timer chain.
+    if (this.timerDispatchPending) {
       return;
     }
+    this.timerDispatchPending = true;
     this.decoder.startTimerDispatch((n) => {
+      this.timerDispatchPending = false;
       if (n > 0) {
         this.dispatch(n);
       }
@@ -198,6 +792,41 @@ export class ProcessingPipeline {
     });
   }
 
+  /**
+   * Pauses the processing. No more chunks are dispatched, while the chunks
+   * already queued keep draining through the decoder and encoder. The muxer
+   * and the output file stay open so processing can be resumed later.
+   * @returns {boolean} True if the pipeline was paused.
+   */
+  pause() {
+    if (this.state !== "processing") {
+      return false;
+    }
+    this.state = "paused";
+    this.smartRenderer?.pause();
+    this.reverseRenderer?.pause();
+    infoLog("ProcessingPipeline", "Processing paused");
+    return true;
+  }
+
+  /**
+   * Resumes a paused processing, refilling the decoder queue from where
+   * dispatch stopped.
+   * @returns {boolean} True if the pipeline was resumed.
+   */
+  resume() {
+    if (this.state !== "paused") {
+      return false;
+    }
+    this.state = "processing";
+    this.smartRenderer?.resume();
+    this.reverseRenderer?.resume();
+    infoLog("ProcessingPipeline", "Processing resumed");
+    this.timerDispatch();
+    this.dispatch(kDecodeQueueSize - (this.decoder?.decodeQueueSize ?? 0));
+    return true;
+  }
+
   /**
    * Handles decoded frames from the video decoder.
    * It ensures that frames are processed sequentially and adds them to a processing queue.
@@ -205,7 +834,11 @@ export class ProcessingPipeline {
    * @private
    */
   async handleDecoderOutput(frame) {
-    if (this.state === "processing" || this.state === "exhausted") {
+    if (
+      this.state === "processing" ||
+      this.state === "paused" ||
+      this.state === "exhausted"
+    ) {
       const p = this.previousPromise.then(() => this.processFrame(frame));
       this.previousPromise = p;
       this.outputTaskPromises.push(p);
@@ -222,18 +855,33 @@ export class ProcessingPipeline {
 
   /**
    * Processes a single video frame. This includes:
-   * - Checking if the frame is within the selected time range.
-   * - Drawing the frame to the canvas (with transformations).
-   * - Drawing a timestamp overlay.
-   * - Creating a new frame from the canvas.
+   * - Checking if the frame is within the selected time range, or one of the
+   *   joined segments, whose frames are moved to a continuous timeline.
+   * - Producing the frame to encode: when nothing has to be drawn, the
+   *   decoded frame is wrapped with its crop and output size and encoded
+   *   directly. Otherwise the filter chain draws it to the canvas (with
+   *   transformations), then the timestamp and any custom overlays, and a new
+   *   frame is created from the canvas.
    * - Encoding the new frame.
    * @param {VideoFrame} frame - The video frame to process.
    * @private
    */
   async processFrame(frame) {
+    if (this.state === "cancelled") {
+      this.resourceManager.closeFrame({
+        frame,
+        context: "pipeline-cancelled",
+        closed: false,
+      });
+      return;
+    }
+
     const frameTimeMs = Math.floor(frame.timestamp / 1000);
+    const isCut = this.cutList
+      ? this.cutList.find(frame.timestamp) === -1
+      : frameTimeMs < this.timeRangeStart || frameTimeMs > this.timeRangeEnd;
 
-    if (frameTimeMs < this.timeRangeStart || frameTimeMs > this.timeRangeEnd) {
+    if (isCut) {
       this.resourceManager.closeFrame({
         frame,
         context: "pipeline-out-of-range",
@@ -242,17 +890,22 @@ export class ProcessingPipeline {
       return;
     }
 
-    try {
-      this.uiManager.drawFrame(frame);
-      this.uiManager.drawTimestamp(frameTimeMs);
+    if (this.retimer) {
+      return this.retimeFrame(frame);
+    }
 
+    try {
+      // Joined segments follow each other; the overlay keeps the source time.
       const videoFrameOptions = {
-        timestamp: frame.timestamp,
+        timestamp: this.cutList
+          ? this.cutList.toOutputTimestamp(frame.timestamp)
+          : frame.timestamp,
         duration: frame.duration,
       };
-      frame.close();
       verboseLog(`videoFrameOptions: ${JSON.stringify(videoFrameOptions)}`);
-      const newFrame = new VideoFrame(this.uiManager.canvas, videoFrameOptions);
+
+      const newFrame = this.produceFrame(frame, videoFrameOptions);
+      frame.close();
 
       this.onFrameProcessed();
       return this.encoder.encode(newFrame);
@@ -262,17 +915,265 @@ export class ProcessingPipeline {
     }
   }
 
+  /**
+   * Encodes a frame handed out by the reverse renderer. The timestamp
+   * overlay keeps showing its source time.
+   * @param {VideoFrame} frame - The source frame. It is closed by the renderer.
+   * @param {number} timestamp - The output timestamp in µs.
+   * @private
+   */
+  async processReversedFrame(frame, timestamp) {
+    if (this.state === "cancelled") {
+      return;
+    }
+    const newFrame = this.produceFrame(frame, { timestamp, duration: frame.duration });
+    this.onFrameProcessed();
+    return this.encoder.encode(newFrame);
+  }
+
+  /**
+   * Produces the frame to encode from a decoded frame, directly when
+   * possible and through the canvas otherwise.
+   * @param {VideoFrame} frame - The decoded frame. It is not closed.
+   * @param {Object} videoFrameOptions - The timestamp and duration of the new frame.
+   * @returns {VideoFrame} The frame to encode.
+   * @private
+   */
+  produceFrame(frame, videoFrameOptions) {
+    let newFrame = null;
+    if (this.directSourceRect) {
+      newFrame = this.wrapFrame(frame, videoFrameOptions);
+    }
+    return newFrame ?? this.renderToCanvas(frame, videoFrameOptions);
+  }
+
+  /**
+   * Processes a source frame of a speed-changed export. The output slots are
+   * filled from the source frames around their source time, so the previous
+   * frame is held until the next one arrives. Called with null after the
+   * last frame to fill the remaining slots.
+   * @param {VideoFrame|null} frame - The decoded frame, or null at the end.
+   * @private
+   */
+  async retimeFrame(frame) {
+    const previous = this.heldFrame;
+    if (!previous && !frame) {
+      return;
+    }
+    this.heldFrame = frame;
+    try {
+      if (this.speed.method !== "blend") {
+        await this.encodeNearestFrames(previous, frame);
+      } else if (this.speed.factor > 1) {
+        await this.encodeAveragedFrames(previous, frame);
+      } else {
+        await this.encodeInterpolatedFrames(previous, frame);
+      }
+    } finally {
+      previous?.close();
+    }
+    if (frame) {
+      this.onFrameProcessed();
+    }
+  }
+
+  /**
+   * Fills the slots up to halfway to the next frame with the previous frame:
+   * frames are dropped when speeding up and repeated when slowing down.
+   * @param {VideoFrame|null} previous - The held frame, null for the first frame.
+   * @param {VideoFrame|null} next - The new frame, null at the end.
+   * @private
+   */
+  async encodeNearestFrames(previous, next) {
+    if (!previous) {
+      return;
+    }
+    const endUs = next
+      ? (previous.timestamp + next.timestamp) / 2
+      : previous.timestamp + this.sourceFrameDurationUs(previous) / 2;
+    for (const slot of this.retimer.slotsIn(this.retimeFromUs, endUs)) {
+      await this.encoder.encode(
+        this.produceFrame(previous, { timestamp: slot.timestamp, duration: slot.duration })
+      );
+    }
+    this.retimeFromUs = endUs;
+  }
+
+  /**
+   * Averages the source frames closest to each slot when speeding up. A slot
+   * is encoded once a frame of a later slot arrives; slots without any
+   * source frame are skipped.
+   * @param {VideoFrame|null} previous - The held frame, the last one averaged.
+   * @param {VideoFrame|null} next - The new frame, null at the end.
+   * @private
+   */
+  async encodeAveragedFrames(previous, next) {
+    const index = next ? this.retimer.slotIndexAt(next.timestamp) : null;
+    if (previous && index !== this.blendSlotIndex) {
+      await this.encodeBlendedFrame(previous, this.retimer.slot(this.blendSlotIndex));
+      this.blendCount = 0;
+    }
+    if (next) {
+      this.blendSlotIndex = index;
+      this.uiManager.blendFrame(next, 1 / (this.blendCount + 1));
+      this.blendCount++;
+    }
+  }
+
+  /**
+   * Cross-fades between the two source frames around each slot when slowing
+   * down, weighted by the slot's position between them.
+   * @param {VideoFrame|null} previous - The held frame, null for the first frame.
+   * @param {VideoFrame|null} next - The new frame, null at the end.
+   * @private
+   */
+  async encodeInterpolatedFrames(previous, next) {
+    // Before the first frame and after the last one, there is nothing to fade to.
+    const single = previous ?? next;
+    if (!previous || !next) {
+      const endUs = next
+        ? next.timestamp
+        : previous.timestamp + this.sourceFrameDurationUs(previous);
+      for (const slot of this.retimer.slotsIn(this.retimeFromUs, endUs)) {
+        await this.encoder.encode(
+          this.renderToCanvas(single, { timestamp: slot.timestamp, duration: slot.duration })
+        );
+      }
+      this.retimeFromUs = endUs;
+      return;
+    }
+    const span = next.timestamp - previous.timestamp;
+    for (const slot of this.retimer.slotsIn(this.retimeFromUs, next.timestamp)) {
+      this.uiManager.blendFrame(previous, 1);
+      this.uiManager.blendFrame(next, (slot.sourceTimeUs - previous.timestamp) / span);
+      await this.encodeBlendedFrame(previous, slot);
+    }
+    this.retimeFromUs = next.timestamp;
+  }
+
+  /**
+   * Renders the blend buffer through the filter chain and encodes it. The
+   * timestamp overlay shows the source time of the slot.
+   * @param {VideoFrame} frame - The source frame handed to the other filter stages.
+   * @param {Object} slot - The output slot, see FrameRetimer.slot().
+   * @private
+   */
+  async encodeBlendedFrame(frame, slot) {
+    const start = performance.now();
+    this.uiManager.renderBlendedFrame(frame, this.job, Math.floor(slot.sourceTimeUs / 1000));
+    const newFrame = new VideoFrame(this.uiManager.canvas, {
+      timestamp: slot.timestamp,
+      duration: slot.duration,
+    });
+    this.recordFrameTiming("canvas", performance.now() - start);
+    await this.encoder.encode(newFrame);
+  }
+
+  /**
+   * Gets the duration of a source frame, from its own or from the frame rate.
+   * @param {VideoFrame} frame - The source frame.
+   * @returns {number} The duration in µs.
+   * @private
+   */
+  sourceFrameDurationUs(frame) {
+    return frame.duration || 1e6 / this.fps;
+  }
+
+  /**
+   * Draws a frame through the filter chain and creates a new frame from the canvas.
+   * @param {VideoFrame} frame - The decoded frame. It is not closed.
+   * @param {Object} videoFrameOptions - The timestamp and duration of the new frame.
+   * @returns {VideoFrame} The frame to encode.
+   * @private
+   */
+  renderToCanvas(frame, videoFrameOptions) {
+    const start = performance.now();
+    this.uiManager.renderFrame(frame, this.job);
+    const newFrame = new VideoFrame(this.uiManager.canvas, videoFrameOptions);
+    this.recordFrameTiming("canvas", performance.now() - start);
+    return newFrame;
+  }
+
+  /**
+   * Wraps a decoded frame without copying its pixels: the visible rectangle
+   * selects the crop and the display size makes the encoder scale it to the
+   * output size.
+   * @param {VideoFrame} frame - The decoded frame. It is not closed.
+   * @param {Object} videoFrameOptions - The timestamp and duration of the new frame.
+   * @returns {VideoFrame|null} The frame to encode, or null if the frame has
+   *   non-square pixels and must be drawn.
+   * @private
+   */
+  wrapFrame(frame, videoFrameOptions) {
+    const { visibleRect } = frame;
+    if (
+      frame.displayWidth !== visibleRect.width ||
+      frame.displayHeight !== visibleRect.height
+    ) {
+      return null;
+    }
+    const start = performance.now();
+    const { x, y, width, height } = this.directSourceRect;
+    const newFrame = new VideoFrame(frame, {
+      ...videoFrameOptions,
+      visibleRect: { x: visibleRect.x + x, y: visibleRect.y + y, width, height },
+      displayWidth: this.encoder.width,
+      displayHeight: this.encoder.height,
+    });
+    this.recordFrameTiming("direct", performance.now() - start);
+    return newFrame;
+  }
+
+  /**
+   * Adds the time spent producing a frame to encode.
+   * @param {string} path - 'direct' or 'canvas'.
+   * @param {number} duration - The time in ms.
+   * @private
+   */
+  recordFrameTiming(path, duration) {
+    const timing = this.frameTimings[path];
+    timing.count++;
+    timing.total += duration;
+  }
+
+  /**
+   * Writes the time spent producing the frames to encode to the performance
+   * log, for the frames encoded directly and those drawn through the canvas.
+   * @private
+   */
+  logFrameTimings() {
+    const { direct, canvas } = this.frameTimings;
+    if (direct.count > 0) {
+      performanceLog(
+        "ProcessingPipeline.directEncode",
+        `Encoded ${direct.count} frames without the canvas: ` +
+          `${(direct.total / direct.count).toFixed(3)}ms per frame`,
+        direct.total
+      );
+    }
+    if (canvas.count > 0) {
+      performanceLog(
+        "ProcessingPipeline.canvasEncode",
+        `Encoded ${canvas.count} frames through the canvas: ` +
+          `${(canvas.total / canvas.count).toFixed(3)}ms per frame`,
+        canvas.total
+      );
+    }
+  }
+
   /**
    * Finalizes the processing pipeline.
    * It waits for all pending frame processing tasks to complete,
    * finalizes the encoder, and calls the onFinalized callback.
    */
   async finalize() {
-    if (this.state === "finalized") {
+    if (this.state === "finalized" || this.state === "cancelled") {
       return;
     }
 
     this.state = "finalized";
+    this.uiManager.filterChain.logTimings();
+    this.logFrameTimings();
     await this.encoder.finalize();
     this.onFinalized();
 
@@ -280,4 +1181,29 @@ export class ProcessingPipeline {
       this.processingResolve();
     }
   }
+
+  /**
+   * Cancels the processing. Chunk dispatch stops, the decoder is reset, and
+   * the encoder is closed without finalizing the muxer, discarding the
+   * partially written output. Resolves the promise returned by start().
+   */
+  async cancel() {
+    if (this.state === "finalized" || this.state === "cancelled") {
+      return;
+    }
+
+    infoLog("ProcessingPipeline", "Cancelling processing");
+    this.state = "cancelled";
+    this.audioProcessor?.cancel();
+    this.smartRenderer?.cancel();
+    this.reverseRenderer?.cancel();
+    this.decoder?.reset();
+    this.heldFrame?.close();
+    this.heldFrame = null;
+    await this.encoder?.cancel();
+
+    if (this.processingResolve) {
+      this.processingResolve();
+    }
+  }
 }
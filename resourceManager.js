@@ -7,7 +7,7 @@ export class ResourceManager {
     this.activeFrames = new Set();
     this.framePool = [];
     this.maxPoolSize = 10;
-    this.cleanupCallbacks = [];
+    this.cleanupCallbacks = new Set();
     this.isShuttingDown = false;
     this.cleanupPaused = false;
   }
@@ -16,10 +16,12 @@ export class ResourceManager {
    * Registers a VideoFrame for tracking and automatic cleanup.
    * @param {VideoFrame} frame - The VideoFrame to track
    * @param {string} context - Context where the frame was created
+   * @returns {Object|null} - The frame info to pass to closeFrame, or null if
+   *   the frame is not tracked
    */
   registerFrame(frame, context = "unknown") {
     if (!frame || this.isShuttingDown) {
-      return;
+      return null;
     }
 
     const frameInfo = {
@@ -27,17 +29,18 @@ export class ResourceManager {
       context,
       timestamp: Date.now(),
       closed: false,
+      cleanup: null,
     };
 
     this.activeFrames.add(frameInfo);
 
     // Add a weak reference cleanup
-    const cleanup = () => {
+    frameInfo.cleanup = () => {
       this.closeFrame(frameInfo);
     };
 
-    // Store cleanup callback
-    this.cleanupCallbacks.push(cleanup);
+    // Store cleanup callback, removed again when the frame is closed
+    this.cleanupCallbacks.add(frameInfo.cleanup);
 
     // Log frame registration in development
     if (process.env.NODE_ENV === "development") {
@@ -45,6 +48,8 @@ export class ResourceManager {
         `Frame registered: ${context} (active: ${this.activeFrames.size})`
       );
     }
+
+    return frameInfo;
   }
 
   /**
@@ -62,6 +67,7 @@ export class ResourceManager {
       }
       frameInfo.closed = true;
       this.activeFrames.delete(frameInfo);
+      this.cleanupCallbacks.delete(frameInfo.cleanup);
     } catch (error) {
       console.error("Error closing frame:", error);
     }
@@ -215,14 +221,14 @@ export class ResourceManager {
     this.framePool = [];
 
     // Execute cleanup callbacks
-    this.cleanupCallbacks.forEach((callback) => {
+    Array.from(this.cleanupCallbacks).forEach((callback) => {
       try {
         callback();
       } catch (error) {
         console.error("Error in cleanup callback:", error);
       }
     });
-    this.cleanupCallbacks = [];
+    this.cleanupCallbacks.clear();
 
     console.log("Resource manager shutdown complete");
   }
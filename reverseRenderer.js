@@ -0,0 +1,429 @@
+import { infoLog, warnLog, debugLog, errorLog, kDecodeQueueSize } from "./logging.js";
+import { SampleManager } from "./sampleManager.js";
+import { VideoDecoder } from "./videoDecoder.js";
+import { kTempFilePrefix } from "./videoEncoder.js";
+
+// Decoded frames held open at once. Decoders stop producing frames when the
+// application keeps too many of them, so the others are copied out.
+const kMaxHeldFrames = 4;
+// Default memory budget of the frames buffered for a GOP, in bytes.
+const kDefaultMemoryBudget = 512 * 1024 * 1024;
+
+/**
+ * Gets the memory taken by the pixels of a frame.
+ * @param {VideoFrame} frame - The frame.
+ * @returns {number} The size in bytes, estimated as RGBA when the pixel
+ *   format is opaque.
+ */
+function frameBytes(frame) {
+  return frame.format ? frame.allocationSize() : frame.codedWidth * frame.codedHeight * 4;
+}
+
+/**
+ * Stores raw frame pixels that do not fit in the memory budget in a file of
+ * the origin private file system. Everything is written before anything is
+ * read back; clear() starts over.
+ */
+class FrameSpill {
+  /**
+   * Checks whether the origin private file system is available.
+   * @returns {boolean} True if frames can be spilled.
+   */
+  static isSupported() {
+    return typeof navigator !== "undefined" && typeof navigator.storage?.getDirectory === "function";
+  }
+
+  /**
+   * Creates a new FrameSpill instance.
+   * @param {string} fileName - The name of the spill file.
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.fileHandle = null;
+    this.writable = null;
+    this.file = null; // The written file, once reading has started
+    this.size = 0;
+  }
+
+  /**
+   * Appends pixel data to the spill file.
+   * @param {Uint8Array} data - The pixel data.
+   * @returns {Promise<{offset: number, size: number}>} Where the data was written.
+   */
+  async write(data) {
+    if (!this.writable) {
+      const root = await navigator.storage.getDirectory();
+      this.fileHandle = await root.getFileHandle(this.fileName, { create: true });
+      this.writable = await this.fileHandle.createWritable();
+    }
+    const offset = this.size;
+    await this.writable.write({ type: "write", position: offset, data });
+    this.size += data.byteLength;
+    return { offset, size: data.byteLength };
+  }
+
+  /**
+   * Reads pixel data back from the spill file.
+   * @param {{offset: number, size: number}} location - Where the data was written.
+   * @returns {Promise<ArrayBuffer>} The pixel data.
+   */
+  async read({ offset, size }) {
+    if (this.writable) {
+      await this.writable.close();
+      this.writable = null;
+      this.file = await this.fileHandle.getFile();
+    }
+    return this.file.slice(offset, offset + size).arrayBuffer();
+  }
+
+  /**
+   * Deletes the spill file.
+   */
+  async clear() {
+    if (!this.fileHandle) {
+      return;
+    }
+    try {
+      await this.writable?.abort();
+      const root = await navigator.storage.getDirectory();
+      await root.removeEntry(this.fileName);
+    } catch (error) {
+      warnLog("ReverseRenderer", "Could not delete the spill file", error);
+    }
+    this.fileHandle = null;
+    this.writable = null;
+    this.file = null;
+    this.size = 0;
+  }
+}
+
+/**
+ * Renders a time range backwards, or forward then backwards (boomerang).
+ * Samples are stored in decode order and depend on their GOP, so the range
+ * is decoded one GOP at a time from its end: the frames of each GOP are
+ * buffered, then handed out in reverse order with rewritten timestamps.
+ * Buffered frames beyond the memory budget are spilled to the origin
+ * private file system.
+ */
+export class ReverseRenderer {
+  /**
+   * Creates a new ReverseRenderer instance.
+   * @param {Object} options - The options for the renderer.
+   * @param {SampleManager} options.sampleManager - The manager holding the finalized samples.
+   * @param {Object} options.videoConfig - The source video decoder configuration.
+   * @param {ResourceManager} options.resourceManager - Tracks the buffered frames.
+   * @param {boolean} options.isChromeBased - Flag for browser type.
+   * @param {number} [options.memoryBudget] - The bytes of pixels buffered in
+   *   memory for a GOP before spilling.
+   * @param {Function} options.onFrame - Receives each output frame and its output
+   *   timestamp in µs: async (frame, timestamp) => void. The frame keeps its
+   *   source timestamp and is closed by the renderer once the promise resolves.
+   */
+  constructor({
+    sampleManager,
+    videoConfig,
+    resourceManager,
+    isChromeBased,
+    memoryBudget = kDefaultMemoryBudget,
+    onFrame,
+  }) {
+    this.sampleManager = sampleManager;
+    this.videoConfig = videoConfig;
+    this.resourceManager = resourceManager;
+    this.isChromeBased = isChromeBased;
+    this.memoryBudget = memoryBudget;
+    this.onFrame = onFrame;
+
+    this.decoder = null;
+    this.decoderError = null;
+    this.keep = null; // Timestamps (µs) of the frames to buffer in the current GOP
+    this.buffer = []; // Buffered frames of the current GOP, see bufferFrame()
+    this.bufferedBytes = 0; // Pixels held in memory, as frames or copies
+    this.heldFrames = 0; // Buffered frames still open
+    this.spill = FrameSpill.isSupported()
+      ? new FrameSpill(`${kTempFilePrefix}reverse-spill-${Date.now()}.raw`)
+      : null;
+    this.overBudgetWarned = false;
+    this.previousPromise = Promise.resolve();
+    this.paused = false;
+    this.resumeResolve = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Sets up the decoder.
+   */
+  async setup() {
+    this.decoder = new VideoDecoder({
+      onFrame: (frame) => this.handleFrame(frame),
+      onError: (e) => {
+        this.decoderError = e;
+        errorLog("ReverseRenderer", "Decoder error", e);
+      },
+      isChromeBased: this.isChromeBased,
+    });
+    await this.decoder.setup(this.videoConfig);
+  }
+
+  /**
+   * Renders the time range. Backwards, the output starts at the timestamp of
+   * the first frame of the range; a boomerang plays it forward first and
+   * does not repeat the frame it turns around on. Resolves once every frame
+   * has been handed out, or as soon as the rendering is cancelled.
+   * @param {number} timeRangeStart - The start of the range in ms.
+   * @param {number} timeRangeEnd - The end of the range in ms.
+   * @param {boolean} [boomerang=false] - Whether to play the range forward first.
+   */
+  async run(timeRangeStart, timeRangeEnd, boomerang = false) {
+    const gops = this.sampleManager.planGops(timeRangeStart, timeRangeEnd);
+    if (gops.length === 0) {
+      return;
+    }
+    const firstUs = Math.min(...gops[0].keep);
+    const lastUs = Math.max(...gops[gops.length - 1].keep);
+    infoLog("ReverseRenderer", "Reverse render planned", {
+      gops: gops.length,
+      boomerang,
+      spill: this.spill !== null,
+    });
+
+    try {
+      if (boomerang) {
+        for (const gop of gops) {
+          await this.renderGop(gop.start, gop.end, gop.keep, false, (t) => t);
+          if (this.cancelled) return;
+        }
+      }
+      const mirror = boomerang ? (t) => 2 * lastUs - t : (t) => firstUs + lastUs - t;
+      for (const gop of [...gops].reverse()) {
+        const keep = new Set(gop.keep);
+        if (boomerang) {
+          keep.delete(lastUs);
+        }
+        if (keep.size > 0) {
+          await this.renderGop(gop.start, gop.end, keep, true, mirror);
+        }
+        if (this.cancelled) return;
+      }
+    } catch (error) {
+      // A cancellation resets the decoder, which aborts any pending flush.
+      if (this.cancelled) return;
+      throw error;
+    } finally {
+      await this.releaseBuffer();
+    }
+  }
+
+  /**
+   * Decodes a GOP, buffers its frames to keep, and hands them out in order.
+   * @param {number} start - The first sample index, a keyframe.
+   * @param {number} end - The end sample index (exclusive).
+   * @param {Set<number>} keep - The timestamps (µs) of the frames to hand out.
+   * @param {boolean} reverse - Whether to hand them out backwards.
+   * @param {Function} toOutputTimestamp - Maps a source timestamp to the output one (µs).
+   * @private
+   */
+  async renderGop(start, end, keep, reverse, toOutputTimestamp) {
+    const samples = this.sampleManager.samples;
+    this.keep = keep;
+    for (let i = start; i < end; i++) {
+      await this.waitForDecoder();
+      if (this.cancelled) return;
+      if (this.decoderError) throw this.decoderError;
+      this.decoder.decode(SampleManager.encodedVideoChunkFromSample(samples[i]));
+    }
+    await this.decoder.flush();
+    await this.previousPromise;
+    if (this.cancelled) return;
+
+    debugLog("ReverseRenderer", "GOP buffered", {
+      start,
+      frames: this.buffer.length,
+      held: this.heldFrames,
+      bytes: this.bufferedBytes,
+      spilled: this.spill?.size ?? 0,
+    });
+    this.buffer.sort((a, b) => (reverse ? b.timestamp - a.timestamp : a.timestamp - b.timestamp));
+    for (const entry of this.buffer) {
+      await this.waitWhilePaused();
+      if (this.cancelled) return;
+      const frameInfo = await this.restoreFrame(entry);
+      try {
+        await this.onFrame(frameInfo.frame, toOutputTimestamp(entry.timestamp));
+      } finally {
+        this.resourceManager.closeFrame(frameInfo);
+      }
+    }
+    await this.releaseBuffer();
+  }
+
+  /**
+   * Queues a decoded frame for buffering if it lies inside the range.
+   * @param {VideoFrame} frame - The decoded frame.
+   * @private
+   */
+  handleFrame(frame) {
+    if (this.cancelled || !this.keep?.has(frame.timestamp)) {
+      frame.close();
+      return;
+    }
+    const frameInfo = this.track(frame, "reverse-buffer");
+    this.previousPromise = this.previousPromise.then(() => {
+      if (this.cancelled) {
+        this.resourceManager.closeFrame(frameInfo);
+        return;
+      }
+      return this.bufferFrame(frameInfo);
+    });
+  }
+
+  /**
+   * Buffers a decoded frame: the first ones are held open, the next ones are
+   * copied to memory and closed, and once the memory budget is used up they
+   * are copied to the spill file. Frames with an opaque pixel format cannot
+   * be copied and are held.
+   * @param {Object} frameInfo - The tracked frame, see track().
+   * @private
+   */
+  async bufferFrame(frameInfo) {
+    const { frame } = frameInfo;
+    const bytes = frameBytes(frame);
+    const fitsInMemory = this.bufferedBytes + bytes <= this.memoryBudget;
+    if ((this.heldFrames < kMaxHeldFrames && fitsInMemory) || !frame.format) {
+      this.buffer.push({ timestamp: frame.timestamp, frameInfo });
+      this.heldFrames++;
+      this.bufferedBytes += bytes;
+      return;
+    }
+
+    const data = new Uint8Array(bytes);
+    const layout = await frame.copyTo(data);
+    const { width, height } = frame.visibleRect;
+    const init = {
+      format: frame.format,
+      codedWidth: width,
+      codedHeight: height,
+      displayWidth: frame.displayWidth,
+      displayHeight: frame.displayHeight,
+      timestamp: frame.timestamp,
+      colorSpace: frame.colorSpace.toJSON(),
+      layout,
+    };
+    if (frame.duration !== null) {
+      init.duration = frame.duration;
+    }
+    this.resourceManager.closeFrame(frameInfo);
+
+    if (!fitsInMemory && this.spill) {
+      try {
+        const location = await this.spill.write(data);
+        this.buffer.push({ timestamp: init.timestamp, init, location });
+        return;
+      } catch (error) {
+        warnLog("ReverseRenderer", "Spilling frames failed, buffering them in memory", error);
+        this.spill = null;
+      }
+    }
+    if (!fitsInMemory && !this.overBudgetWarned) {
+      warnLog("ReverseRenderer", "GOP exceeds the memory budget", {
+        memoryBudget: this.memoryBudget,
+      });
+      this.overBudgetWarned = true;
+    }
+    this.buffer.push({ timestamp: init.timestamp, init, data });
+    this.bufferedBytes += bytes;
+  }
+
+  /**
+   * Gets a buffered frame, rebuilding it from its pixels if it was copied.
+   * @param {Object} entry - The buffer entry.
+   * @returns {Promise<Object>} The tracked frame, see track().
+   * @private
+   */
+  async restoreFrame(entry) {
+    if (entry.frameInfo) {
+      return entry.frameInfo;
+    }
+    const data = entry.data ?? (await this.spill.read(entry.location));
+    entry.data = null;
+    return this.track(new VideoFrame(data, entry.init), "reverse-restored");
+  }
+
+  /**
+   * Closes the frames still buffered and deletes the spill file.
+   * @private
+   */
+  async releaseBuffer() {
+    for (const entry of this.buffer) {
+      this.resourceManager.closeFrame(entry.frameInfo);
+    }
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.heldFrames = 0;
+    await this.spill?.clear();
+  }
+
+  /**
+   * Registers a frame with the resource manager.
+   * @param {VideoFrame} frame - The frame.
+   * @param {string} context - The context of the frame.
+   * @returns {Object} The frame info to close it with.
+   * @private
+   */
+  track(frame, context) {
+    return (
+      this.resourceManager.registerFrame(frame, context) ?? { frame, context, closed: false }
+    );
+  }
+
+  /**
+   * Waits until the decoder has room for another chunk and the rendering is
+   * not paused.
+   * @private
+   */
+  async waitForDecoder() {
+    await this.waitWhilePaused();
+    while (!this.cancelled && this.decoder.decodeQueueSize >= kDecodeQueueSize) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  /**
+   * Waits while the rendering is paused.
+   * @private
+   */
+  async waitWhilePaused() {
+    while (this.paused && !this.cancelled) {
+      await new Promise((resolve) => {
+        this.resumeResolve = resolve;
+      });
+    }
+  }
+
+  /**
+   * Pauses the rendering before the next sample or output frame.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes a paused rendering.
+   */
+  resume() {
+    this.paused = false;
+    this.resumeResolve?.();
+    this.resumeResolve = null;
+  }
+
+  /**
+   * Stops the rendering. The decoder is reset and the buffered frames are
+   * released once the run returns; the encoder is left to the caller.
+   */
+  cancel() {
+    this.cancelled = true;
+    this.decoder?.reset();
+    this.resumeResolve?.();
+    this.resumeResolve = null;
+  }
+}
@@ -0,0 +1,46 @@
+// Samples separated by less than this many bytes are read with one slice.
+const kMaxCoalesceGap = 256 * 1024;
+
+/**
+ * Reads sample data straight from the source file using the offsets and sizes
+ * of a lightweight sample index. Samples stored (nearly) back to back are read
+ * with a single slice, while large gaps, e.g. interleaved data of another
+ * track, are skipped instead of being read.
+ * @param {Blob} file - The source file.
+ * @param {Array<object>} index - The sample index; entries need number, offset and size.
+ * @param {number} firstSampleNumber - Number of the first sample to read.
+ * @param {number} count - Number of consecutive samples to read.
+ * @returns {Promise<Array<{number: number, data: Uint8Array}>>} The samples with their data.
+ */
+export async function readSampleData(file, index, firstSampleNumber, count) {
+  const samples = [];
+  const end = Math.min(firstSampleNumber + count, index.length);
+
+  let runStart = firstSampleNumber;
+  while (runStart < end) {
+    // Extend the run while the next sample follows closely after the current one.
+    let runEnd = runStart + 1;
+    let byteEnd = index[runStart].offset + index[runStart].size;
+    while (runEnd < end) {
+      const next = index[runEnd];
+      if (next.offset < byteEnd || next.offset - byteEnd > kMaxCoalesceGap) {
+        break;
+      }
+      byteEnd = next.offset + next.size;
+      runEnd++;
+    }
+
+    const byteStart = index[runStart].offset;
+    const buffer = await file.slice(byteStart, byteEnd).arrayBuffer();
+    for (let i = runStart; i < runEnd; i++) {
+      const entry = index[i];
+      samples.push({
+        number: entry.number,
+        data: new Uint8Array(buffer, entry.offset - byteStart, entry.size),
+      });
+    }
+    runStart = runEnd;
+  }
+
+  return samples;
+}
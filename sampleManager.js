@@ -13,6 +13,37 @@ export class SampleManager {
     return (sample.cts * 1000) / sample.timescale;
   }
 
+  /**
+   * Calculates the timestamp of a sample in whole microseconds, as carried by
+   * the VideoFrames decoded from it.
+   * @param {object} sample - The video sample.
+   * @returns {number} - The sample's timestamp in microseconds.
+   */
+  static sampleTimeUs(sample) {
+    return Math.trunc((1e6 * sample.cts) / sample.timescale);
+  }
+
+  /**
+   * Estimates the bitrate of a run of samples from their sizes.
+   * @param {Array<object>} samples - The samples.
+   * @returns {number} The bitrate in bits per second.
+   */
+  static estimateBitrate(samples) {
+    let bytes = 0;
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    for (const sample of samples) {
+      bytes += sample.size;
+      minTime = Math.min(minTime, sample.cts / sample.timescale);
+      maxTime = Math.max(
+        maxTime,
+        (sample.cts + sample.duration) / sample.timescale
+      );
+    }
+    const seconds = maxTime - minTime;
+    return seconds > 0 ? Math.round((bytes * 8) / seconds) : 0;
+  }
+
   /**
    * Creates an EncodedVideoChunk from a video sample.
    * @param {object} sample - The video sample.
@@ -126,11 +157,16 @@ export class SampleManager {
   }
 
   /**
-   * Releases all loaded sample data, returning the memory to the GC.
+   * Releases loaded sample data, returning the memory to the GC. Without
+   * arguments all samples are released.
+   * @param {number} [startIndex=0] - The first sample index.
+   * @param {number} [endIndex] - The last sample index (inclusive).
    */
-  releaseSampleData() {
+  releaseSampleData(startIndex = 0, endIndex = Infinity) {
     if (!this.originalSamples) return;
-    for (const entry of this.originalSamples) {
+    endIndex = Math.min(endIndex, this.originalSamples.length - 1);
+    for (let i = startIndex; i <= endIndex; i++) {
+      const entry = this.originalSamples[i];
       if (entry.data) {
         entry.data = undefined;
       }
@@ -175,6 +211,76 @@ export class SampleManager {
    */
   async finalizeTimeRange(timeRangeStart, timeRangeEnd) {
     this.samples = this.originalSamples;
+    const range = this.findDecodeRange(timeRangeStart, timeRangeEnd);
+
+    // Load the sample data for the decode range (endIndex is exclusive here).
+    await this.ensureSampleData(range.startIndex, range.endIndex - 1);
+
+    this.samples = this.samples.slice(range.startIndex, range.endIndex);
+    this.currentIndex = 0;
+    this.finalized = true;
+    return [this.samples.length, range.outputTimeRangeStart, range.outputTimeRangeEnd];
+  }
+
+  /**
+   * Finalizes the sample list to several time ranges, decoded one after the
+   * other. Each range is rewound to its keyframe like finalizeTimeRange;
+   * ranges whose decode ranges overlap share their samples.
+   * @param {Array<{start: number, end: number}>} timeRanges - The ranges in ms,
+   *   in time order and not overlapping.
+   * @returns {Promise<[number, Array<{start: number, end: number}>]>} - The
+   *   number of samples, and the actual start and end time of each range
+   *   holding at least one frame.
+   */
+  async finalizeTimeRanges(timeRanges) {
+    this.samples = this.originalSamples;
+    // Ranges between two frames hold no sample and are dropped.
+    const ranges = timeRanges
+      .map(({ start, end }) => this.findDecodeRange(start, end))
+      .filter((range) => range.outputTimeRangeStart <= range.outputTimeRangeEnd);
+
+    // Merge the overlapping decode ranges into runs of samples.
+    const runs = [];
+    for (const { startIndex, endIndex } of ranges) {
+      const last = runs[runs.length - 1];
+      if (last && startIndex <= last.endIndex) {
+        last.endIndex = Math.max(last.endIndex, endIndex);
+      } else {
+        runs.push({ startIndex, endIndex });
+      }
+    }
+
+    let samples = [];
+    for (const { startIndex, endIndex } of runs) {
+      await this.ensureSampleData(startIndex, endIndex - 1);
+      samples = samples.concat(this.samples.slice(startIndex, endIndex));
+    }
+    this.samples = samples;
+    this.currentIndex = 0;
+    this.finalized = true;
+    return [
+      this.samples.length,
+      ranges.map((range) => ({
+        start: range.outputTimeRangeStart,
+        end: range.outputTimeRangeEnd,
+      })),
+    ];
+  }
+
+  /**
+   * Finds the samples to decode for a time range: from the keyframe at or
+   * before its first sample to the sample before the next keyframe after it.
+   * @param {number} [timeRangeStart] - The start time in milliseconds, or
+   *   undefined for the start of the video.
+   * @param {number} [timeRangeEnd] - The end time in milliseconds, or
+   *   undefined for the end of the video.
+   * @returns {{startIndex: number, endIndex: number, outputTimeRangeStart: number,
+   *   outputTimeRangeEnd: number}} - The decode range (end-exclusive) in the
+   *   full sample list, and the actual start and end times.
+   * @throws {Error} If the range starts after the last sample.
+   * @private
+   */
+  findDecodeRange(timeRangeStart, timeRangeEnd) {
     let startIndex = 0;
     let endIndex = this.samples.length;
     let preciousStartIndex = 0;
@@ -210,20 +316,12 @@ export class SampleManager {
       throw new Error("Invalid sample range");
     }
 
-    const outputTimeRangeStart = SampleManager.sampleTimeMs(
-      this.samples[preciousStartIndex]
-    );
-    const outputTimeRangeEnd = SampleManager.sampleTimeMs(
-      this.samples[preciousEndIndex]
-    );
-
-    // Load the sample data for the decode range (endIndex is exclusive here).
-    await this.ensureSampleData(startIndex, endIndex - 1);
-
-    this.samples = this.samples.slice(startIndex, endIndex);
-    this.currentIndex = 0;
-    this.finalized = true;
-    return [this.samples.length, outputTimeRangeStart, outputTimeRangeEnd];
+    return {
+      startIndex,
+      endIndex,
+      outputTimeRangeStart: SampleManager.sampleTimeMs(this.samples[preciousStartIndex]),
+      outputTimeRangeEnd: SampleManager.sampleTimeMs(this.samples[preciousEndIndex]),
+    };
   }
 
   /**
@@ -268,6 +366,169 @@ export class SampleManager {
     return [this.samples.length, outputTimeRangeStart, outputTimeRangeEnd];
   }
 
+  /**
+   * Takes the finalized samples with their data out of the manager, to hand
+   * them to another thread. The data is copied into a single buffer that can
+   * be transferred without copying again, and released here.
+   * @returns {{samples: Array<object>, buffer: ArrayBuffer}} The samples, whose
+   *   data are views on the buffer.
+   */
+  takeFinalizedSamples() {
+    let byteLength = 0;
+    for (const sample of this.samples) {
+      byteLength += sample.data?.byteLength ?? 0;
+    }
+    const buffer = new ArrayBuffer(byteLength);
+    let offset = 0;
+    const samples = this.samples.map((sample) => {
+      if (!sample.data) {
+        return { ...sample };
+      }
+      const data = new Uint8Array(buffer, offset, sample.data.byteLength);
+      data.set(sample.data);
+      offset += data.byteLength;
+      return { ...sample, data };
+    });
+    this.releaseSampleData();
+    return { samples, buffer };
+  }
+
+  /**
+   * Loads samples taken from another manager with takeFinalizedSamples. They
+   * become both the index and the finalized range, ready to be requested.
+   * @param {Array<object>} samples - The samples with their data.
+   */
+  loadFinalizedSamples(samples) {
+    this.setIndex(samples);
+    this.finalize();
+    this.currentIndex = 0;
+    this.finalized = true;
+  }
+
+  /**
+   * Plans a smart render of the finalized samples: the GOPs lying completely
+   * inside the time range are copied, while the partial GOPs at its start and
+   * end are decoded and only their frames inside the range are re-encoded.
+   * @param {number} timeRangeStart - The start time in milliseconds.
+   * @param {number} timeRangeEnd - The end time in milliseconds.
+   * @returns {Array<object>} - The segments in output order. A copy segment
+   *   ({type: 'copy', start, end}) holds the sample range to copy; an encode
+   *   segment ({type: 'encode', start, end, keep}) holds the sample range to
+   *   decode and the Set of frame timestamps (µs) to re-encode. Sample ranges
+   *   are end-exclusive.
+   */
+  planSmartRender(timeRangeStart, timeRangeEnd) {
+    const gops = this.gopsInRange(timeRangeStart, timeRangeEnd);
+    if (gops.length === 0) {
+      return [];
+    }
+    const encodeSegment = (start, end) => ({
+      type: "encode",
+      start,
+      end,
+      keep: this.timestampsInRange(start, end, timeRangeStart, timeRangeEnd),
+    });
+
+    // The GOPs lying completely inside the range are copied, from the first
+    // of them up to the next partial GOP.
+    const isComplete = ({ minMs, maxMs }) => minMs >= timeRangeStart && maxMs <= timeRangeEnd;
+    const copyFirst = gops.findIndex(isComplete);
+    if (copyFirst === -1) {
+      // No complete GOP: the range is re-encoded in a single pass.
+      return [encodeSegment(gops[0].start, gops[gops.length - 1].end)];
+    }
+    let copyLast = copyFirst;
+    while (copyLast + 1 < gops.length && isComplete(gops[copyLast + 1])) {
+      copyLast++;
+    }
+
+    const segments = [];
+    if (copyFirst > 0) {
+      segments.push(encodeSegment(gops[0].start, gops[copyFirst].start));
+    }
+    segments.push({ type: "copy", start: gops[copyFirst].start, end: gops[copyLast].end });
+    if (copyLast < gops.length - 1) {
+      segments.push(encodeSegment(gops[copyLast].end, gops[gops.length - 1].end));
+    }
+    return segments;
+  }
+
+  /**
+   * Splits the finalized samples spanned by a time range into their GOPs, so
+   * the range can be decoded one GOP at a time, e.g. to play it backwards.
+   * Each GOP is decoded from its keyframe; open GOPs whose leading frames
+   * reference the previous GOP may lose those frames.
+   * @param {number} timeRangeStart - The start time in milliseconds.
+   * @param {number} timeRangeEnd - The end time in milliseconds.
+   * @returns {Array<{start: number, end: number, keep: Set<number>}>} - The
+   *   GOPs in decode order, with their end-exclusive sample range and the Set
+   *   of frame timestamps (µs) inside the range. GOPs without any are left out.
+   */
+  planGops(timeRangeStart, timeRangeEnd) {
+    return this.gopsInRange(timeRangeStart, timeRangeEnd).map(({ start, end }) => ({
+      start,
+      end,
+      keep: this.timestampsInRange(start, end, timeRangeStart, timeRangeEnd),
+    }));
+  }
+
+  /**
+   * Lists the GOPs of the finalized samples with a frame inside a time range.
+   * The samples are in decode order, where B-frames put the presentation
+   * times out of order, so each GOP is scanned from its keyframe to the next
+   * for its earliest and latest frame instead of bisecting the samples.
+   * @param {number} timeRangeStart - The start time in milliseconds.
+   * @param {number} timeRangeEnd - The end time in milliseconds.
+   * @returns {Array<{start: number, end: number, minMs: number, maxMs: number}>}
+   *   The GOPs in decode order, with their end-exclusive sample range and the
+   *   presentation times of their first and last frames.
+   * @private
+   */
+  gopsInRange(timeRangeStart, timeRangeEnd) {
+    const samples = this.samples;
+    const gops = [];
+    let gop = null;
+    let inRange = false;
+    for (let i = 0; i <= samples.length; i++) {
+      if (i === samples.length || samples[i].is_sync || gop === null) {
+        if (gop && inRange) {
+          gops.push({ ...gop, end: i });
+        }
+        if (i === samples.length) {
+          break;
+        }
+        gop = { start: i, minMs: Infinity, maxMs: -Infinity };
+        inRange = false;
+      }
+      const timeMs = SampleManager.sampleTimeMs(samples[i]);
+      gop.minMs = Math.min(gop.minMs, timeMs);
+      gop.maxMs = Math.max(gop.maxMs, timeMs);
+      inRange ||= timeMs >= timeRangeStart && timeMs <= timeRangeEnd;
+    }
+    return gops;
+  }
+
+  /**
+   * Collects the timestamps of the samples of an index range whose time lies
+   * inside a time range.
+   * @param {number} start - The first sample index.
+   * @param {number} end - The end sample index (exclusive).
+   * @param {number} timeRangeStart - The start time in milliseconds.
+   * @param {number} timeRangeEnd - The end time in milliseconds.
+   * @returns {Set<number>} - The frame timestamps in µs.
+   * @private
+   */
+  timestampsInRange(start, end, timeRangeStart, timeRangeEnd) {
+    const keep = new Set();
+    for (let i = start; i < end; i++) {
+      const timeMs = SampleManager.sampleTimeMs(this.samples[i]);
+      if (timeMs >= timeRangeStart && timeMs <= timeRangeEnd) {
+        keep.add(SampleManager.sampleTimeUs(this.samples[i]));
+      }
+    }
+    return keep;
+  }
+
   /**
    * Finds the first sample index at or after a given time.
    * @param {number} targetTime - The time in milliseconds.
@@ -322,11 +583,27 @@ export class SampleManager {
    * @returns {number} - The number of chunks processed.
    */
   requestChunks(count, onChunk, onExhausted) {
+    return this.requestSamples(
+      count,
+      (sample) => onChunk(SampleManager.encodedVideoChunkFromSample(sample)),
+      onExhausted
+    );
+  }
+
+  /**
+   * Requests a number of raw samples (index entries with their data) and
+   * provides them via a callback, in decode order.
+   * @param {number} count - The number of samples to request.
+   * @param {function} onSample - Callback to handle each sample.
+   * @param {function} onExhausted - Callback when all samples are processed.
+   * @returns {number} - The number of samples processed.
+   */
+  requestSamples(count, onSample, onExhausted) {
     let processed = 0;
 
     while (processed < count && this.currentIndex < this.samples.length) {
       const sample = this.samples[this.currentIndex];
-      onChunk(SampleManager.encodedVideoChunkFromSample(sample));
+      onSample(sample);
       this.currentIndex++;
       processed++;
     }
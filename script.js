@@ -1,9 +1,14 @@
 import { TimeStampProvider } from "./timeStampProvider.js";
 import { TimeRangeProvider } from "./timeRangeProvider.js";
+import { OutputSettingsProvider } from "./outputSettingsProvider.js";
+import { CropOverlay } from "./cropOverlay.js";
+import { CutListProvider } from "./cutListProvider.js";
+import { ClipListProvider } from "./clipListProvider.js";
 import { VideoProcessor } from "./videoProcessor.js";
 import { FrameRangeSlider } from "./frameRangeSlider.js";
 import { ErrorHandler } from "./errorHandler.js";
 import { infoLog, errorLog } from "./logging.js";
+import { removeStaleTempFiles } from "./videoEncoder.js";
 
 // Register Service Worker for caching and offline support
 // This runs asynchronously and won't block the main application
@@ -73,13 +78,40 @@ function showUpdateNotification() {
   try {
     const controls = [
       'videoInput',
+      'joinOrder',
       'startTime',
       'endTime',
       'enableTimestamp',
       'timestampStart',
       'zoomSlider',
       'rotateCW',
-      'rotateCCW'
+      'rotateCCW',
+      'flipHorizontal',
+      'flipVertical',
+      'levelSlider',
+      'levelGrid',
+      'cropEdit',
+      'cropAspect',
+      'cropReset',
+      'viewportKeyframeAdd',
+      'viewportEasing',
+      'viewportKeyframeRemove',
+      'viewportKeyframeClear',
+      'cutListMode',
+      'cutListAdd',
+      'cutListClear',
+      'clipListInput',
+      'outputContainer',
+      'trimMode',
+      'outputSize',
+      'rotationMode',
+      'speed',
+      'speedMethod',
+      'direction',
+      'rateControlMode',
+      'gopMode',
+      'splitDuration',
+      'splitSize'
     ];
 
     controls.forEach((id) => {
@@ -116,18 +148,95 @@ const timestampProvider = new TimeStampProvider({
   enableTimestampCheckbox: document.getElementById("enableTimestamp"),
   timestampInputs: document.getElementById("timestampInputs"),
 });
+const outputSettingsProvider = new OutputSettingsProvider({
+  codecSelect: document.getElementById("outputCodec"),
+  containerSelect: document.getElementById("outputContainer"),
+  trimModeSelect: document.getElementById("trimMode"),
+  rateControlSelect: document.getElementById("rateControlMode"),
+  bitrateInput: document.getElementById("rateControlBitrate"),
+  quantizerInput: document.getElementById("rateControlQuantizer"),
+  targetSizeInput: document.getElementById("rateControlSize"),
+  gopSelect: document.getElementById("gopMode"),
+  gopLengthInput: document.getElementById("gopLength"),
+  sizeSelect: document.getElementById("outputSize"),
+  widthInput: document.getElementById("outputWidth"),
+  heightInput: document.getElementById("outputHeight"),
+  rotationModeSelect: document.getElementById("rotationMode"),
+  speedSelect: document.getElementById("speed"),
+  speedMethodSelect: document.getElementById("speedMethod"),
+  directionSelect: document.getElementById("direction"),
+  splitDurationInput: document.getElementById("splitDuration"),
+  splitSizeInput: document.getElementById("splitSize"),
+});
+
+const cutListProvider = new CutListProvider({
+  listElement: document.getElementById("cutList"),
+  modeSelect: document.getElementById("cutListMode"),
+  addButton: document.getElementById("cutListAdd"),
+  clearButton: document.getElementById("cutListClear"),
+  getSelection: () => {
+    if (!processor) return null;
+    if (frameRangeSlider.isSliderModeActive()) {
+      const { startFrame, endFrame } = frameRangeSlider.getFrameRange();
+      return processor.getFrameRangeTimes(startFrame, endFrame);
+    }
+    const { startMs, endMs } = timeRangeProvider.getTimeRange();
+    return {
+      start: startMs ?? 0,
+      end: endMs ?? processor.getFrameRangeTimes(0, Infinity).end,
+    };
+  },
+});
+
+// The temporary output files of a previous session are not needed any more.
+removeStaleTempFiles().catch((error) =>
+  errorLog("Main", "Error removing temporary files", error)
+);
+
+const clipListProvider = new ClipListProvider({
+  fileInput: document.getElementById("clipListInput"),
+  listElement: document.getElementById("clipList"),
+  downloadAllButton: document.getElementById("clipListDownloadAll"),
+});
+
+const cropOverlay = new CropOverlay({
+  overlay: document.getElementById("cropOverlay"),
+  onChange: (rect) => processor?.updateCropFromEditor(rect),
+});
 
 let processor = null;
 let errorHandler = null;
 
+/**
+ * Starts or stops editing the crop over the preview.
+ * @param {boolean} editing - Whether to show the crop handles.
+ */
+async function setCropEditing(editing) {
+  const isReady = processor && processor.state === "initialized";
+  const showHandles = editing && isReady;
+  document.getElementById("cropEdit").textContent = showHandles ? "Done" : "Edit";
+  if (!showHandles) {
+    cropOverlay.hide();
+  }
+  if (!isReady) return;
+
+  await processor.setCropEditing(showHandles);
+  if (showHandles) {
+    const { rect, width, height } = processor.getCropEditorRect();
+    cropOverlay.show(rect, width, height);
+  }
+}
+
 /**
  * Event listener for the video input file selection.
- * Initializes the VideoProcessor with the selected file and sets up callbacks.
+ * Initializes the VideoProcessor with the selected file, or with several
+ * files joined in the chosen order, and sets up callbacks.
  */
 document.getElementById("videoInput").addEventListener("change", async (e) => {
-  const file = e.target.files[0];
-  if (!file) {
+  const files = [...e.target.files];
+  if (files.length === 0) {
     document.getElementById("processButton").disabled = true;
+    document.getElementById("batchExportButton").disabled = true;
     return;
   }
 
@@ -145,13 +254,19 @@ document.getElementById("videoInput").addEventListener("change", async (e) => {
 
     // Reset processor if it exists
     if (processor != null) {
+      if (processor.isPaused()) {
+        await processor.cancel();
+      }
       if (processor.isProcessing()) {
         await processor.waitForProcessing();
       }
       processor.shutdown();
     }
 
-    infoLog("Main", "Initializing video processor", { fileName: file.name });
+    await setCropEditing(false);
+    infoLog("Main", "Initializing video processor", {
+      fileNames: files.map((file) => file.name),
+    });
 
     // Initialize the video processor
     processor = new VideoProcessor({
@@ -165,7 +280,12 @@ document.getElementById("videoInput").addEventListener("change", async (e) => {
     // Set up a callback for when the processor is initialized
     processor.onInitialized = (nb_samples) => {
       frameRangeSlider.initialize(nb_samples);
+      frameRangeSlider.setKeyframeMarkers([]);
+      renderFlipButtons();
+      renderLevelAngle(0);
       document.getElementById("processButton").disabled = false;
+      document.getElementById("batchExportButton").disabled = false;
+      clipListProvider.setFps(processor.fps);
 
       // Set up a callback for slider updates
       frameRangeSlider.onupdatepercentage = (percentage) => {
@@ -175,15 +295,21 @@ document.getElementById("videoInput").addEventListener("change", async (e) => {
       // Show initial preview at first frame when file is loaded and samples are ready
       processor.renderSampleInPercentage(0);
 
+      // Offer only the codecs this browser can encode at the source resolution.
+      outputSettingsProvider
+        .updateCodecOptions(processor.videoWidth, processor.videoHeight, processor.fps)
+        .catch((error) => errorLog("Main", "Failed to probe output codecs", error));
+
       infoLog("Main", "Video processor initialized", {
         sampleCount: nb_samples,
       });
     };
 
-    await processor.initFile(file);
+    await processor.initFiles(files, document.getElementById("joinOrder").value);
   } catch (error) {
     errorLog("Main", "Failed to initialize video processor", error);
     document.getElementById("processButton").disabled = true;
+    document.getElementById("batchExportButton").disabled = true;
     document.getElementById("status").textContent = `Error: ${error.message}`;
   }
 });
@@ -198,9 +324,18 @@ document.getElementById("processButton").addEventListener("click", async () => {
 
   try {
     document.getElementById("processButton").disabled = true;
+    document.getElementById("batchExportButton").disabled = true;
+    document.getElementById("cancelButton").disabled = false;
+    document.getElementById("pauseButton").disabled = false;
     infoLog("Main", "Starting video processing");
+    await setCropEditing(false);
+    processor.setOutputSettings(outputSettingsProvider.getSettings());
 
-    if (frameRangeSlider.isSliderModeActive()) {
+    const cutList = cutListProvider.getCutList();
+    if (cutList) {
+      infoLog("Main", "Processing by cut list", cutList);
+      await processor.processFileBySegments(cutList.segments, cutList.mode);
+    } else if (frameRangeSlider.isSliderModeActive()) {
       const { startFrame, endFrame } = frameRangeSlider.getFrameRange();
       infoLog("Main", "Processing by frame range", { startFrame, endFrame });
       await processor.processFileByFrame(startFrame, endFrame);
@@ -210,7 +345,11 @@ document.getElementById("processButton").addEventListener("click", async () => {
       await processor.processFileByTime(startMs, endMs);
     }
 
-    infoLog("Main", "Video processing completed successfully");
+    if (processor.state === "finalized") {
+      infoLog("Main", "Video processing completed successfully");
+    } else {
+      infoLog("Main", "Video processing cancelled");
+    }
   } catch (error) {
     errorLog("Main", "Error processing video", error);
     if (errorHandler) {
@@ -223,6 +362,80 @@ document.getElementById("processButton").addEventListener("click", async () => {
     }
   } finally {
     document.getElementById("processButton").disabled = false;
+    document.getElementById("batchExportButton").disabled = false;
+    document.getElementById("cancelButton").disabled = true;
+    document.getElementById("pauseButton").disabled = true;
+    document.getElementById("pauseButton").textContent = "Pause";
+  }
+});
+
+/**
+ * Event listener for the batch export button.
+ * Exports each clip of the imported clip list as its own file.
+ */
+document.getElementById("batchExportButton").addEventListener("click", async () => {
+  if (!processor) return;
+
+  const clips = clipListProvider.getClips();
+  if (!clips) {
+    document.getElementById("status").textContent = "Import a clip list first";
+    return;
+  }
+
+  try {
+    document.getElementById("processButton").disabled = true;
+    document.getElementById("batchExportButton").disabled = true;
+    document.getElementById("cancelButton").disabled = false;
+    document.getElementById("pauseButton").disabled = false;
+    infoLog("Main", "Starting batch export", { clips: clips.length });
+    await setCropEditing(false);
+    processor.setOutputSettings(outputSettingsProvider.getSettings());
+
+    clipListProvider.resetStatuses();
+    const outputs = await processor.processClips(clips, (index, status, detail) =>
+      clipListProvider.setStatus(index, status, detail)
+    );
+    infoLog("Main", "Batch export finished", {
+      exported: outputs.length,
+      clips: clips.length,
+    });
+  } catch (error) {
+    errorLog("Main", "Error exporting clips", error);
+    document.getElementById("status").textContent = "Error exporting clips";
+  } finally {
+    document.getElementById("processButton").disabled = false;
+    document.getElementById("batchExportButton").disabled = false;
+    document.getElementById("cancelButton").disabled = true;
+    document.getElementById("pauseButton").disabled = true;
+    document.getElementById("pauseButton").textContent = "Pause";
+  }
+});
+
+/**
+ * Event listener for the pause button.
+ * Toggles between pausing and resuming the export in progress.
+ */
+document.getElementById("pauseButton").addEventListener("click", () => {
+  if (!processor) return;
+
+  const pauseButton = document.getElementById("pauseButton");
+  if (processor.isPaused()) {
+    if (processor.resume()) {
+      pauseButton.textContent = "Pause";
+    }
+  } else if (processor.pause()) {
+    pauseButton.textContent = "Resume";
+  }
+});
+
+/**
+ * Event listener for the cancel button.
+ * Stops the export in progress and discards the partial output.
+ */
+document.getElementById("cancelButton").addEventListener("click", async () => {
+  if (processor) {
+    document.getElementById("cancelButton").disabled = true;
+    await processor.cancel();
   }
 });
 
@@ -239,12 +452,43 @@ document.getElementById("zoomSlider").addEventListener("input", async (e) => {
   }
 });
 
+/**
+ * Shows a levelling angle on the level slider.
+ * @param {number} angle - The angle in degrees.
+ */
+function renderLevelAngle(angle) {
+  document.getElementById("levelSlider").value = angle;
+  document.getElementById("levelValue").textContent = `${angle.toFixed(1)}°`;
+}
+
+/**
+ * Event listener for the level slider.
+ * Rotates the video by a fraction of a degree to level the horizon.
+ */
+document.getElementById("levelSlider").addEventListener("input", async (e) => {
+  const angle = Number(e.target.value);
+  renderLevelAngle(angle);
+
+  if (processor && processor.state === "initialized") {
+    await processor.updateLevelAngle(angle);
+  }
+});
+
+/**
+ * Event listener for the grid checkbox.
+ * Shows a grid over the preview to line up the horizon.
+ */
+document.getElementById("levelGrid").addEventListener("change", (e) => {
+  document.getElementById("levelGridOverlay").hidden = !e.target.checked;
+});
+
 /**
  * Event listener for the clockwise rotation button.
  */
 document.getElementById("rotateCW").addEventListener("click", async () => {
   if (processor) {
     await processor.updateRotation((processor.rotation + 90) % 360);
+    await setCropEditing(cropOverlay.isVisible());
   }
 });
 
@@ -254,5 +498,108 @@ document.getElementById("rotateCW").addEventListener("click", async () => {
 document.getElementById("rotateCCW").addEventListener("click", async () => {
   if (processor) {
     await processor.updateRotation((processor.rotation - 90 + 360) % 360);
+    await setCropEditing(cropOverlay.isVisible());
+  }
+});
+
+/**
+ * Shows the flips of the processor, which may come from the video's
+ * matrix, on the flip buttons.
+ */
+function renderFlipButtons() {
+  const flip = processor?.flip ?? { horizontal: false, vertical: false };
+  document
+    .getElementById("flipHorizontal")
+    .setAttribute("aria-pressed", String(flip.horizontal));
+  document
+    .getElementById("flipVertical")
+    .setAttribute("aria-pressed", String(flip.vertical));
+}
+
+/**
+ * Toggles a flip of the video.
+ * @param {string} axis - 'horizontal' or 'vertical'.
+ */
+async function toggleFlip(axis) {
+  if (processor) {
+    await processor.updateFlip({ ...processor.flip, [axis]: !processor.flip[axis] });
+    renderFlipButtons();
+    await setCropEditing(cropOverlay.isVisible());
+  }
+}
+
+/**
+ * Event listener for the horizontal flip button.
+ */
+document
+  .getElementById("flipHorizontal")
+  .addEventListener("click", () => toggleFlip("horizontal"));
+
+/**
+ * Event listener for the vertical flip button.
+ */
+document
+  .getElementById("flipVertical")
+  .addEventListener("click", () => toggleFlip("vertical"));
+
+/**
+ * Event listener for the crop edit button.
+ * Toggles the crop handles over the preview.
+ */
+document.getElementById("cropEdit").addEventListener("click", async () => {
+  await setCropEditing(!cropOverlay.isVisible());
+});
+
+/**
+ * Event listener for the crop aspect ratio select.
+ * Locks the crop to the chosen ratio, e.g. "16:9", or unlocks it.
+ */
+document.getElementById("cropAspect").addEventListener("change", (e) => {
+  const [width, height] = e.target.value.split(":").map(Number);
+  cropOverlay.setAspectRatio(height ? width / height : null);
+});
+
+/**
+ * Runs a change of the pan-and-zoom keyframes and updates the slider markers.
+ * @param {Function} change - Async callback changing the keyframes.
+ */
+async function changeViewportKeyframes(change) {
+  if (!processor || processor.state !== "initialized") return;
+  await change();
+  frameRangeSlider.setKeyframeMarkers(processor.getViewportKeyframePercentages());
+}
+
+/**
+ * Event listener for the set keyframe button.
+ * Captures the current crop and zoom at the previewed frame.
+ */
+document.getElementById("viewportKeyframeAdd").addEventListener("click", () =>
+  changeViewportKeyframes(() =>
+    processor.setViewportKeyframe(document.getElementById("viewportEasing").value)
+  )
+);
+
+/**
+ * Event listener for the remove keyframe button.
+ */
+document.getElementById("viewportKeyframeRemove").addEventListener("click", () =>
+  changeViewportKeyframes(() => processor.removeViewportKeyframe())
+);
+
+/**
+ * Event listener for the clear keyframes button.
+ */
+document.getElementById("viewportKeyframeClear").addEventListener("click", () =>
+  changeViewportKeyframes(() => processor.clearViewportKeyframes())
+);
+
+/**
+ * Event listener for the crop reset button.
+ * Restores the full frame.
+ */
+document.getElementById("cropReset").addEventListener("click", async () => {
+  if (processor && processor.state === "initialized") {
+    await processor.updateCrop(null);
+    await setCropEditing(cropOverlay.isVisible());
   }
 });
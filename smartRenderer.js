@@ -0,0 +1,254 @@
+import { infoLog, debugLog, errorLog, kDecodeQueueSize } from "./logging.js";
+import { SampleManager } from "./sampleManager.js";
+import { VideoDecoder } from "./videoDecoder.js";
+
+/**
+ * Renders a frame-accurate trim while re-encoding as little as possible. The
+ * GOPs lying completely inside the selected range are copied untouched; only
+ * the partial GOPs at its start and end are decoded and re-encoded, with an
+ * encoder matching the source codec and resolution, and spliced in between.
+ */
+export class SmartRenderer {
+  /**
+   * Finds an encoder configuration producing a bitstream that can be spliced
+   * with the source samples: same codec string and resolution, and Annex B
+   * output for H.264/HEVC so the parameter sets are sent in-band.
+   * @param {Object} options - The options.
+   * @param {Object} options.videoConfig - The source video decoder configuration.
+   * @param {string} options.muxerCodec - The mp4-muxer codec id of the source.
+   * @param {number} options.fps - The frames per second of the video.
+   * @param {number} options.bitrate - The target bitrate in bits per second.
+   * @returns {Promise<Object|null>} The encoder configuration, or null if unsupported.
+   */
+  static async findEncoderConfig({ videoConfig, muxerCodec, fps, bitrate }) {
+    const config = {
+      codec: videoConfig.codec,
+      width: videoConfig.codedWidth,
+      height: videoConfig.codedHeight,
+      framerate: fps,
+      bitrate,
+    };
+    if (muxerCodec === "avc") {
+      config.avc = { format: "annexb" };
+    } else if (muxerCodec === "hevc") {
+      config.hevc = { format: "annexb" };
+    }
+
+    try {
+      const { supported } = await globalThis.VideoEncoder.isConfigSupported(config);
+      return supported ? config : null;
+    } catch (error) {
+      debugLog("SmartRenderer", "Encoder config rejected", {
+        codec: config.codec,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Finds the largest composition offset of a run of samples, i.e. how far
+   * the decode timeline runs ahead of the presentation timeline.
+   * @param {Array<object>} samples - The samples.
+   * @returns {number} The offset in microseconds.
+   */
+  static reorderDelayUs(samples) {
+    let delay = 0;
+    for (const sample of samples) {
+      delay = Math.max(
+        delay,
+        (1e6 * (sample.cts - sample.dts)) / sample.timescale
+      );
+    }
+    return delay;
+  }
+
+  /**
+   * Creates a new SmartRenderer instance.
+   * @param {Object} options - The options for the renderer.
+   * @param {SampleManager} options.sampleManager - The manager holding the finalized samples.
+   * @param {Object} options.videoConfig - The source video decoder configuration.
+   * @param {VideoEncoder} options.encoder - The encoder, initialized with initSmartRender().
+   * @param {boolean} options.isChromeBased - Flag for browser type.
+   * @param {Function} options.onFrameProcessed - Callback executed for each output frame.
+   */
+  constructor({ sampleManager, videoConfig, encoder, isChromeBased, onFrameProcessed }) {
+    this.sampleManager = sampleManager;
+    this.videoConfig = videoConfig;
+    this.encoder = encoder;
+    this.isChromeBased = isChromeBased;
+    this.onFrameProcessed = onFrameProcessed;
+
+    this.decoder = null;
+    this.decoderError = null;
+    this.keep = null; // Timestamps (µs) of the frames to re-encode in the current segment
+    this.previousPromise = Promise.resolve();
+    this.paused = false;
+    this.resumeResolve = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Sets up the decoder for the boundary GOPs.
+   */
+  async setup() {
+    this.decoder = new VideoDecoder({
+      onFrame: (frame) => this.handleFrame(frame),
+      onError: (e) => {
+        this.decoderError = e;
+        errorLog("SmartRenderer", "Decoder error", e);
+      },
+      isChromeBased: this.isChromeBased,
+    });
+    await this.decoder.setup(this.videoConfig);
+  }
+
+  /**
+   * Renders the time range. Resolves once every segment has been muxed, or
+   * as soon as the rendering is cancelled.
+   * @param {number} timeRangeStart - The start of the range in ms.
+   * @param {number} timeRangeEnd - The end of the range in ms.
+   */
+  async run(timeRangeStart, timeRangeEnd) {
+    const segments = this.sampleManager.planSmartRender(
+      timeRangeStart,
+      timeRangeEnd
+    );
+    infoLog("SmartRenderer", "Smart render planned", {
+      segments: segments.map(({ type, start, end }) => `${type} ${start}-${end}`),
+    });
+
+    try {
+      let afterEncode = false;
+      for (const segment of segments) {
+        if (this.cancelled) return;
+        if (segment.type === "copy") {
+          await this.copy(segment, afterEncode);
+          afterEncode = false;
+        } else {
+          await this.reencode(segment);
+          afterEncode = true;
+        }
+      }
+    } catch (error) {
+      // A cancellation resets the decoder and closes the encoder, which
+      // aborts any pending flush.
+      if (this.cancelled) return;
+      throw error;
+    }
+  }
+
+  /**
+   * Muxes a range of source samples as-is.
+   * @param {{start: number, end: number}} segment - The sample range.
+   * @param {boolean} afterEncode - Whether re-encoded frames precede the
+   *   range, in which case its first keyframe restates the source parameter sets.
+   * @private
+   */
+  async copy(segment, afterEncode) {
+    const samples = this.sampleManager.samples;
+    for (let i = segment.start; i < segment.end; i++) {
+      // Yield regularly so the UI stays responsive and pause requests apply.
+      if ((i - segment.start) % kDecodeQueueSize === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        await this.waitWhilePaused();
+        if (this.cancelled) return;
+      }
+      this.encoder.addRawVideoSample(samples[i], afterEncode && i === segment.start);
+      this.onFrameProcessed();
+    }
+  }
+
+  /**
+   * Decodes a range of samples and re-encodes the frames to keep.
+   * @param {{start: number, end: number, keep: Set<number>}} segment - The segment.
+   * @private
+   */
+  async reencode(segment) {
+    const samples = this.sampleManager.samples;
+    this.keep = segment.keep;
+    this.encoder.startSegment();
+
+    for (let i = segment.start; i < segment.end; i++) {
+      await this.waitForDecoder();
+      if (this.cancelled) return;
+      if (this.decoderError) throw this.decoderError;
+      this.decoder.decode(SampleManager.encodedVideoChunkFromSample(samples[i]));
+    }
+
+    await this.decoder.flush();
+    await this.previousPromise;
+    if (this.cancelled) return;
+    await this.encoder.flushSegment();
+  }
+
+  /**
+   * Queues a decoded frame for encoding if it lies inside the range.
+   * @param {VideoFrame} frame - The decoded frame.
+   * @private
+   */
+  handleFrame(frame) {
+    if (this.cancelled || !this.keep?.has(frame.timestamp)) {
+      frame.close();
+      return;
+    }
+    this.previousPromise = this.previousPromise.then(() => {
+      if (this.cancelled) {
+        frame.close();
+        return;
+      }
+      this.onFrameProcessed();
+      return this.encoder.encode(frame);
+    });
+  }
+
+  /**
+   * Waits until the decoder has room for another chunk and the rendering is
+   * not paused.
+   * @private
+   */
+  async waitForDecoder() {
+    await this.waitWhilePaused();
+    while (!this.cancelled && this.decoder.decodeQueueSize >= kDecodeQueueSize) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  /**
+   * Waits while the rendering is paused.
+   * @private
+   */
+  async waitWhilePaused() {
+    while (this.paused && !this.cancelled) {
+      await new Promise((resolve) => {
+        this.resumeResolve = resolve;
+      });
+    }
+  }
+
+  /**
+   * Pauses the rendering before the next sample.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes a paused rendering.
+   */
+  resume() {
+    this.paused = false;
+    this.resumeResolve?.();
+    this.resumeResolve = null;
+  }
+
+  /**
+   * Stops the rendering. The decoder is reset; the encoder is left to the caller.
+   */
+  cancel() {
+    this.cancelled = true;
+    this.decoder?.reset();
+    this.resumeResolve?.();
+    this.resumeResolve = null;
+  }
+}
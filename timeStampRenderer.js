@@ -5,6 +5,7 @@
  * 1. Initialize with reference start time (usually video start or user-specified time)
  * 2. Call draw() for each frame with rendering context and frame time offset
  * 3. Use updateExtraTimeOffsetMS() to synchronize with external time adjustments
+ * 4. Use setSourceShifts() to jump over the gaps between joined files
  */
 export class TimeStampRenderer {
   /**
@@ -13,6 +14,7 @@ export class TimeStampRenderer {
   constructor(startTime) {
     this.startTime = startTime; // Reference starting point for all time calculations
     this.extraTimeOffsetMS = 0; // Accumulated offset for time synchronization
+    this.sourceShifts = []; // {fromMs, shiftMs} of joined files, in time order
   }
 
   /**
@@ -23,7 +25,10 @@ export class TimeStampRenderer {
   draw(ctx, frameTimeMs) {
     // Calculate absolute time for current frame: base + offset + frame-specific
     const frameTime = new Date(
-      this.startTime.getTime() + this.extraTimeOffsetMS + frameTimeMs
+      this.startTime.getTime() +
+        this.extraTimeOffsetMS +
+        this.sourceShiftAt(frameTimeMs) +
+        frameTimeMs
     );
     // Format timestamp using Swedish locale for ISO-like format (YYYY-MM-DD HH:mm:ss)
     const timestamp = frameTime
@@ -56,4 +61,28 @@ export class TimeStampRenderer {
   updateExtraTimeOffsetMS(extraTimeOffsetMS) {
     this.extraTimeOffsetMS = extraTimeOffsetMS; // Store cumulative offset
   }
+
+  /**
+   * Sets where joined files start and how far their recording time is from
+   * the continuous timeline, so that gaps between the files show in the
+   * burned-in timestamp instead of being closed up
+   * @param {Array<{fromMs: number, shiftMs: number}>} sourceShifts - Shifts in time order
+   */
+  setSourceShifts(sourceShifts) {
+    this.sourceShifts = sourceShifts;
+  }
+
+  /**
+   * Finds the shift of the joined file a frame comes from
+   * @param {number} frameTimeMs - Milliseconds offset from start time
+   * @returns {number} The shift in milliseconds, 0 before the first joined file
+   */
+  sourceShiftAt(frameTimeMs) {
+    let shiftMs = 0;
+    for (const shift of this.sourceShifts) {
+      if (frameTimeMs < shift.fromMs) break;
+      shiftMs = shift.shiftMs;
+    }
+    return shiftMs;
+  }
 }
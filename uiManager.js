@@ -1,5 +1,11 @@
-import { VideoFrameRenderer } from "./videoFrameRenderer.js";
+import { VideoFrameRenderer, cropToAspect } from "./videoFrameRenderer.js";
 import { TimeStampRenderer } from "./timeStampRenderer.js";
+import { ViewportAnimation } from "./viewportAnimation.js";
+import { FilterChain } from "./filterChain.js";
+
+// Ids of the built-in filter stages.
+export const kFrameFilterId = "frame";
+export const kTimestampFilterId = "timestamp";
 
 /**
  * UIManager handles all interactions with the DOM, including canvas rendering and status updates.
@@ -27,7 +33,31 @@ export class UIManager {
     this.videoHeight = 0;
     this.zoom = 1.0;
     this.rotation = 0;
+    this.flip = { horizontal: false, vertical: false }; // Mirroring of the rotated picture
+    this.levelAngle = 0; // Fine rotation in degrees, cropped to fill
     this.matrix = null;
+    this.crop = null; // Crop rectangle in source pixels, null for the full frame
+    this.cropEditing = false; // While editing, the full frame is shown under the crop handles
+    this.viewportAnimation = new ViewportAnimation(); // Pan-and-zoom keyframes
+    this.frameRenderer.setAnimation(this.viewportAnimation);
+    this.blendCtx = null; // Buffer accumulating several frames into one, created on demand
+    this.drawBlend = false; // While set, the frame stage draws the blend buffer
+
+    // Every frame is drawn through the filter chain; custom stages can be
+    // registered around the built-in ones.
+    this.filterChain = new FilterChain();
+    this.filterChain.register({
+      id: kFrameFilterId,
+      apply: ({ frame }) => this.drawFrame(frame),
+    });
+    this.filterChain.register({
+      id: kTimestampFilterId,
+      apply: ({ frameTimeMs }) => this.drawTimestamp(frameTimeMs),
+    });
+
+    this.processedFrames = 0;
+    this.totalFrames = 0;
+    this.paused = false;
   }
 
   /**
@@ -45,7 +75,32 @@ export class UIManager {
    * @param {number} total - Total number of frames to process.
    */
   updateFrameCount(processed, total) {
-    this.frameCountDisplay.textContent = `Processed frames: ${processed} / ${total}`;
+    this.processedFrames = processed;
+    this.totalFrames = total;
+    this.renderFrameCount();
+  }
+
+  /**
+   * Marks the processing as paused or running. The frame count keeps its
+   * value across a pause, so progress continues from where it stopped.
+   * @param {boolean} paused - Whether processing is paused.
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.renderFrameCount();
+  }
+
+  /**
+   * Renders the frame count display from the current progress.
+   * @private
+   */
+  renderFrameCount() {
+    const { processedFrames, totalFrames } = this;
+    let text = `Processed frames: ${processedFrames} / ${totalFrames}`;
+    if (this.paused) {
+      text += " - paused";
+    }
+    this.frameCountDisplay.textContent = text;
   }
 
   /**
@@ -63,6 +118,11 @@ export class UIManager {
     this.rotation = rotation;
     this.matrix = matrix;
     this.frameRenderer.setup(videoWidth, videoHeight, matrix, zoom);
+    this.crop = null;
+    this.frameRenderer.updateCrop(null);
+    this.updateFlip({ horizontal: false, vertical: false });
+    this.levelAngle = 0;
+    this.frameRenderer.updateLevelAngle(0);
     this.updateRotation(rotation); // This will also setup canvas
   }
 
@@ -77,6 +137,28 @@ export class UIManager {
     this.setupCanvas(width, height);
   }
 
+  /**
+   * Updates the flips of the video display. They mirror the rotated picture
+   * and keep the canvas size.
+   * @param {{horizontal: boolean, vertical: boolean}} flip - The flips.
+   */
+  updateFlip(flip) {
+    this.flip = { ...flip };
+    this.frameRenderer.updateFlip(this.flip);
+  }
+
+  /**
+   * Updates the levelling angle of the video display. The canvas shrinks to
+   * the part of the levelled picture without empty corners.
+   * @param {number} angle - The clockwise angle in degrees.
+   */
+  updateLevelAngle(angle) {
+    this.levelAngle = angle;
+    this.frameRenderer.updateLevelAngle(angle);
+    const { width, height } = this.getCanvasDimensions();
+    this.setupCanvas(width, height);
+  }
+
   /**
    * Updates the zoom of the video display.
    * @param {number} zoom - The new zoom value.
@@ -93,6 +175,196 @@ export class UIManager {
     this.setupCanvas(width, height);
   }
 
+  /**
+   * Updates the crop rectangle.
+   * @param {{x: number, y: number, width: number, height: number}|null} crop -
+   *   The rectangle in source pixels, or null for the full frame.
+   */
+  updateCrop(crop) {
+    this.crop = crop;
+    this.frameRenderer.updateCrop(crop);
+    const { width, height } = this.getCanvasDimensions();
+    this.setupCanvas(width, height);
+  }
+
+  /**
+   * Gets the viewport set by the crop and zoom, as captured by a viewport keyframe.
+   * @returns {{x: number, y: number, width: number, height: number}} The
+   *   viewport in source pixels.
+   */
+  getStaticViewport() {
+    return this.frameRenderer.getStaticSourceRect();
+  }
+
+  /**
+   * Gets the part of the source frame to encode when nothing has to be
+   * drawn: without rotation, levelling, flips, pan-and-zoom keyframes,
+   * timestamp overlay or custom filter stages, crop and zoom only select a rectangle, which the
+   * encoder can take from the decoded frame and scale itself.
+   * @param {number} aspect - The width to height ratio of the output; the
+   *   rectangle is cropped around its centre to it, as the canvas would be.
+   * @returns {{x: number, y: number, width: number, height: number}|null} The
+   *   rectangle in source pixels, snapped to even values for the chroma
+   *   subsampling, or null if the frames have to be drawn on the canvas.
+   */
+  getDirectSourceRect(aspect) {
+    if (
+      this.rotation % 360 !== 0 ||
+      this.levelAngle !== 0 ||
+      this.flip.horizontal ||
+      this.flip.vertical ||
+      this.cropEditing ||
+      !this.viewportAnimation.isEmpty() ||
+      this.timestampRenderer ||
+      this.filterChain.hasEnabledFilters([kFrameFilterId, kTimestampFilterId]) ||
+      !this.filterChain.get(kFrameFilterId).enabled
+    ) {
+      return null;
+    }
+    const rect = cropToAspect(this.frameRenderer.getStaticSourceRect(), aspect);
+    const snap = (value) => Math.round(value / 2) * 2;
+    const x = snap(rect.x);
+    const y = snap(rect.y);
+    return {
+      x,
+      y,
+      width: Math.min(Math.max(snap(rect.width), 2), this.videoWidth - x),
+      height: Math.min(Math.max(snap(rect.height), 2), this.videoHeight - y),
+    };
+  }
+
+  /**
+   * Resizes the canvas after the viewport keyframes changed, as the first
+   * keyframe sets the size of the picture.
+   */
+  updateViewportAnimation() {
+    const { width, height } = this.getCanvasDimensions();
+    this.setupCanvas(width, height);
+  }
+
+  /**
+   * Starts or stops editing the crop. While editing, the whole frame is drawn
+   * without zoom so the crop handles can be placed over it.
+   * @param {boolean} editing - Whether the crop is being edited.
+   */
+  setCropEditing(editing) {
+    this.cropEditing = editing;
+    this.frameRenderer.setFullFrame(editing);
+    const { width, height } = this.getCanvasDimensions();
+    this.setupCanvas(width, height);
+  }
+
+  /**
+   * Maps a rectangle between source pixels and the canvas of the whole
+   * rotated and flipped frame, as shown while editing the crop.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle.
+   * @param {boolean} toSource - True to map from the canvas to the source.
+   * @returns {{x: number, y: number, width: number, height: number}} The mapped rectangle.
+   * @private
+   */
+  mapCropRect(rect, toSource) {
+    const isSideways = this.rotation % 180 !== 0;
+    const sourceSize = { width: this.videoWidth, height: this.videoHeight };
+    const displaySize = isSideways
+      ? { width: this.videoHeight, height: this.videoWidth }
+      : sourceSize;
+    const [from, to] = toSource ? [displaySize, sourceSize] : [sourceSize, displaySize];
+    const angle = ((toSource ? -this.rotation : this.rotation) * Math.PI) / 180;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+
+    // The flips mirror the canvas, so they are undone first towards the
+    // source and applied last towards the canvas.
+    const mirror = ([x, y]) => [
+      this.flip.horizontal ? displaySize.width - x : x,
+      this.flip.vertical ? displaySize.height - y : y,
+    ];
+
+    // Rotate the corners around the frame center and take their bounding box.
+    const xs = [];
+    const ys = [];
+    for (let [x, y] of [
+      [rect.x, rect.y],
+      [rect.x + rect.width, rect.y + rect.height],
+    ]) {
+      if (toSource) [x, y] = mirror([x, y]);
+      const u = x - from.width / 2;
+      const v = y - from.height / 2;
+      let point = [u * cos - v * sin + to.width / 2, u * sin + v * cos + to.height / 2];
+      if (!toSource) point = mirror(point);
+      xs.push(point[0]);
+      ys.push(point[1]);
+    }
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  /**
+   * Maps a crop rectangle from source pixels to the crop editing canvas.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The source rectangle.
+   * @returns {{x: number, y: number, width: number, height: number}} The canvas rectangle.
+   */
+  sourceToDisplayRect(rect) {
+    return this.mapCropRect(rect, false);
+  }
+
+  /**
+   * Maps a rectangle on the crop editing canvas to source pixels.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The canvas rectangle.
+   * @returns {{x: number, y: number, width: number, height: number}} The source rectangle.
+   */
+  displayToSourceRect(rect) {
+    return this.mapCropRect(rect, true);
+  }
+
+  /**
+   * Gets everything that shapes the rendered frames: the video geometry, the
+   * crop, zoom, rotation, flips and levelling angle, the viewport keyframes, the timestamp overlay
+   * and the filter chain settings. The state can be cloned to a worker.
+   * @returns {Object} The render state.
+   */
+  getRenderState() {
+    return {
+      videoWidth: this.videoWidth,
+      videoHeight: this.videoHeight,
+      matrix: this.matrix,
+      zoom: this.zoom,
+      rotation: this.rotation,
+      flip: this.flip,
+      levelAngle: this.levelAngle,
+      crop: this.crop,
+      viewportKeyframes: this.viewportAnimation.keyframes,
+      timestamp: this.timestampRenderer && {
+        startTime: this.timestampRenderer.startTime,
+        extraTimeOffsetMS: this.timestampRenderer.extraTimeOffsetMS,
+        sourceShifts: this.timestampRenderer.sourceShifts,
+      },
+      filters: this.filterChain.toJSON(),
+    };
+  }
+
+  /**
+   * Restores a render state produced by getRenderState().
+   * @param {Object} state - The render state.
+   */
+  loadRenderState(state) {
+    this.setup(state.videoWidth, state.videoHeight, state.matrix, state.zoom, state.rotation);
+    this.updateFlip(state.flip);
+    this.updateLevelAngle(state.levelAngle);
+    for (const { timeMs, rect, easing } of state.viewportKeyframes) {
+      this.viewportAnimation.setKeyframe(timeMs, rect, easing);
+    }
+    this.updateCrop(state.crop);
+    this.timestampRenderer = null;
+    if (state.timestamp) {
+      this.timestampRenderer = new TimeStampRenderer(state.timestamp.startTime);
+      this.timestampRenderer.updateExtraTimeOffsetMS(state.timestamp.extraTimeOffsetMS);
+      this.timestampRenderer.setSourceShifts(state.timestamp.sourceShifts);
+    }
+    this.filterChain.loadJSON(state.filters);
+  }
+
   /**
    * Sets the canvas dimensions.
    * @param {number} width - The new width.
@@ -104,25 +376,97 @@ export class UIManager {
   }
 
   /**
-   * Calculates canvas dimensions based on video dimensions, rotation, and zoom.
+   * Resizes the canvas to the drawn part of the video, e.g. after an export
+   * rendered it at the output size.
+   */
+  fitCanvas() {
+    const { width, height } = this.getCanvasDimensions();
+    this.setupCanvas(width, height);
+  }
+
+  /**
+   * Calculates canvas dimensions based on the drawn part of the video (crop
+   * and zoom), rotation and levelling, which shrinks the canvas to the part
+   * of the levelled picture without empty corners. Flips mirror the picture
+   * in place and keep the dimensions.
    * @returns {{width: number, height: number}} The calculated dimensions.
    */
   getCanvasDimensions() {
     const isSideways = this.rotation % 180 !== 0;
-    const width = isSideways
-      ? this.videoHeight * this.zoom
-      : this.videoWidth * this.zoom;
-    const height = isSideways
-      ? this.videoWidth * this.zoom
-      : this.videoHeight * this.zoom;
+    const source = this.frameRenderer.getSourceRect();
+    const scale = this.frameRenderer.getLevelScale();
+    const width = (isSideways ? source.height : source.width) * scale;
+    const height = (isSideways ? source.width : source.height) * scale;
     return { width, height };
   }
 
   /**
-   * Renders a frame to the canvas.
+   * Renders a frame to the canvas through the filter chain.
+   * @param {VideoFrame} frame - Frame to render. It is not closed.
+   * @param {Object} job - The job metadata passed to the filters
+   *   ({mode: 'preview'|'export', ...}).
+   * @param {number} [frameTimeMs] - The source time shown by the frame in
+   *   milliseconds, by default that of the frame.
+   */
+  renderFrame(frame, job, frameTimeMs = Math.floor(frame.timestamp / 1000)) {
+    this.filterChain.run({
+      frame,
+      ctx: this.ctx,
+      frameTimeMs,
+      job,
+    });
+  }
+
+  /**
+   * Draws a frame into the blend buffer with an opacity, to build an output
+   * frame from several source frames. A frame drawn opaque replaces the
+   * buffer; drawing the n-th frame at 1/n keeps the average of all of them.
+   * @param {VideoFrame} frame - Frame to add. It is not closed.
+   * @param {number} alpha - The opacity of the frame, from 0 to 1.
+   */
+  blendFrame(frame, alpha) {
+    if (!this.blendCtx) {
+      const canvas =
+        typeof OffscreenCanvas !== "undefined"
+          ? new OffscreenCanvas(this.canvas.width, this.canvas.height)
+          : document.createElement("canvas");
+      this.blendCtx = canvas.getContext("2d");
+    }
+    const buffer = this.blendCtx.canvas;
+    if (buffer.width !== this.canvas.width || buffer.height !== this.canvas.height) {
+      buffer.width = this.canvas.width;
+      buffer.height = this.canvas.height;
+    }
+    this.blendCtx.globalAlpha = alpha;
+    this.frameRenderer.drawFrame(frame, this.blendCtx);
+  }
+
+  /**
+   * Renders the blend buffer to the canvas through the filter chain, in
+   * place of the frame stage's drawing. The other stages get the given frame.
+   * @param {VideoFrame} frame - The frame handed to the other stages. It is not closed.
+   * @param {Object} job - The job metadata passed to the filters.
+   * @param {number} frameTimeMs - The source time shown by the blended frame in milliseconds.
+   */
+  renderBlendedFrame(frame, job, frameTimeMs) {
+    this.drawBlend = true;
+    try {
+      this.renderFrame(frame, job, frameTimeMs);
+    } finally {
+      this.drawBlend = false;
+    }
+  }
+
+  /**
+   * Draws a frame to the canvas, with crop, zoom, rotation and flips, or the
+   * blend buffer while a blended frame is rendered.
    * @param {VideoFrame} frame - Frame to render.
    */
   drawFrame(frame) {
+    if (this.drawBlend) {
+      this.ctx.drawImage(this.blendCtx.canvas, 0, 0);
+      return;
+    }
     this.frameRenderer.drawFrame(frame);
   }
 
@@ -141,8 +485,10 @@ export class UIManager {
    * @param {Date | null} userStartTime - The user-defined start time.
    * @param {Date} mp4StartTime - The start time from the video metadata.
    * @param {number} timeRangeStart - The start of the processing time range in ms.
+   * @param {Array<{fromMs: number, shiftMs: number}>} [sourceShifts=[]] - The
+   *   recording time shifts of joined files, see TimeStampRenderer.setSourceShifts.
    */
-  createTimestampRenderer(userStartTime, mp4StartTime, timeRangeStart) {
+  createTimestampRenderer(userStartTime, mp4StartTime, timeRangeStart, sourceShifts = []) {
     if (!this.timestampProvider.isEnabled()) {
       this.timestampRenderer = null;
       return;
@@ -154,5 +500,6 @@ export class UIManager {
     if (userStartTime) {
       this.timestampRenderer.updateExtraTimeOffsetMS(-timeRangeStart);
     }
+    this.timestampRenderer.setSourceShifts(sourceShifts);
   }
 }
@@ -1,5 +1,10 @@
-import { kDecodeQueueSize } from "./logging.js";
+import { kDecodeQueueSize, infoLog } from "./logging.js";
 import { DataStream, createFile } from "mp4box";
+import { readSampleData } from "./sampleDataReader.js";
+
+// MPEG-4 descriptor tags used to locate the AudioSpecificConfig in an esds box.
+const kDecoderConfigDescrTag = 4;
+const kDecSpecificInfoTag = 5;
 
 /**
  * Wraps the WebCodecs VideoDecoder API to provide a consistent interface for decoding video frames.
@@ -27,7 +32,7 @@ export class VideoDecoder {
    */
   async setup(config) {
     // Initialize the decoder
-    this.decoder = new window.VideoDecoder({
+    this.decoder = new globalThis.VideoDecoder({
       output: (frame) => this.onFrame(frame),
       error: (e) => this.onError(e),
     });
@@ -56,6 +61,16 @@ export class VideoDecoder {
     await this.decoder.configure(config);
   }
 
+  /**
+   * Reconfigures the decoder without discarding the pending chunks, e.g.
+   * where joined files change the codec description. The next chunk must be
+   * a keyframe.
+   * @param {object} config - The video decoder configuration.
+   */
+  reconfigure(config) {
+    this.decoder?.configure(config);
+  }
+
   /**
    * Starts a timer-based dispatch mechanism for non-Chrome browsers.
    * @param {function} onDispatch - The function to call to dispatch more data.
@@ -97,6 +112,16 @@ export class VideoDecoder {
   async flush() {
     await this.decoder?.flush();
   }
+
+  /**
+   * Resets the decoder, discarding all pending chunks and frames. Any
+   * in-flight flush() is rejected with an AbortError.
+   */
+  reset() {
+    if (this.decoder && this.decoder.state !== "closed") {
+      this.decoder.reset();
+    }
+  }
 }
 
 /**
@@ -110,23 +135,45 @@ export class MP4Demuxer {
    * @param {File} file - The source MP4 File object.
    * @param {object} config - The configuration object.
    * @param {function} config.onConfig - Callback with the video configuration.
+   * @param {function} [config.onAudioConfig] - Callback with the audio configuration,
+   *   invoked before onConfig when the file has an audio track.
    * @param {function} config.setStatus - Callback to update the status.
+   * @param {function} [config.onError] - Callback with the error when the file
+   *   cannot be demuxed, e.g. it has no moov box or no video track.
    * @param {SampleManager} config.sampleManager - The sample manager to handle the sample index and data.
+   * @param {SampleManager} [config.audioSampleManager] - The sample manager for the audio track.
    */
-  constructor(file, { onConfig, setStatus, sampleManager }) {
+  constructor(
+    file,
+    { onConfig, onAudioConfig, setStatus, onError, sampleManager, audioSampleManager }
+  ) {
     this.onConfig = onConfig;
+    this.onAudioConfig = onAudioConfig;
     this.setStatus = setStatus;
+    this.onError = onError;
     this.sourceFile = file;
     this.file = createFile();
 
-    this.file.onError = (error) => setStatus("demux", error);
+    this.file.onError = (error) => this.fail(new Error(error));
     this.file.onReady = this.onReady.bind(this);
     this.file.onSamples = this.onSamples.bind(this);
     this.nb_samples = 0;
     this.moovReady = false;
     this.pendingExtraction = null;
     this.sampleManager = sampleManager;
-    this.setupFile(file);
+    this.audioSampleManager = audioSampleManager;
+    // Errors thrown by onReady() come out of appendBuffer(), i.e. setupFile().
+    this.setupFile(file).catch((error) => this.fail(error));
+  }
+
+  /**
+   * Reports that the file cannot be demuxed.
+   * @param {Error} error - The error.
+   * @private
+   */
+  fail(error) {
+    this.setStatus("demux", error.message);
+    this.onError?.(error);
   }
 
   /**
@@ -218,6 +265,81 @@ export class MP4Demuxer {
     throw new Error("avcC, hvcC, vpcC, or av1C box not found");
   }
 
+  /**
+   * Extracts the decoder-specific description from the audio track, i.e. the
+   * AudioSpecificConfig for AAC.
+   * @param {object} track - The audio track information.
+   * @returns {Uint8Array|undefined} The description, if the codec has one.
+   */
+  getAudioDescription(track) {
+    const trak = this.file.getTrackById(track.id);
+    for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+      const decoderConfig = entry.esds?.esd?.findDescriptor(kDecoderConfigDescrTag);
+      const specificInfo = decoderConfig?.findDescriptor(kDecSpecificInfoTag);
+      if (specificInfo?.data) {
+        return specificInfo.data;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Maps an MP4 audio codec name to the corresponding WebCodecs codec string.
+   * @param {string} codec - The codec name reported by mp4box.
+   * @returns {string} The WebCodecs codec string.
+   */
+  getAudioCodec(codec) {
+    if (codec === "Opus") return "opus";
+    if (codec === "mp4a.6b" || codec === "mp4a.69") return "mp3";
+    return codec;
+  }
+
+  /**
+   * Builds the lightweight sample index of the audio track and reports its
+   * configuration. Audio sample data is read on demand straight from the
+   * source file using the offsets of the index.
+   * @param {object} track - The audio track information.
+   */
+  setupAudioTrack(track) {
+    const index = this.file.getTrackSamplesInfo(track.id).map((sample) => ({
+      number: sample.number,
+      cts: sample.cts,
+      dts: sample.dts,
+      duration: sample.duration,
+      timescale: sample.timescale,
+      is_sync: sample.is_sync,
+      offset: sample.offset,
+      size: sample.size,
+    }));
+    this.audioSampleManager.setIndex(index);
+    this.audioSampleManager.finalize();
+    this.audioSampleManager.setDataLoader(
+      async (byteStart, byteEnd, firstSampleNumber, expectedCount) => {
+        const samples = await readSampleData(
+          this.sourceFile,
+          index,
+          firstSampleNumber,
+          expectedCount
+        );
+        this.audioSampleManager.backFillData(samples);
+      }
+    );
+
+    const config = {
+      codec: this.getAudioCodec(track.codec),
+      sampleRate: track.audio.sample_rate,
+      numberOfChannels: track.audio.channel_count,
+      description: this.getAudioDescription(track),
+    };
+    infoLog("MP4Demuxer", "Audio track found", {
+      codec: config.codec,
+      sampleRate: config.sampleRate,
+      numberOfChannels: config.numberOfChannels,
+      samples: index.length,
+    });
+    this.onAudioConfig?.(config);
+  }
+
   /**
    * Calculates the frames per second (FPS) of the video track.
    * @param {object} track - The video track information.
@@ -243,6 +365,9 @@ export class MP4Demuxer {
     this.setStatus("demux", "Ready");
     this.moovReady = true;
     const track = info.videoTracks[0];
+    if (!track) {
+      throw new Error("The file has no video track");
+    }
 
     // Build the lightweight sample index (no sample data).
     const samplesInfo = this.file.getTrackSamplesInfo(track.id);
@@ -268,6 +393,12 @@ export class MP4Demuxer {
       this.extractRange(byteStart, byteEnd, firstSampleNumber, expectedCount)
     );
 
+    // The audio track, if any, is indexed the same way but never extracted by mp4box.
+    const audioTrack = info.audioTracks[0];
+    if (audioTrack && this.audioSampleManager) {
+      this.setupAudioTrack(audioTrack);
+    }
+
     // Calculate duration in milliseconds
     const durationMs = (track.duration * 1000) / track.timescale;
 
@@ -284,6 +415,7 @@ export class MP4Demuxer {
       nb_samples: track.nb_samples,
       matrix: track.matrix,
       startTime: startTime,
+      creationTime: track.created ?? null, // Before 1970 if the file has none
       fps: this.calculateFPS(track),
     });
     this.nb_samples = track.nb_samples;
@@ -1,17 +1,153 @@
-import { verboseLog, kEncodeQueueSize } from "./logging.js";
+import { infoLog, verboseLog, warnLog, kEncodeQueueSize } from "./logging.js";
 import { Muxer, StreamTarget } from "mp4-muxer";
+import {
+  Muxer as WebmMuxer,
+  StreamTarget as WebmStreamTarget,
+} from "webm-muxer";
+import {
+  annexBToLengthPrefixed,
+  getNalLengthSize,
+  getParameterSets,
+  prependNalUnits,
+} from "./nalUtils.js";
+import {
+  buildCodecString,
+  kOutputCodecs,
+  kOutputContainers,
+  webmCodecFromMuxerCodec,
+} from "./codecUtils.js";
+import { getFallbackDimensions } from "./outputSize.js";
+
+// Muxer write size when splitting, so the byte count of a part trails the
+// muxed samples by little.
+const kSplitChunkSize = 2 ** 20;
+// Room left below the size limit for the part's index and the data the muxer
+// has not written yet.
+const kSplitSizeHeadroom = 4 * 2 ** 20;
+// How far in µs the queued audio may run ahead of the muxed video before
+// the audio production waits.
+const kAudioLeadUs = 10e6;
+
+// Prefix of the temporary OPFS files, which removeStaleTempFiles() clears.
+export const kTempFilePrefix = "temp-manji-";
+
+// Temporary files of the downloaded outputs. The browser reads them in the
+// background, so they are only removed when the next export starts.
+const downloadedTempFiles = [];
+
+/**
+ * Offers a file for download through a temporary link. Needs the DOM, so it
+ * runs on the main thread.
+ * @param {Blob} file - The file to download.
+ * @param {string} name - The suggested file name.
+ * @param {string|null} [tempFileName=null] - The temporary OPFS file holding
+ *   the output, removed by removeDownloadedTempFiles() once it is downloaded.
+ */
+export function downloadFile(file, name, tempFileName = null) {
+  const url = URL.createObjectURL(file);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+  if (tempFileName) {
+    downloadedTempFiles.push(tempFileName);
+  }
+}
+
+/**
+ * Removes a temporary OPFS output file.
+ * @param {string} tempFileName - The file name.
+ * @returns {Promise<void>}
+ */
+export async function removeTempFile(tempFileName) {
+  try {
+    const root = await navigator.storage.getDirectory();
+    await root.removeEntry(tempFileName);
+  } catch (error) {
+    // The file may already be gone, or still be open in another tab.
+    warnLog("VideoEncoder", "Cannot remove temporary file", {
+      file: tempFileName,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Removes the temporary files of the outputs downloaded so far. Called
+ * before the next export, when the browser has long read them.
+ * @returns {Promise<void>}
+ */
+export async function removeDownloadedTempFiles() {
+  const tempFileNames = downloadedTempFiles.splice(0);
+  for (const tempFileName of tempFileNames) {
+    await removeTempFile(tempFileName);
+  }
+}
 
 /**
- * Handles video encoding using the WebCodecs API and muxing with mp4-muxer.
- * It can write the output to the File System Access API or in-memory.
+ * Removes the temporary files left over by a previous session, e.g. one
+ * closed before its outputs were removed.
+ * @returns {Promise<void>}
+ */
+export async function removeStaleTempFiles() {
+  if (!navigator.storage?.getDirectory) {
+    return;
+  }
+  const root = await navigator.storage.getDirectory();
+  const stale = [];
+  for await (const name of root.keys()) {
+    if (name.startsWith(kTempFilePrefix)) {
+      stale.push(name);
+    }
+  }
+  for (const name of stale) {
+    await removeTempFile(name);
+  }
+  if (stale.length > 0) {
+    infoLog("VideoEncoder", "Removed stale temporary files", { count: stale.length });
+  }
+}
+
+/**
+ * Handles video encoding using the WebCodecs API and muxing with mp4-muxer,
+ * or webm-muxer for WebM output. It can write the output to the File System
+ * Access API or in-memory.
  */
 export class VideoEncoder {
   /**
    * Initializes the VideoEncoder, setting up initial state values.
    * This includes properties for the encoder, muxer, file handling,
    * and managing backpressure during encoding.
+   * @param {Object} [options] - The encoder options.
+   * @param {Function} [options.onOutput=downloadFile] - Receives the output
+   *   file and its suggested name once finalized, and the name of the
+   *   temporary OPFS file holding it, or null if it is held in memory. The
+   *   temporary file is then the receiver's to remove with removeTempFile().
+   * @param {number} [options.rotation=0] - The clockwise rotation in degrees
+   *   (0, 90, 180 or 270) written to the track matrix of an MP4 output, for
+   *   players to apply on display. WebM has no such metadata.
+   * @param {string} [options.name='processed-video'] - The output file name,
+   *   without extension. It also names the temporary OPFS file, along with
+   *   an id of the export, so earlier outputs can be kept while later ones
+   *   are written.
+   * @param {Object|null} [options.split=null] - Splits the output into parts
+   *   named `name-part01`, `name-part02`, ... at the keyframes where a part
+   *   would otherwise exceed `maxDurationMs` or `maxBytes` (0 for no limit).
+   *   The next GOP is assumed to be as long as the last one and no larger
+   *   than the largest one. Each part is handed to onOutput once written,
+   *   with timestamps starting at zero.
    */
-  constructor() {
+  constructor({
+    onOutput = downloadFile,
+    rotation = 0,
+    name = "processed-video",
+    split = null,
+  } = {}) {
+    this.onOutput = onOutput; // Receives the finalized output file.
+    this.name = name; // Output file name without extension.
+    this.split = split; // Part limits ({maxDurationMs, maxBytes}), null for one output
+    this.rotation = rotation; // Display rotation written to the MP4 track matrix.
     this.encoder = null; // Holds the VideoEncoder instance.
     this.blockingPromise = null; // A promise used to pause encoding when the queue is full.
     this.blockingPromiseResolve = null; // The resolve function for the blocking promise.
@@ -20,9 +156,41 @@ export class VideoEncoder {
     this.fileHandle = null; // Handle for the output file.
     this.fileStream = null; // Writable stream for the output file.
     this.root = null; // Root directory for file system access.
-    this.tempFileName = `temp-manji.mp4`; // Temporary file name for the encoded video.
+    this.container = "mp4"; // Output container, a key of kOutputContainers.
+    this.codec = "avc"; // mp4-muxer codec id of the encoded video.
+    this.quantizer = null; // QP applied to every frame in quantizer mode.
+    this.gop = { mode: "auto" }; // Keyframe placement, see init().
+    this.firstFrameTimestamp = null; // Timestamp in µs of the first frame, the output origin.
+    this.lastKeyframe = null; // Frame number and output time in µs of the last keyframe.
+    this.forcedKeyframes = []; // Sorted output times in µs still to start with a keyframe.
+    this.exportId = Date.now().toString(36); // Tells the temporary files of the exports apart.
+    this.tempFileName = null; // Temporary file name of the output, or of the current part.
+    this.outputName = `${name}.mp4`; // File name of the output, or of the current part.
+    this.muxerOptions = null; // Options of createMuxer(), to open each part alike.
+    this.part = null; // Byte counts and state of the part being muxed, see openPart().
+    this.partNumber = 0; // 1-based number of the part being muxed.
+    this.gopStats = null; // Duration and size of the muxed GOPs, to predict the next one.
+    this.nextPartTime = null; // Output time in µs of the keyframe forced for the next part.
+    this.pendingOutput = Promise.resolve(); // Hands the finished parts out in order.
+    this.videoDecoderConfig = null; // Decoder config of the encoded video, repeated in each part.
+    this.audioDecoderConfig = null; // Decoder config of the queued audio, repeated in each part.
     this.frameCount = 0; // Track the number of frames encoded.
     this.fps = 30; // Default fps, will be updated in init().
+    this.width = 0; // Encoded width, which init() may lower if the requested size is unsupported.
+    this.height = 0; // Encoded height.
+    this.cancelled = false; // Set once cancel() has discarded the output.
+    this.audioChunks = null; // Encoded audio chunks waiting to be muxed, null without audio.
+    this.audioChunkIndex = 0; // Index of the next audio chunk to mux.
+    this.audioQueuedUntil = -Infinity; // Timestamp in µs of the last queued audio chunk.
+    this.audioEnded = false; // Set once endAudio() has queued the last audio chunk.
+    this.audioDone = Promise.resolve(); // Resolves once the audio has ended.
+    this.resolveAudioDone = null;
+    this.audioDemandResolve = null; // Resumes queueAudioChunks() when the video catches up.
+    this.heldVideo = []; // Video muxes waiting for the audio before them, see muxWhenAudioReady().
+    this.videoMuxedUntil = -Infinity; // Decode timestamp in µs of the last muxed video sample.
+    this.passthroughMeta = null; // Source decoder description for stream copy.
+    this.lastVideoDecodeTimestamp = null; // DTS in µs of the last muxed raw video sample.
+    this.smartRender = null; // Bitstream settings for splicing re-encoded and copied samples.
   }
 
   /**
@@ -31,97 +199,185 @@ export class VideoEncoder {
    * frame rate, and bitrate. It also sets up the output target, which can be
    * either an in-memory buffer or the file system.
    *
-   * @param {number} width - The width of the video.
-   * @param {number} height - The height of the video.
-   * @param {number} fps - The frames per second of the video.
-   * @param {boolean} useCalculatedBitrate - Whether to use a calculated bitrate.
-   * @param {boolean} [useFileSystem=false] - Whether to use the File System Access API for output.
+   * When the browser cannot encode the requested size, the next smaller
+   * resolution preset is tried; the size actually used is left in `width`
+   * and `height`.
+   *
+   * @param {Object} options - The encoder options.
+   * @param {number} options.width - The requested width of the video.
+   * @param {number} options.height - The requested height of the video.
+   * @param {number} options.fps - The frames per second of the video.
+   * @param {boolean} options.useCalculatedBitrate - Whether to use a calculated bitrate
+   *   when the rate control mode is 'auto'.
+   * @param {Object} [options.rateControl={mode: 'auto'}] - The rate control:
+   *   'auto' leaves the bitrate to the browser (or the calculated bitrate);
+   *   'constant' and 'variable' target `rateControl.bitrate` in bits per second;
+   *   'quantizer' encodes every frame with the QP `rateControl.quantizer`.
+   * @param {Object} [options.gop={mode: 'auto'}] - The keyframe placement:
+   *   'auto' starts a GOP every second; 'seconds' and 'frames' every `gop.length`
+   *   seconds or frames, where a length of 0 leaves only the first frame and
+   *   the forced keyframes; 'intra' makes every frame a keyframe.
+   * @param {Array<number>} [options.keyframeTimestamps=[]] - Output timestamps in µs
+   *   at which a keyframe is forced, see forceKeyframesAt().
+   * @param {string} [options.codec='avc'] - The output codec as an mp4-muxer codec id
+   *   ('avc', 'hevc', 'vp9' or 'av1'). The codec string is derived from the output size.
+   * @param {string} [options.container='mp4'] - The output container: 'mp4' or 'webm'.
+   * @param {boolean} [options.useFileSystem=false] - Whether to use the File System Access API for output.
+   * @param {Object|null} [options.audio=null] - The muxer audio options
+   *   ({codec, numberOfChannels, sampleRate}) when the output has an audio track.
    */
-  async init(width, height, fps, useCalculatedBitrate, useFileSystem = false) {
-    verboseLog("Initializing encoder with dimensions:", { width, height, fps });
+  async init({
+    width,
+    height,
+    fps,
+    useCalculatedBitrate,
+    rateControl = { mode: "auto" },
+    gop = { mode: "auto" },
+    keyframeTimestamps = [],
+    codec = "avc",
+    container = "mp4",
+    useFileSystem = false,
+    audio = null,
+  }) {
+    verboseLog("Initializing encoder with dimensions:", { width, height, fps, codec });
 
     // Store fps for keyframe interval calculation
     this.fps = fps;
+    this.codec = codec;
+    this.quantizer = null;
+    this.gop = gop;
+    this.firstFrameTimestamp = null;
+    this.lastKeyframe = null;
+    this.forcedKeyframes = [];
+    this.forceKeyframesAt(keyframeTimestamps);
+    this.nextPartTime = this.split?.maxDurationMs ? this.split.maxDurationMs * 1000 : null;
     this.frameCount = 0; // Reset frame count on init
 
-    // Define maximum dimensions for H.264 Level 5.1 (e.g., 4K resolution).
-    const maxWidth = 4096;
-    const maxHeight = 2304;
-    let targetWidth = width;
-    let targetHeight = height;
-
-    // If the video dimensions exceed the maximum, scale it down while maintaining the aspect ratio.
-    // This feature is currently disabled.
-    if ((width > maxWidth || height > maxHeight) && false) {
-      const ratio = Math.min(maxWidth / width, maxHeight / height);
-      targetWidth = Math.floor(width * ratio);
-      targetHeight = Math.floor(height * ratio);
-      verboseLog("Scaling video to:", { targetWidth, targetHeight });
-    }
-
-    // Calculate an appropriate bitrate for the video. A common heuristic is 0.2 bits per pixel.
-    // The bitrate is capped at 30 Mbps, a reasonable limit for H.264 Level 5.1.
-    const pixelCount = targetWidth * targetHeight;
-    const bitsPerPixel = 0.2;
-    const targetBitrate = Math.min(
-      Math.floor(pixelCount * bitsPerPixel * 30),
-      30_000_000 // Cap at 30Mbps for Level 5.1
-    );
+    const { mode = "auto", quantizer } = rateControl;
+    if (mode === "quantizer") {
+      // The QP is passed with each frame; its range depends on the codec.
+      const { maxQuantizer } = kOutputCodecs.find(({ id }) => id === codec);
+      this.quantizer = Math.min(Math.max(Math.round(quantizer), 0), maxQuantizer);
+    }
 
-    // If using the file system, set up a web worker to handle file I/O.
-    // This prevents blocking the main thread.
-    if (useFileSystem) {
-      this.fileWorker = new Worker("fileWorker.js");
-      this.fileWorker.postMessage({
-        type: "init",
-        data: { fileName: this.tempFileName },
+    // Try the requested size first, then each smaller preset.
+    const sizes = [{ width, height }, ...getFallbackDimensions(width, height)];
+    let config = null;
+    for (const size of sizes) {
+      const candidate = this.buildConfig({
+        ...size,
+        fps,
+        codec,
+        rateControl,
+        useCalculatedBitrate,
       });
-
-      // Configure the muxer to write data to the file worker.
-      this.muxer = new Muxer({
-        target: new StreamTarget({
-          chunked: true,
-          onData: (data, position) => {
-            this.fileWorker.postMessage({
-              type: "write",
-              data: {
-                chunk: new Uint8Array(data),
-                position,
-              },
-            });
-          },
-        }),
-        fastStart: false,
-        video: {
-          codec: "avc",
-          width: targetWidth,
-          height: targetHeight,
-        },
-        firstTimestampBehavior: "offset",
-      });
-    } else {
-      // If not using the file system, store the video chunks in an in-memory array.
-      this.muxer = new Muxer({
-        target: new StreamTarget({
-          chunked: true,
-          onData: (data, position) => {
-            this.chunks.push({ data: new Uint8Array(data), position });
-          },
-        }),
-        fastStart: "in-memory",
-        video: {
-          codec: "avc",
-          width: targetWidth,
-          height: targetHeight,
-        },
-        firstTimestampBehavior: "offset",
+      if (await this.isConfigSupported(candidate)) {
+        config = candidate;
+        break;
+      }
+    }
+    if (!config) {
+      const modeText = mode === "auto" ? "" : ` in ${mode} mode`;
+      throw new Error(
+        `Encoding ${codec} at ${width}x${height}${modeText} is not supported by this browser`
+      );
+    }
+    if (config.width !== width || config.height !== height) {
+      warnLog("VideoEncoder", "Requested size is not supported, using a smaller one", {
+        requested: `${width}x${height}`,
+        used: `${config.width}x${config.height}`,
       });
     }
+    this.width = config.width;
+    this.height = config.height;
+    verboseLog("Encoder configuration:", {
+      codec: config.codec,
+      width: config.width,
+      height: config.height,
+      bitrateMode: config.bitrateMode,
+      bitrate: config.bitrate,
+      quantizer: this.quantizer,
+    });
+
+    this.createMuxer({
+      useFileSystem,
+      container,
+      video: {
+        codec,
+        width: config.width,
+        height: config.height,
+      },
+      audio,
+    });
+
+    // The output of the encoder is fed to the muxer, interleaved with the queued audio.
+    this.createEncoder((chunk, meta) => this.addVideoChunk(chunk, meta));
+    await this.encoder.configure(config);
+  }
+
+  /**
+   * Builds the encoder configuration for an output size.
+   * @param {Object} options - The options, as given to init().
+   * @param {number} options.width - The output width.
+   * @param {number} options.height - The output height.
+   * @param {number} options.fps - The frames per second of the video.
+   * @param {string} options.codec - The mp4-muxer codec id.
+   * @param {Object} options.rateControl - The rate control.
+   * @param {boolean} options.useCalculatedBitrate - Whether to use a calculated bitrate in 'auto' mode.
+   * @returns {Object} The VideoEncoder configuration.
+   * @private
+   */
+  buildConfig({ width, height, fps, codec, rateControl, useCalculatedBitrate }) {
+    const config = {
+      codec: buildCodecString(codec, width, height, fps),
+      width,
+      height,
+      framerate: fps,
+    };
+    const { mode = "auto", bitrate } = rateControl;
+    if (mode === "constant" || mode === "variable") {
+      config.bitrate = bitrate;
+      config.bitrateMode = mode;
+    } else if (mode === "quantizer") {
+      config.bitrateMode = "quantizer";
+    } else if (useCalculatedBitrate) {
+      // Calculate an appropriate bitrate for the video. A common heuristic is 0.2 bits per pixel.
+      // The bitrate is capped at 30 Mbps, a reasonable limit for H.264 Level 5.1.
+      const pixelCount = width * height;
+      const bitsPerPixel = 0.2;
+      config.bitrate = Math.min(
+        Math.floor(pixelCount * bitsPerPixel * 30),
+        30_000_000 // Cap at 30Mbps for Level 5.1
+      );
+    }
+    return config;
+  }
 
-    // Initialize the VideoEncoder with a callback to handle encoded chunks.
-    // The output of the encoder is fed directly to the muxer.
-    this.encoder = new window.VideoEncoder({
-      output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+  /**
+   * Checks whether the browser can encode a configuration. A configuration
+   * the browser considers invalid counts as unsupported.
+   * @param {Object} config - The VideoEncoder configuration.
+   * @returns {Promise<boolean>} True if the configuration is supported.
+   * @private
+   */
+  async isConfigSupported(config) {
+    try {
+      const { supported } = await globalThis.VideoEncoder.isConfigSupported(config);
+      return supported;
+    } catch (error) {
+      verboseLog("Encoder config rejected:", { codec: config.codec, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Creates the underlying VideoEncoder with backpressure handling.
+   * @param {Function} output - Callback receiving each encoded chunk and its metadata.
+   * @private
+   */
+  createEncoder(output) {
+    this.encoder = new globalThis.VideoEncoder({
+      output,
       error: (e) => console.error("Encoding error:", e),
     });
 
@@ -142,19 +398,708 @@ export class VideoEncoder {
         this.onQueueEmpty();
       }
     };
+  }
 
-    // Configure the encoder with the specified video parameters.
-    const config = {
-      codec: "avc1.640033", // H.264 High Profile Level 5.1
-      width: targetWidth,
-      height: targetHeight,
-      framerate: fps,
+  /**
+   * Initializes the muxer only, for stream copy: the source's encoded samples
+   * are muxed as-is with the source decoder description, no encoder is created.
+   *
+   * @param {Object} options - The passthrough options.
+   * @param {Object} options.decoderConfig - The source video decoder configuration
+   *   (codec, codedWidth, codedHeight, description).
+   * @param {string} options.muxerCodec - The mp4-muxer codec id of the source.
+   * @param {boolean} [options.useFileSystem=false] - Whether to use the File System Access API for output.
+   * @param {Object|null} [options.audio=null] - The muxer audio options, if any.
+   */
+  initPassthrough({ decoderConfig, muxerCodec, useFileSystem = false, audio = null }) {
+    verboseLog("Initializing stream copy muxer:", {
+      codec: decoderConfig.codec,
+      width: decoderConfig.codedWidth,
+      height: decoderConfig.codedHeight,
+    });
+
+    this.frameCount = 0;
+    this.lastVideoDecodeTimestamp = null;
+    this.passthroughMeta = {
+      decoderConfig: {
+        codec: decoderConfig.codec,
+        codedWidth: decoderConfig.codedWidth,
+        codedHeight: decoderConfig.codedHeight,
+        description: decoderConfig.description,
+      },
+    };
+    this.createMuxer({
+      useFileSystem,
+      video: {
+        codec: muxerCodec,
+        width: decoderConfig.codedWidth,
+        height: decoderConfig.codedHeight,
+      },
+      audio,
+    });
+  }
+
+  /**
+   * Initializes the muxer for smart rendering, together with an encoder for
+   * the boundary frames. Source samples are muxed as-is with the source
+   * decoder description, while the re-encoded frames are converted to the
+   * source bitstream format and carry their own parameter sets in-band.
+   *
+   * @param {Object} options - The smart render options.
+   * @param {Object} options.decoderConfig - The source video decoder configuration.
+   * @param {string} options.muxerCodec - The mp4-muxer codec id of the source.
+   * @param {Object} options.encoderConfig - The configuration of the boundary encoder,
+   *   matching the source codec string and resolution.
+   * @param {number} options.reorderDelay - The largest composition offset of the
+   *   source in µs; re-encoded frames use it as their decode delay.
+   * @param {boolean} [options.useFileSystem=false] - Whether to use the File System Access API for output.
+   * @param {Object|null} [options.audio=null] - The muxer audio options, if any.
+   */
+  async initSmartRender({
+    decoderConfig,
+    muxerCodec,
+    encoderConfig,
+    reorderDelay,
+    useFileSystem = false,
+    audio = null,
+  }) {
+    this.initPassthrough({ decoderConfig, muxerCodec, useFileSystem, audio });
+    this.fps = encoderConfig.framerate;
+
+    const hasNalUnits = muxerCodec === "avc" || muxerCodec === "hevc";
+    this.smartRender = {
+      reorderDelay,
+      nalLengthSize: hasNalUnits
+        ? getNalLengthSize(muxerCodec, decoderConfig.description)
+        : 0,
+      parameterSets: hasNalUnits
+        ? getParameterSets(muxerCodec, decoderConfig.description)
+        : [],
     };
-    if (useCalculatedBitrate) {
-      config.bitrate = targetBitrate;
+
+    this.createEncoder((chunk) => this.addReencodedChunk(chunk));
+    await this.encoder.configure(encoderConfig);
+  }
+
+  /**
+   * Muxes a source sample without re-encoding it. Samples must be passed in
+   * decode order; the composition offset is kept so B-frames stay valid.
+   * @param {object} sample - The sample (cts, dts, duration, timescale, is_sync, data).
+   * @param {boolean} [prependParameterSets=false] - Whether to repeat the source
+   *   parameter sets in-band, needed when the sample follows re-encoded frames.
+   */
+  addRawVideoSample(sample, prependParameterSets = false) {
+    let data = sample.data;
+    if (prependParameterSets && this.smartRender?.parameterSets.length) {
+      data = prependNalUnits(
+        data,
+        this.smartRender.parameterSets,
+        this.smartRender.nalLengthSize
+      );
     }
+    this.writeVideoSample(
+      data,
+      sample.is_sync ? "key" : "delta",
+      (1e6 * sample.cts) / sample.timescale,
+      (1e6 * sample.dts) / sample.timescale,
+      (1e6 * sample.duration) / sample.timescale
+    );
+  }
 
-    await this.encoder.configure(config);
+  /**
+   * Muxes a chunk from the boundary encoder in smart rendering. The encoder
+   * does not reorder frames, so the decode timestamp only has to stay behind
+   * the copied samples' timeline: it is delayed like the source and kept
+   * strictly increasing, as a repeated decode timestamp gives the previous
+   * sample a zero duration.
+   * @param {EncodedVideoChunk} chunk - The encoded chunk (Annex B for H.264/HEVC).
+   * @private
+   */
+  addReencodedChunk(chunk) {
+    if (this.cancelled) return;
+    let data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    if (this.smartRender.nalLengthSize) {
+      data = annexBToLengthPrefixed(data, this.smartRender.nalLengthSize);
+    }
+    let decodeTimestamp = chunk.timestamp - this.smartRender.reorderDelay;
+    if (
+      this.lastVideoDecodeTimestamp !== null &&
+      decodeTimestamp <= this.lastVideoDecodeTimestamp
+    ) {
+      decodeTimestamp = this.lastVideoDecodeTimestamp + 1;
+    }
+    this.writeVideoSample(
+      data,
+      chunk.type,
+      chunk.timestamp,
+      decodeTimestamp,
+      chunk.duration ?? 0
+    );
+  }
+
+  /**
+   * Muxes raw video data, preceded by the audio that belongs before it.
+   * @param {Uint8Array} data - The sample data in the source bitstream format.
+   * @param {string} type - 'key' or 'delta'.
+   * @param {number} timestamp - The presentation timestamp in µs.
+   * @param {number} decodeTimestamp - The decode timestamp in µs.
+   * @param {number} duration - The duration in µs.
+   * @private
+   */
+  writeVideoSample(data, type, timestamp, decodeTimestamp, duration) {
+    this.muxWhenAudioReady(decodeTimestamp, () => {
+      const startsPart = this.trackVideoSample(type, timestamp, decodeTimestamp, data.byteLength);
+      this.muxAudioUntil(decodeTimestamp);
+      this.muxer.addVideoChunkRaw(
+        data,
+        type,
+        this.toPartTime(timestamp, decodeTimestamp),
+        duration,
+        // The source description is only needed with the first sample of a part.
+        startsPart ? this.passthroughMeta : undefined,
+        timestamp - decodeTimestamp
+      );
+    });
+    this.lastVideoDecodeTimestamp = decodeTimestamp;
+  }
+
+  /**
+   * Starts a new run of re-encoded frames: the next encoded frame is forced
+   * to be a keyframe.
+   */
+  startSegment() {
+    this.lastKeyframe = null;
+  }
+
+  /**
+   * Forces keyframes at the given output timestamps, e.g. to prepare cut
+   * points for a later stream copy. Output timestamps start at 0 with the
+   * first encoded frame; the first frame at or after each timestamp becomes
+   * a keyframe, on top of the regular GOPs.
+   * @param {Array<number>} timestamps - The output timestamps in µs.
+   */
+  forceKeyframesAt(timestamps) {
+    this.forcedKeyframes = [...this.forcedKeyframes, ...timestamps].sort(
+      (a, b) => a - b
+    );
+  }
+
+  /**
+   * Decides whether a frame starts a new GOP, according to the GOP settings
+   * and the forced keyframes, and records it if so.
+   * @param {number} timestamp - The timestamp of the frame in µs.
+   * @returns {boolean} True if the frame must be encoded as a keyframe.
+   * @private
+   */
+  isKeyframeDue(timestamp) {
+    if (this.firstFrameTimestamp === null) {
+      this.firstFrameTimestamp = timestamp;
+    }
+    const outputTime = timestamp - this.firstFrameTimestamp;
+
+    let due = this.lastKeyframe === null || this.gop.mode === "intra";
+    while (this.forcedKeyframes.length > 0 && this.forcedKeyframes[0] <= outputTime) {
+      this.forcedKeyframes.shift();
+      due = true;
+    }
+    // A part reaching the duration limit ends right there.
+    if (this.nextPartTime !== null && outputTime >= this.nextPartTime - 5e5 / this.fps) {
+      this.nextPartTime = outputTime + this.split.maxDurationMs * 1000;
+      due = true;
+    }
+    if (!due && this.gop.mode === "frames") {
+      const frames = this.gop.length;
+      due = frames > 0 && this.frameCount - this.lastKeyframe.frame >= frames;
+    } else if (!due) {
+      // Half a frame of slack keeps timestamp rounding from delaying the GOP by a frame.
+      const seconds = this.gop.mode === "seconds" ? this.gop.length : 1;
+      const elapsed = outputTime - this.lastKeyframe.time;
+      due = seconds > 0 && elapsed >= seconds * 1e6 - 5e5 / this.fps;
+    }
+
+    if (due) {
+      this.lastKeyframe = { frame: this.frameCount, time: outputTime };
+    }
+    return due;
+  }
+
+  /**
+   * Flushes the encoder without closing it, so every frame encoded so far is
+   * muxed before samples from another source are added.
+   * @returns {Promise<void>}
+   */
+  async flushSegment() {
+    await this.encoder.flush();
+  }
+
+  /**
+   * Creates the muxer and its output target. With the file system, the data
+   * is streamed to a web worker that writes it to a temporary OPFS file;
+   * otherwise it is collected in memory.
+   * @param {Object} options - The muxer options.
+   * @param {boolean} options.useFileSystem - Whether to write to the file system.
+   * @param {string} [options.container='mp4'] - The output container: 'mp4' or 'webm'.
+   * @param {Object} options.video - The video track options, with an mp4-muxer codec id.
+   * @param {Object|null} options.audio - The audio track options, with an mp4-muxer
+   *   codec id, if any.
+   * @private
+   */
+  createMuxer({ useFileSystem, container = "mp4", video, audio }) {
+    this.container = container;
+    this.muxerOptions = { useFileSystem, video, audio };
+    this.partNumber = 0;
+    this.gopStats = null;
+    this.pendingOutput = Promise.resolve();
+    this.openPart();
+  }
+
+  /**
+   * Creates the muxer and output target of the next part, or of the whole
+   * output when it is not split.
+   * @private
+   */
+  openPart() {
+    const { useFileSystem, video, audio } = this.muxerOptions;
+    const { extension } = kOutputContainers[this.container];
+    this.partNumber++;
+    const name = this.split
+      ? `${this.name}-part${String(this.partNumber).padStart(2, "0")}`
+      : this.name;
+    this.outputName = `${name}.${extension}`;
+    this.tempFileName = `${kTempFilePrefix}${name}-${this.exportId}.${extension}`;
+    // bytes is the size written by the muxer, sampleBytes the size of the
+    // samples muxed, which the muxer may not have written yet. timeOrigin is
+    // the source time in µs that starts the part, see toPartTime().
+    const part = {
+      bytes: 0,
+      sampleBytes: 0,
+      startTimestamp: null,
+      timeOrigin: null,
+      hasAudio: false,
+    };
+    this.part = part;
+    const isWebm = this.container === "webm";
+    const Target = isWebm ? WebmStreamTarget : StreamTarget;
+    const chunkSize = this.split ? kSplitChunkSize : undefined;
+
+    let target;
+    // If using the file system, set up a web worker to handle file I/O.
+    // This prevents blocking the main thread.
+    if (useFileSystem) {
+      const fileWorker = new Worker("fileWorker.js");
+      this.fileWorker = fileWorker;
+      fileWorker.postMessage({
+        type: "init",
+        data: { fileName: this.tempFileName },
+      });
+
+      // Configure the muxer to write data to the file worker.
+      target = new Target({
+        chunked: true,
+        chunkSize,
+        onData: (data, position) => {
+          part.bytes = Math.max(part.bytes, position + data.byteLength);
+          fileWorker.postMessage({
+            type: "write",
+            data: {
+              chunk: new Uint8Array(data),
+              position,
+            },
+          });
+        },
+      });
+    } else {
+      // If not using the file system, store the video chunks in an in-memory array.
+      const chunks = [];
+      this.chunks = chunks;
+      target = new Target({
+        chunked: true,
+        chunkSize,
+        onData: (data, position) => {
+          part.bytes = Math.max(part.bytes, position + data.byteLength);
+          chunks.push({ data: new Uint8Array(data), position });
+        },
+      });
+    }
+
+    if (isWebm) {
+      if (this.rotation !== 0) {
+        warnLog("VideoEncoder", "WebM has no rotation metadata, the rotation is dropped", {
+          rotation: this.rotation,
+        });
+      }
+      const options = {
+        target,
+        type: "webm",
+        video: {
+          ...video,
+          codec: webmCodecFromMuxerCodec(video.codec),
+          frameRate: this.fps, // Metadata only in WebM
+        },
+        // The timestamps are already moved to the part's time origin, and
+        // webm-muxer has no cross-track offset to do it.
+        firstTimestampBehavior: "permissive",
+      };
+      if (audio) {
+        options.audio = { ...audio, codec: webmCodecFromMuxerCodec(audio.codec) };
+      }
+      this.muxer = new WebmMuxer(options);
+      return;
+    }
+
+    // An in-memory fast start holds all the data back until the end, leaving
+    // nothing to count the size of a part by.
+    const options = {
+      target,
+      fastStart: useFileSystem || this.split ? false : "in-memory",
+      video: { ...video, rotation: this.rotation },
+      firstTimestampBehavior: "cross-track-offset",
+    };
+    if (audio) {
+      options.audio = audio;
+    }
+    this.muxer = new Muxer(options);
+  }
+
+  /**
+   * Announces an audio track, produced alongside the video and passed in
+   * with queueAudioChunks() until endAudio(). Video samples are held back
+   * until the audio before them is queued.
+   */
+  beginAudio() {
+    this.audioChunks = [];
+    this.audioChunkIndex = 0;
+    this.audioQueuedUntil = -Infinity;
+    this.audioEnded = false;
+    this.audioDecoderConfig = null;
+    this.audioDone = new Promise((resolve) => {
+      this.resolveAudioDone = resolve;
+    });
+  }
+
+  /**
+   * Queues encoded audio chunks to be muxed. They are interleaved with the
+   * video: each chunk is written once a video chunk at or after its timestamp
+   * is muxed, and the remainder when the encoding is finalized.
+   * @param {Array<{chunk: EncodedAudioChunk, meta: Object|undefined}>} chunks -
+   *   The next audio chunks in timestamp order.
+   * @returns {Promise<void>} Resolves once more audio is wanted, i.e. when
+   *   the queued audio is no longer far ahead of the muxed video.
+   */
+  async queueAudioChunks(chunks) {
+    if (this.cancelled || !this.audioChunks || chunks.length === 0) return;
+    this.audioDecoderConfig ??=
+      chunks.find(({ meta }) => meta?.decoderConfig)?.meta.decoderConfig ?? null;
+    this.audioChunks.push(...chunks);
+    this.audioQueuedUntil = chunks[chunks.length - 1].chunk.timestamp;
+    this.releaseHeldVideo();
+
+    while (
+      !this.cancelled &&
+      this.heldVideo.length === 0 &&
+      this.audioQueuedUntil > this.videoMuxedUntil + kAudioLeadUs
+    ) {
+      await new Promise((resolve) => {
+        this.audioDemandResolve = resolve;
+      });
+    }
+  }
+
+  /**
+   * Marks the end of the audio track: the held video samples are muxed and
+   * finalize() may proceed.
+   */
+  endAudio() {
+    this.audioEnded = true;
+    this.releaseHeldVideo();
+    this.resolveAudioDone?.();
+  }
+
+  /**
+   * Resumes a queueAudioChunks() call waiting for the video to catch up.
+   * @private
+   */
+  wakeAudio() {
+    this.audioDemandResolve?.();
+    this.audioDemandResolve = null;
+  }
+
+  /**
+   * Muxes a video sample, or holds it back until the audio up to its decode
+   * timestamp is queued, so the audio before it goes into the output first.
+   * Held samples are muxed in their order.
+   * @param {number} decodeTimestamp - The decode timestamp of the sample in µs.
+   * @param {function(): void} mux - Muxes the sample.
+   * @private
+   */
+  muxWhenAudioReady(decodeTimestamp, mux) {
+    if (this.heldVideo.length > 0 || !this.isAudioQueuedUntil(decodeTimestamp)) {
+      this.heldVideo.push({ decodeTimestamp, mux });
+      this.wakeAudio();
+      return;
+    }
+    this.muxVideo(decodeTimestamp, mux);
+  }
+
+  /**
+   * Checks whether every audio chunk up to a timestamp has been queued.
+   * @param {number} timestamp - The timestamp in µs.
+   * @returns {boolean} True if there is no more audio to wait for.
+   * @private
+   */
+  isAudioQueuedUntil(timestamp) {
+    return !this.audioChunks || this.audioEnded || this.audioQueuedUntil > timestamp;
+  }
+
+  /**
+   * Muxes the held video samples whose audio is queued by now.
+   * @private
+   */
+  releaseHeldVideo() {
+    if (this.cancelled) {
+      this.heldVideo = [];
+      return;
+    }
+    while (
+      this.heldVideo.length > 0 &&
+      this.isAudioQueuedUntil(this.heldVideo[0].decodeTimestamp)
+    ) {
+      const { decodeTimestamp, mux } = this.heldVideo.shift();
+      this.muxVideo(decodeTimestamp, mux);
+    }
+  }
+
+  /**
+   * Muxes a video sample and lets the audio production move on with it.
+   * @param {number} decodeTimestamp - The decode timestamp of the sample in µs.
+   * @param {function(): void} mux - Muxes the sample.
+   * @private
+   */
+  muxVideo(decodeTimestamp, mux) {
+    mux();
+    this.videoMuxedUntil = Math.max(this.videoMuxedUntil, decodeTimestamp);
+    this.wakeAudio();
+  }
+
+  /**
+   * Muxes the queued audio chunks up to the given timestamp.
+   * @param {number} timestamp - The timestamp limit in microseconds (inclusive).
+   * @private
+   */
+  muxAudioUntil(timestamp) {
+    if (!this.audioChunks) return;
+    while (this.audioChunkIndex < this.audioChunks.length) {
+      const { chunk, meta } = this.audioChunks[this.audioChunkIndex];
+      if (chunk.timestamp > timestamp) break;
+      // A new part needs the decoder config again with its first chunk.
+      this.muxer.addAudioChunk(
+        chunk,
+        this.part.hasAudio ? meta : { ...meta, decoderConfig: this.audioDecoderConfig },
+        this.toPartTime(chunk.timestamp)
+      );
+      this.part.hasAudio = true;
+      this.part.sampleBytes += chunk.byteLength;
+      this.audioChunkIndex++;
+    }
+    // Let go of the muxed chunks.
+    if (this.audioChunkIndex >= 1024) {
+      this.audioChunks.splice(0, this.audioChunkIndex);
+      this.audioChunkIndex = 0;
+    }
+  }
+
+  /**
+   * Muxes an encoded video chunk, preceded by the audio that belongs before it.
+   * @param {EncodedVideoChunk} chunk - The encoded video chunk.
+   * @param {Object} meta - The encoder metadata for the chunk.
+   * @private
+   */
+  addVideoChunk(chunk, meta) {
+    if (meta?.decoderConfig) {
+      this.videoDecoderConfig = meta.decoderConfig;
+    }
+    this.muxWhenAudioReady(chunk.timestamp, () => {
+      const startsPart = this.trackVideoSample(
+        chunk.type,
+        chunk.timestamp,
+        chunk.timestamp,
+        chunk.byteLength
+      );
+      this.muxAudioUntil(chunk.timestamp);
+      this.muxer.addVideoChunk(
+        chunk,
+        startsPart && !meta?.decoderConfig
+          ? { ...meta, decoderConfig: this.videoDecoderConfig }
+          : meta,
+        this.toPartTime(chunk.timestamp)
+      );
+    });
+  }
+
+  /**
+   * Moves a source timestamp to the timeline of the current part. Audio and
+   * video share one origin, the first decode timestamp muxed in the part, so
+   * the part starts at zero and the tracks keep their offset to each other.
+   * @param {number} timestamp - The timestamp in µs.
+   * @param {number} [decodeTimestamp=timestamp] - The decode timestamp in µs,
+   *   which becomes the origin if it is the first muxed in the part.
+   * @returns {number} The timestamp in the part in µs.
+   * @private
+   */
+  toPartTime(timestamp, decodeTimestamp = timestamp) {
+    this.part.timeOrigin ??= decodeTimestamp;
+    return timestamp - this.part.timeOrigin;
+  }
+
+  /**
+   * Accounts for a video sample about to be muxed. When splitting, a
+   * keyframe after which the part would exceed a limit first finishes the
+   * part and opens the next one.
+   * @param {string} type - 'key' or 'delta'.
+   * @param {number} timestamp - The presentation timestamp in µs.
+   * @param {number} decodeTimestamp - The decode timestamp in µs.
+   * @param {number} byteLength - The size of the sample.
+   * @returns {boolean} True if the sample is the first of its part.
+   * @private
+   */
+  trackVideoSample(type, timestamp, decodeTimestamp, byteLength) {
+    if (this.split && type === "key") {
+      const gop = this.gopStats;
+      if (gop) {
+        // The GOP ending here predicts the next one.
+        gop.duration = timestamp - gop.startTimestamp;
+        gop.maxBytes = Math.max(gop.maxBytes, gop.bytes);
+        if (this.isPartFull(timestamp)) {
+          this.startNextPart(timestamp, decodeTimestamp);
+        }
+      }
+      this.gopStats = {
+        startTimestamp: timestamp,
+        bytes: 0,
+        duration: gop?.duration ?? 0,
+        maxBytes: gop?.maxBytes ?? 0,
+      };
+    }
+    if (this.gopStats) {
+      this.gopStats.bytes += byteLength;
+    }
+    const startsPart = this.part.startTimestamp === null;
+    if (startsPart) {
+      this.part.startTimestamp = timestamp;
+    }
+    this.part.sampleBytes += byteLength;
+    return startsPart;
+  }
+
+  /**
+   * Checks whether the current part must end before a keyframe, because one
+   * more GOP would take it past the duration or the size limit.
+   * @param {number} timestamp - The presentation timestamp of the keyframe in µs.
+   * @returns {boolean} True if the keyframe must start a new part.
+   * @private
+   */
+  isPartFull(timestamp) {
+    const { maxDurationMs = 0, maxBytes = 0 } = this.split;
+    const { maxBytes: gopBytes } = this.gopStats;
+    let { duration } = this.gopStats;
+    if (this.nextPartTime !== null) {
+      // A re-encode cuts the next GOP short at the keyframe forced for the next part.
+      duration = Math.min(duration, this.firstFrameTimestamp + this.nextPartTime - timestamp);
+    }
+    // Half a frame of slack keeps timestamp rounding from ending a part a GOP early.
+    const endTime = timestamp - this.part.startTimestamp + duration - 5e5 / this.fps;
+    const size =
+      Math.max(this.part.bytes, this.part.sampleBytes) + gopBytes + kSplitSizeHeadroom;
+    return (
+      (maxDurationMs > 0 && endTime > maxDurationMs * 1000) ||
+      (maxBytes > 0 && size > maxBytes)
+    );
+  }
+
+  /**
+   * Finishes the current part and opens the next one, which starts with the
+   * keyframe at the given timestamps.
+   * @param {number} timestamp - The presentation timestamp of the keyframe in µs.
+   * @param {number} decodeTimestamp - Its decode timestamp in µs.
+   * @private
+   */
+  startNextPart(timestamp, decodeTimestamp) {
+    // The audio before the keyframe stays with the part it ends.
+    this.muxAudioUntil(decodeTimestamp - 1);
+    this.finishPart();
+    this.openPart();
+    if (this.nextPartTime !== null) {
+      this.nextPartTime =
+        timestamp - this.firstFrameTimestamp + this.split.maxDurationMs * 1000;
+    }
+    infoLog("VideoEncoder", "Starting output part", {
+      part: this.outputName,
+      timestamp,
+    });
+  }
+
+  /**
+   * Finalizes the muxer of the current part and queues the part to be handed
+   * to the onOutput callback, after the parts before it.
+   * @returns {Promise<void>} Resolves once the part is handed out.
+   * @private
+   */
+  finishPart() {
+    this.muxer.finalize();
+    const part = {
+      fileWorker: this.fileWorker,
+      chunks: this.chunks,
+      tempFileName: this.tempFileName,
+      outputName: this.outputName,
+    };
+    this.fileWorker = null;
+    this.pendingOutput = this.pendingOutput.then(() => this.handOutPart(part));
+    return this.pendingOutput;
+  }
+
+  /**
+   * Hands a finished part to the onOutput callback, read back from its
+   * temporary OPFS file or assembled from its in-memory chunks. The part is
+   * discarded instead if the encoding was cancelled meanwhile.
+   * @param {Object} part - The part, as captured by finishPart().
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handOutPart({ fileWorker, chunks, tempFileName, outputName }) {
+    if (fileWorker) {
+      if (this.cancelled) {
+        fileWorker.postMessage({ type: "abort" });
+        await this.waitForFileWorker("aborted", fileWorker);
+        return;
+      }
+      // Wait for the file worker to confirm that the file has been closed.
+      // The writes still queued in the worker may take long for a large part,
+      // and stopping it early would truncate the file, so there is no timeout.
+      fileWorker.postMessage({ type: "close" });
+      await this.waitForFileWorker("closed", fileWorker, null);
+      if (this.cancelled) {
+        await removeTempFile(tempFileName);
+        return;
+      }
+
+      const root = await navigator.storage.getDirectory();
+      const fileHandle = await root.getFileHandle(tempFileName, {
+        create: false,
+      });
+      this.onOutput(await fileHandle.getFile(), outputName, tempFileName);
+    } else if (!this.cancelled) {
+      // Assemble the video from the stored chunks.
+      const sortedChunks = chunks.sort((a, b) => a.position - b.position);
+      const lastChunk = sortedChunks[sortedChunks.length - 1];
+      const totalSize = lastChunk.position + lastChunk.data.length;
+      const result = new Uint8Array(totalSize);
+      for (const chunk of sortedChunks) {
+        result.set(chunk.data, chunk.position);
+      }
+      const { mimeType } = kOutputContainers[this.container];
+      this.onOutput(new Blob([result], { type: mimeType }), outputName, null);
+    }
   }
 
   /**
@@ -181,7 +1126,7 @@ export class VideoEncoder {
    * @param {VideoFrame} frame - The video frame to encode.
    */
   async encode(frame) {
-    while (this.encoder.encodeQueueSize > kEncodeQueueSize) {
+    while (!this.cancelled && this.encoder.encodeQueueSize > kEncodeQueueSize) {
       // If a blocking promise already exists, it means another encode call
       // is already waiting for the queue to drain. We should wait on that
       // same promise.
@@ -196,99 +1141,123 @@ export class VideoEncoder {
       });
       await this.blockingPromise;
     }
-    // Track frame count and force keyframes at regular intervals
+    // The encoder is closed once cancelled; drop the frame instead.
+    if (this.cancelled) {
+      frame.close();
+      return;
+    }
+    // Track frame count and force keyframes according to the GOP settings
     this.frameCount++;
-
-    // Force a keyframe every fps frames (1 second GOP)
-    // Round fps to nearest integer for keyframe interval calculation
-    const keyframeInterval = Math.round(this.fps);
-    const forceKeyframe = (this.frameCount - 1) % keyframeInterval === 0;
+    const forceKeyframe = this.isKeyframeDue(frame.timestamp);
 
     // Encode the frame with keyframe hint if needed
+    const options = {};
     if (forceKeyframe) {
       verboseLog(
-        `Forcing keyframe at frame ${this.frameCount} (fps: ${this.fps}, interval: ${keyframeInterval})`
+        `Forcing keyframe at frame ${this.frameCount} (fps: ${this.fps}, GOP: ${JSON.stringify(this.gop)})`
       );
-      this.encoder.encode(frame, { keyFrame: true });
-    } else {
-      this.encoder.encode(frame);
+      options.keyFrame = true;
+    }
+    // In quantizer mode, the QP goes in the codec-specific options.
+    if (this.quantizer !== null) {
+      options[this.codec] = { quantizer: this.quantizer };
     }
+    this.encoder.encode(frame, options);
 
     frame.close();
   }
 
   /**
-   * Finalizes the encoding process. This method flushes any remaining frames
-   * from the encoder and muxer, and then prepares the final video file for
-   * download. The method of providing the file depends on whether the file
-   * system or in-memory storage was used.
+   * Waits for a file worker to post a message of the given type, then
+   * terminates it. Gives up after a timeout so a stuck worker cannot block.
+   * @param {string} expectedType - The message type to wait for.
+   * @param {Worker} [fileWorker=this.fileWorker] - The file worker.
+   * @param {number|null} [timeoutMs=5000] - The timeout, null to wait until
+   *   the worker answers or fails.
+   * @returns {Promise<void>}
+   * @private
    */
-  async finalize() {
-    // Flush any buffered frames from the encoder and close it.
-    await this.encoder.flush();
-    this.encoder.close();
-    this.muxer.finalize();
+  waitForFileWorker(expectedType, fileWorker = this.fileWorker, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timeout =
+        timeoutMs === null
+          ? null
+          : setTimeout(() => {
+              console.warn('[VideoEncoder] File worker timeout, continuing anyway');
+              fileWorker.terminate();
+              resolve();
+            }, timeoutMs);
 
-    // If using the file system, finalize the file and provide a download link.
-    if (this.fileWorker) {
-      this.fileWorker.postMessage({ type: "close" });
-
-      // Wait for the file worker to confirm that the file has been closed, with timeout
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          console.warn('[VideoEncoder] File worker timeout, continuing anyway');
-          this.fileWorker.terminate();
+      fileWorker.onmessage = (e) => {
+        if (e.data.type === expectedType) {
+          clearTimeout(timeout);
+          fileWorker.terminate();
           resolve();
-        }, 5000);
+        }
+      };
 
-        this.fileWorker.onmessage = (e) => {
-          if (e.data.type === "closed") {
-            clearTimeout(timeout);
-            this.fileWorker.terminate();
-            resolve();
-          }
-        };
+      fileWorker.onerror = (error) => {
+        clearTimeout(timeout);
+        console.error('[VideoEncoder] File worker error:', error);
+        fileWorker.terminate();
+        reject(error);
+      };
+    });
+  }
 
-        this.fileWorker.onerror = (error) => {
-          clearTimeout(timeout);
-          console.error('[VideoEncoder] File worker error:', error);
-          this.fileWorker.terminate();
-          reject(error);
-        };
-      });
+  /**
+   * Cancels the encoding process without producing an output file. The
+   * encoder is closed, the muxer is abandoned without being finalized and
+   * the temporary OPFS file, if any, is closed and deleted by the file worker.
+   */
+  async cancel() {
+    if (this.cancelled) {
+      return;
+    }
+    this.cancelled = true;
 
-      // Get a handle to the temporary file and create a URL for it.
-      const root = await navigator.storage.getDirectory();
-      const fileHandle = await root.getFileHandle(this.tempFileName, {
-        create: false,
-      });
-      const file = await fileHandle.getFile();
-      const url = URL.createObjectURL(file);
-
-      // Create a link to download the file.
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "processed-video.mp4";
-      a.click();
-      URL.revokeObjectURL(url);
-    } else {
-      // If using in-memory storage, assemble the video from the stored chunks.
-      const sortedChunks = this.chunks.sort((a, b) => a.position - b.position);
-      const lastChunk = sortedChunks[sortedChunks.length - 1];
-      const totalSize = lastChunk.position + lastChunk.data.length;
-      const result = new Uint8Array(totalSize);
-      for (const chunk of sortedChunks) {
-        result.set(chunk.data, chunk.position);
-      }
+    // Release any encode() call waiting for the queue to drain.
+    if (this.blockingPromiseResolve) {
+      this.blockingPromiseResolve();
+      this.blockingPromise = null;
+      this.blockingPromiseResolve = null;
+    }
 
-      // Create a Blob from the video data and provide a download link.
-      const blob = new Blob([result], { type: "video/mp4" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "processed-video.mp4";
-      a.click();
-      URL.revokeObjectURL(url);
+    if (this.encoder && this.encoder.state !== "closed") {
+      this.encoder.close();
+    }
+    this.chunks = [];
+    this.audioChunks = null;
+    this.heldVideo = [];
+    this.wakeAudio();
+    this.resolveAudioDone?.();
+
+    if (this.fileWorker) {
+      this.fileWorker.postMessage({ type: "abort" });
+      await this.waitForFileWorker("aborted");
+      this.fileWorker = null;
+    }
+    // Finished parts not handed out yet are discarded as well.
+    await this.pendingOutput.catch(() => {});
+  }
+
+  /**
+   * Finalizes the encoding process. This method flushes any remaining frames
+   * from the encoder and muxer, and then hands the final video file, or the
+   * last part, to the onOutput callback.
+   */
+  async finalize() {
+    // Flush any buffered frames from the encoder and close it. There is no
+    // encoder when the samples were stream-copied.
+    if (this.encoder) {
+      await this.encoder.flush();
+      this.encoder.close();
     }
+    // The audio still to come has no more video to wait for.
+    this.videoMuxedUntil = Infinity;
+    this.wakeAudio();
+    await this.audioDone;
+    this.muxAudioUntil(Infinity);
+    await this.finishPart();
   }
 }
@@ -1,6 +1,67 @@
+/**
+ * Decodes a track matrix (tkhd) into a rotation and a mirroring. Mirrored
+ * matrices, e.g. from front cameras, are a rotation followed by a horizontal
+ * flip of the rotated picture; a vertical flip is the same as a horizontal
+ * flip after a 180 degree rotation.
+ * @param {number[]} matrix - The 3x3 matrix in row-major order, with 16.16
+ *   fixed point values for the 2x2 transformation.
+ * @returns {{rotation: number, flip: {horizontal: boolean, vertical: boolean}}}
+ *   The clockwise rotation in degrees (0, 90, 180 or 270) and the flip.
+ */
+export function orientationFromMatrix(matrix) {
+  const scale = 1 / 65536;
+  const [a, b, , c, d] = matrix.map((val) => val * scale);
+  // With the mirroring taken out, the matrix is a rotation by atan2(b, d).
+  const degrees = Math.round((Math.atan2(b, d) * 180) / Math.PI / 90) * 90;
+  return {
+    rotation: ((degrees % 360) + 360) % 360,
+    flip: { horizontal: a * d - b * c < 0, vertical: false },
+  };
+}
+
+/**
+ * Computes how much a picture must shrink so that, once rotated by a small
+ * angle, it still covers an upright rectangle of its aspect ratio: the
+ * largest such rectangle inside the rotated picture is the output, which has
+ * no empty corners.
+ * @param {number} width - The width of the picture.
+ * @param {number} height - The height of the picture.
+ * @param {number} degrees - The rotation angle in degrees.
+ * @returns {number} The scale of the covered rectangle, 1 without rotation.
+ */
+export function levelFillScale(width, height, degrees) {
+  const angle = (Math.abs(degrees) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return Math.min(
+    width / (width * cos + height * sin),
+    height / (width * sin + height * cos)
+  );
+}
+
+/**
+ * Crops a rectangle around its centre to an aspect ratio, so that scaling it
+ * to a size of that aspect ratio does not stretch the picture.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle.
+ * @param {number} aspect - The width to height ratio to crop to.
+ * @returns {{x: number, y: number, width: number, height: number}} The
+ *   cropped rectangle.
+ */
+export function cropToAspect(rect, aspect) {
+  const { x, y, width, height } = rect;
+  if (width / height > aspect) {
+    const croppedWidth = height * aspect;
+    return { x: x + (width - croppedWidth) / 2, y, width: croppedWidth, height };
+  }
+  const croppedHeight = width / aspect;
+  return { x, y: y + (height - croppedHeight) / 2, width, height: croppedHeight };
+}
+
 /**
  * Handles the rendering of video frames to a canvas, including transformations
- * like zooming and rotation.
+ * like cropping, zooming, animated pan-and-zoom, rotation, flips and horizon
+ * levelling. The picture is scaled to fill the canvas, so the canvas size
+ * sets the output resolution.
  */
 export class VideoFrameRenderer {
   /**
@@ -14,6 +75,11 @@ export class VideoFrameRenderer {
     this.height = 0;
     this.zoom = 1.0;
     this.rotation = 0; // Video rotation in degrees
+    this.flip = { horizontal: false, vertical: false }; // Mirroring of the rotated picture
+    this.levelAngle = 0; // Fine clockwise rotation in degrees of the displayed picture
+    this.crop = null; // Crop rectangle in source pixels, null for the full frame
+    this.fullFrame = false; // Whether to ignore crop and zoom, e.g. while editing the crop
+    this.animation = null; // ViewportAnimation overriding crop and zoom over time, if any
   }
 
   /**
@@ -39,37 +105,160 @@ export class VideoFrameRenderer {
   }
 
   /**
-   * Draws a video frame to the canvas, applying zoom and rotation.
-   * @param {VideoFrame} frame - The video frame to draw.
+   * Updates the flips, which mirror the picture after rotation.
+   * @param {{horizontal: boolean, vertical: boolean}} flip - The flips.
+   */
+  updateFlip(flip) {
+    this.flip = { ...flip };
+  }
+
+  /**
+   * Updates the levelling angle, a fine rotation of the displayed picture,
+   * which is cropped to fill the canvas without empty corners.
+   * @param {number} angle - The clockwise angle in degrees.
    */
-  drawFrame(frame) {
-    this.ctx.save();
+  updateLevelAngle(angle) {
+    this.levelAngle = angle;
+  }
 
-    const canvasWidth = this.ctx.canvas.width;
-    const canvasHeight = this.ctx.canvas.height;
+  /**
+   * Gets the scale from the drawn part of the source to the canvas that
+   * levelling requires, see levelFillScale. The whole frame shown while
+   * editing the crop is not levelled.
+   * @param {{width: number, height: number}} [source=this.getSourceRect()] -
+   *   The drawn part of the source.
+   * @returns {number} The scale, 1 without levelling.
+   */
+  getLevelScale(source = this.getSourceRect()) {
+    if (this.fullFrame || this.levelAngle === 0) {
+      return 1;
+    }
+    return levelFillScale(source.width, source.height, this.levelAngle);
+  }
 
-    // Translate to the center of the canvas to rotate around the center
-    this.ctx.translate(canvasWidth / 2, canvasHeight / 2);
-    this.ctx.rotate((this.rotation * Math.PI) / 180);
+  /**
+   * Updates the crop rectangle.
+   * @param {{x: number, y: number, width: number, height: number}|null} crop -
+   *   The rectangle in source pixels, or null for the full frame.
+   */
+  updateCrop(crop) {
+    this.crop = crop;
+  }
+
+  /**
+   * Sets whether the whole source frame is drawn, ignoring crop and zoom.
+   * @param {boolean} fullFrame - True to draw the whole frame.
+   */
+  setFullFrame(fullFrame) {
+    this.fullFrame = fullFrame;
+  }
+
+  /**
+   * Sets the viewport animation. While it has keyframes, it replaces the
+   * crop and zoom.
+   * @param {ViewportAnimation|null} animation - The animation.
+   */
+  setAnimation(animation) {
+    this.animation = animation;
+  }
+
+  /**
+   * Gets the part of the source frame that is drawn at a time. With viewport
+   * keyframes, the animated viewport is adjusted around its center to the
+   * aspect ratio of the first keyframe, which sets the canvas size, so the
+   * picture is never stretched.
+   * @param {number|null} [timeMs=null] - The frame time in milliseconds, or
+   *   null for the viewport that sets the canvas size.
+   * @returns {{x: number, y: number, width: number, height: number}} The
+   *   rectangle in source pixels.
+   */
+  getSourceRect(timeMs = null) {
+    if (this.fullFrame) {
+      return { x: 0, y: 0, width: this.width, height: this.height };
+    }
+    if (!this.animation || this.animation.isEmpty()) {
+      return this.getStaticSourceRect();
+    }
+    const first = this.animation.keyframes[0].rect;
+    if (timeMs === null) {
+      return { ...first };
+    }
+    const viewport = this.animation.getViewport(timeMs);
+    const width = (viewport.height * first.width) / first.height;
+    return {
+      x: viewport.x + (viewport.width - width) / 2,
+      y: viewport.y,
+      width,
+      height: viewport.height,
+    };
+  }
+
+  /**
+   * Gets the part of the source frame selected by the crop rectangle (or the
+   * full frame), narrowed around its center by the zoom.
+   * @returns {{x: number, y: number, width: number, height: number}} The
+   *   rectangle in source pixels.
+   */
+  getStaticSourceRect() {
+    const base = this.crop ?? { x: 0, y: 0, width: this.width, height: this.height };
+    const width = base.width * this.zoom;
+    const height = base.height * this.zoom;
+    return {
+      x: base.x + (base.width - width) / 2,
+      y: base.y + (base.height - height) / 2,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Draws a video frame to the canvas, applying crop, zoom, rotation, flips
+   * and levelling, and scaling it to the canvas size. A levelled picture is
+   * drawn larger than the canvas so its rotated corners fall outside.
+   * @param {VideoFrame} frame - The video frame to draw.
+   * @param {CanvasRenderingContext2D} [ctx=this.ctx] - The context to draw on,
+   *   of a canvas the size of the output.
+   */
+  drawFrame(frame, ctx = this.ctx) {
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+
+    const canvasWidth = ctx.canvas.width;
+    const canvasHeight = ctx.canvas.height;
+    // The picture is drawn before rotation, so sideways its axes are swapped.
+    const isSideways = this.rotation % 180 !== 0;
+    // A canvas of another aspect ratio, i.e. a custom output size, shows the
+    // centre of the picture instead of stretching it.
+    const source = cropToAspect(
+      this.getSourceRect(frame.timestamp / 1000),
+      isSideways ? canvasHeight / canvasWidth : canvasWidth / canvasHeight
+    );
+    const levelScale = this.getLevelScale(source);
+    const drawWidth = (isSideways ? canvasHeight : canvasWidth) / levelScale;
+    const drawHeight = (isSideways ? canvasWidth : canvasHeight) / levelScale;
 
-    // Calculate the crop dimensions based on the zoom
-    const cropWidth = this.width * this.zoom;
-    const cropHeight = this.height * this.zoom;
-    const cropX = (this.width - cropWidth) / 2;
-    const cropY = (this.height - cropHeight) / 2;
+    // Translate to the center of the canvas to rotate around the center,
+    // level and mirror the rotated picture
+    ctx.translate(canvasWidth / 2, canvasHeight / 2);
+    if (!this.fullFrame) {
+      ctx.rotate((this.levelAngle * Math.PI) / 180);
+    }
+    ctx.scale(this.flip.horizontal ? -1 : 1, this.flip.vertical ? -1 : 1);
+    ctx.rotate((this.rotation * Math.PI) / 180);
 
-    // Draw the frame, cropped and zoomed, centered on the canvas
-    this.ctx.drawImage(
+    // Draw the frame, cropped and zoomed, scaled to fill the canvas
+    ctx.drawImage(
       frame,
-      cropX,
-      cropY,
-      cropWidth,
-      cropHeight,
-      -cropWidth / 2, // Draw at the center of the rotated canvas
-      -cropHeight / 2, // Draw at the center of the rotated canvas
-      cropWidth,
-      cropHeight
+      source.x,
+      source.y,
+      source.width,
+      source.height,
+      -drawWidth / 2, // Draw at the center of the rotated canvas
+      -drawHeight / 2, // Draw at the center of the rotated canvas
+      drawWidth,
+      drawHeight
     );
-    this.ctx.restore();
+    ctx.restore();
   }
 }
@@ -9,12 +9,25 @@ import {
 } from "./logging.js";
 import { SampleManager } from "./sampleManager.js";
 import { VideoDecoder, MP4Demuxer } from "./videoDecoder.js";
+import { MatroskaDemuxer } from "./matroskaDemuxer.js";
+import { FileSequence } from "./fileSequence.js";
 import { PreviewManager } from "./previewManager.js";
-import { UIManager } from "./uiManager.js";
+import {
+  UIManager,
+  kFrameFilterId,
+  kTimestampFilterId,
+} from "./uiManager.js";
 import { ProcessingPipeline } from "./processingPipeline.js";
+import { WorkerPipeline } from "./workerPipeline.js";
 import { VideoProcessorState } from "./videoProcessorState.js";
 import { ErrorHandler } from "./errorHandler.js";
 import { ResourceManager } from "./resourceManager.js";
+import { muxerCodecFromCodecString } from "./codecUtils.js";
+import { orientationFromMatrix } from "./videoFrameRenderer.js";
+import { normalizeSegments, invertSegments } from "./cutList.js";
+import { removeDownloadedTempFiles, removeTempFile } from "./videoEncoder.js";
+
+const kDefaultOutputName = "processed-video";
 
 /**
  * VideoProcessor orchestrates the entire video processing workflow, including UI management,
@@ -43,18 +56,41 @@ export class VideoProcessor {
     this.resourceManager = new ResourceManager();
 
     this.sampleManager = new SampleManager();
+    this.audioSampleManager = new SampleManager();
+    this.audioConfig = null; // Source audio configuration, null without an audio track
+    this.file = null; // The source file
+    this.sequence = null; // Joined source files, null for a single file
     this.timestampProvider = timestampProvider;
     this.isChromeBased = navigator.userAgent.toLowerCase().includes("chrome");
 
     this.startProcessVideoTime = undefined;
+    this.pausedTime = 0; // Time spent paused, excluded from the FPS metric
+    this.pauseStartTime = undefined;
     this.mp4StartTime = undefined;
     this.decoder = null; // For previewing only
     this.previewManager = null;
     this.lastPreviewPercentage = 0.0;
+    this.previewTimeMs = 0; // Time of the frame shown in the preview
 
     // Configuration and state properties
     this.zoom = 1.0;
     this.rotation = 0;
+    this.flip = { horizontal: false, vertical: false }; // Mirroring of the rotated picture
+    this.levelAngle = 0; // Fine rotation in degrees for horizon levelling
+    this.crop = null; // Crop rectangle in source pixels, null for the full frame
+    this.outputSettings = {
+      codec: "avc", // mp4-muxer codec id of the re-encoded video
+      container: "mp4", // 'mp4' or 'webm'
+      trimMode: "smart", // Used when no pixel changes are requested: 'smart' or 'copy'
+      rateControl: { mode: "auto" }, // See ProcessingPipeline's rateControl option
+      gop: { mode: "auto" }, // See VideoEncoder.init's gop option
+      keyframeTimes: [], // Output times in ms that must start with a keyframe
+      outputSize: { preset: "original" }, // See computeOutputDimensions
+      rotationMode: "render", // 'render' draws the rotation, 'metadata' writes it to the MP4 track
+      speed: { factor: 1, method: "drop" }, // See ProcessingPipeline's speed option
+      direction: "forward", // 'forward', 'reverse' or 'boomerang'
+      split: null, // Part limits ({maxDurationMs, maxBytes}), null for one output
+    };
     this.fps = 0;
     this.videoWidth = 0;
     this.videoHeight = 0;
@@ -64,6 +100,10 @@ export class VideoProcessor {
     this.frame_count = 0;
     this.timeRangeStart = undefined;
     this.timeRangeEnd = undefined;
+    this.segments = null; // Kept segments joined into one output, null for a single range
+    this.outputName = kDefaultOutputName; // Output file name without extension
+    this.onOutput = undefined; // Receives the output file, undefined to download it
+    this.batchCancelled = false; // Set by cancel() to stop a batch export
     this.pipeline = null;
 
     // Start periodic cleanup
@@ -73,23 +113,15 @@ export class VideoProcessor {
   }
 
   /**
-   * Sets the initial rotation of the video based on the video's matrix.
+   * Sets the initial rotation and flip of the video from the video's matrix,
+   * including the mirrored matrices of front cameras.
    * @param {number[]} matrix - The video's transformation matrix.
    */
-  setInitialRotation(matrix) {
+  setInitialOrientation(matrix) {
     if (!matrix) return;
 
-    const scale = 1 / 65536;
-    const [a, b, , c, d] = matrix.map((val) => val * scale);
-
-    let rotation = 0;
-    if (a === 0 && b === 1 && c === -1 && d === 0) {
-      rotation = 90;
-    } else if (a === 0 && b === -1 && c === 1 && d === 0) {
-      rotation = -90;
-    } else if (a === -1 && d === -1) {
-      rotation = 180;
-    }
+    const { rotation, flip } = orientationFromMatrix(matrix);
+    this.updateFlip(flip);
     this.updateRotation(rotation);
   }
 
@@ -101,6 +133,15 @@ export class VideoProcessor {
     return this.stateManager.getCurrentState();
   }
 
+  /**
+   * The filter chain every previewed and exported frame is drawn through.
+   * Custom stages registered here run in both paths.
+   * @returns {FilterChain}
+   */
+  get filterChain() {
+    return this.uiManager.filterChain;
+  }
+
   /**
    * Updates the rotation of the video.
    * @param {number} rotation - The new rotation in degrees.
@@ -114,6 +155,33 @@ export class VideoProcessor {
     }
   }
 
+  /**
+   * Updates the flips of the video, which mirror the rotated picture.
+   * @param {{horizontal: boolean, vertical: boolean}} flip - The flips.
+   */
+  async updateFlip(flip) {
+    this.flip = { ...flip };
+    this.uiManager.updateFlip(flip);
+
+    if (this.state === "initialized") {
+      await this.renderSampleInPercentage(this.lastPreviewPercentage);
+    }
+  }
+
+  /**
+   * Updates the levelling angle of the video, a fine rotation of the
+   * displayed picture. The output is cropped to the part without empty corners.
+   * @param {number} angle - The clockwise angle in degrees, within -45..45.
+   */
+  async updateLevelAngle(angle) {
+    this.levelAngle = angle;
+    this.uiManager.updateLevelAngle(angle);
+
+    if (this.state === "initialized") {
+      await this.renderSampleInPercentage(this.lastPreviewPercentage);
+    }
+  }
+
   /**
    * Updates the zoom of the video.
    * @param {number} zoom - The new zoom value.
@@ -127,6 +195,154 @@ export class VideoProcessor {
     }
   }
 
+  /**
+   * Updates the crop rectangle of the video.
+   * @param {{x: number, y: number, width: number, height: number}|null} crop -
+   *   The rectangle in source pixels, or null to keep the full frame.
+   */
+  async updateCrop(crop) {
+    this.crop = crop;
+    this.uiManager.updateCrop(crop);
+
+    if (this.state === "initialized") {
+      await this.renderSampleInPercentage(this.lastPreviewPercentage);
+    }
+  }
+
+  /**
+   * Starts or stops editing the crop. While editing, the preview shows the
+   * whole rotated frame so the crop can be drawn over it.
+   * @param {boolean} editing - Whether the crop is being edited.
+   */
+  async setCropEditing(editing) {
+    this.uiManager.setCropEditing(editing);
+
+    if (this.state === "initialized") {
+      await this.renderSampleInPercentage(this.lastPreviewPercentage);
+    }
+  }
+
+  /**
+   * Gets the crop rectangle in the coordinates of the crop editing preview.
+   * @returns {{rect: Object, width: number, height: number}} The rectangle
+   *   (the whole frame when there is no crop) and the size of the preview.
+   */
+  getCropEditorRect() {
+    const isSideways = this.rotation % 180 !== 0;
+    const crop = this.crop ?? {
+      x: 0,
+      y: 0,
+      width: this.videoWidth,
+      height: this.videoHeight,
+    };
+    return {
+      rect: this.uiManager.sourceToDisplayRect(crop),
+      width: isSideways ? this.videoHeight : this.videoWidth,
+      height: isSideways ? this.videoWidth : this.videoHeight,
+    };
+  }
+
+  /**
+   * Updates the crop from a rectangle drawn on the crop editing preview.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The
+   *   rectangle in preview pixels.
+   */
+  async updateCropFromEditor(rect) {
+    const { x, y, width, height } = this.uiManager.displayToSourceRect(rect);
+    const crop = {
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round(width),
+      height: Math.round(height),
+    };
+    const isFullFrame =
+      crop.x === 0 &&
+      crop.y === 0 &&
+      crop.width === this.videoWidth &&
+      crop.height === this.videoHeight;
+    await this.updateCrop(isFullFrame ? null : crop);
+  }
+
+  /**
+   * Sets a pan-and-zoom keyframe at the frame shown in the preview, with the
+   * viewport of the current crop and zoom. Once keyframes are set they drive
+   * the viewport; the crop and zoom controls then only shape new keyframes.
+   * @param {string} [easing='linear'] - The easing towards the next keyframe:
+   *   'linear' or 'ease-in-out'.
+   */
+  async setViewportKeyframe(easing = "linear") {
+    this.uiManager.viewportAnimation.setKeyframe(
+      this.previewTimeMs,
+      this.uiManager.getStaticViewport(),
+      easing
+    );
+    await this.updateViewportAnimation();
+  }
+
+  /**
+   * Removes the pan-and-zoom keyframe at the frame shown in the preview.
+   * @returns {Promise<boolean>} True if there was a keyframe to remove.
+   */
+  async removeViewportKeyframe() {
+    const removed = this.uiManager.viewportAnimation.removeKeyframeNear(
+      this.previewTimeMs,
+      500 / this.fps // Half a frame
+    );
+    if (removed) {
+      await this.updateViewportAnimation();
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every pan-and-zoom keyframe.
+   */
+  async clearViewportKeyframes() {
+    this.uiManager.viewportAnimation.clear();
+    await this.updateViewportAnimation();
+  }
+
+  /**
+   * Gets the time span of a frame range, e.g. to add it to a cut list.
+   * @param {number} startIndex - Starting frame index
+   * @param {number} endIndex - Ending frame index, clamped to the last frame
+   * @returns {{start: number, end: number}} The times of both frames in ms.
+   */
+  getFrameRangeTimes(startIndex, endIndex) {
+    const samples = this.sampleManager.originalSamples;
+    const last = samples.length - 1;
+    return {
+      start: SampleManager.sampleTimeMs(samples[Math.min(startIndex, last)]),
+      end: SampleManager.sampleTimeMs(samples[Math.min(endIndex, last)]),
+    };
+  }
+
+  /**
+   * Gets the positions of the pan-and-zoom keyframes on the frame slider.
+   * @returns {Array<number>} The positions in percent (0-100).
+   */
+  getViewportKeyframePercentages() {
+    const lastIndex = this.sampleManager.sampleCount() - 1;
+    if (lastIndex <= 0) {
+      return [];
+    }
+    return this.uiManager.viewportAnimation.keyframes.map(
+      ({ timeMs }) => (this.sampleManager.lowerBound(timeMs) / lastIndex) * 100
+    );
+  }
+
+  /**
+   * Applies a change of the pan-and-zoom keyframes to the canvas and preview.
+   * @private
+   */
+  async updateViewportAnimation() {
+    this.uiManager.updateViewportAnimation();
+
+    if (this.state === "initialized") {
+      await this.renderSampleInPercentage(this.lastPreviewPercentage);
+    }
+  }
+
   /**
    * Finalizes the video processing, calculating performance metrics.
    * The pipeline finalizes itself separately.
@@ -135,7 +351,8 @@ export class VideoProcessor {
   async finalize() {
     if (!this.stateManager.isInState("finalized")) {
       const endProcessVideoTime = performance.now();
-      const totalTime = endProcessVideoTime - this.startProcessVideoTime;
+      const totalTime =
+        endProcessVideoTime - this.startProcessVideoTime - this.pausedTime;
       const fps = this.frame_count / (totalTime / 1000);
 
       performanceLog(
@@ -146,9 +363,12 @@ export class VideoProcessor {
 
       this.stateManager.transitionTo("finalized");
       this.stateManager.resolveProcessing();
+      this.uiManager.setPaused(false);
+      this.restorePreview();
 
       // Release the loaded sample data; the index is kept for reprocessing.
       this.sampleManager.releaseSampleData();
+      this.audioSampleManager.releaseSampleData();
 
       infoLog("VideoProcessor", "Video processing finalized", {
         totalTime,
@@ -164,10 +384,24 @@ export class VideoProcessor {
    * @returns {Promise<void>}
    */
   async initFile(file) {
-    // Validate file
-    const validation = this.errorHandler.validateVideoFile(file);
-    if (!validation.isValid) {
-      throw new Error(validation.error);
+    await this.initFiles([file]);
+  }
+
+  /**
+   * Initializes processing for one file, or for several MP4 files joined into
+   * one continuous video, e.g. the segments of a dashcam recording.
+   * @param {Array<File>} files - Video files to process
+   * @param {string} [order='created'] - How several files are joined: 'created'
+   *   by their metadata creation time, 'name' by file name
+   * @returns {Promise<void>}
+   */
+  async initFiles(files, order = "created") {
+    // Validate files
+    for (const file of files) {
+      const validation = this.errorHandler.validateVideoFile(file);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
     }
 
     // Check browser support
@@ -186,12 +420,18 @@ export class VideoProcessor {
 
     this.stateManager.transitionTo("initializing");
     infoLog("VideoProcessor", "Starting file initialization", {
-      fileName: file.name,
-      fileSize: file.size,
+      fileNames: files.map((file) => file.name),
+      fileSize: files.reduce((total, file) => total + file.size, 0),
     });
 
     try {
-      await this.setupDemuxer(file);
+      this.file = files[0];
+      this.sequence = null;
+      if (files.length > 1) {
+        await this.setupSequence(files, order);
+      } else {
+        await this.setupDemuxer(files[0]);
+      }
     } catch (error) {
       this.stateManager.transitionTo("error");
       await this.errorHandler.handleError(error, "file loading", {
@@ -214,6 +454,118 @@ export class VideoProcessor {
     }
   }
 
+  /**
+   * Updates the output settings used by the next export. Settings that are
+   * not given keep their current value.
+   * @param {Object} settings - The settings to change.
+   * @param {string} [settings.codec] - The codec of re-encoded exports, as an
+   *   mp4-muxer codec id: 'avc', 'hevc', 'vp9' or 'av1'.
+   * @param {string} [settings.container] - The output container: 'mp4' or 'webm'.
+   * @param {string} [settings.trimMode] - How exports without pixel changes are
+   *   trimmed: 'smart' re-encodes only the boundary GOPs for a frame-accurate
+   *   trim, 'copy' is a keyframe-aligned stream copy.
+   * @param {Object} [settings.rateControl] - The rate control ({mode, bitrate,
+   *   quantizer, targetSize}); any mode but 'auto' forces a re-encode.
+   * @param {Object} [settings.gop] - The keyframe placement ({mode, length}):
+   *   'auto', 'seconds', 'frames' or 'intra'; any mode but 'auto' forces a re-encode.
+   * @param {Array<number>} [settings.keyframeTimes] - Output times in ms, counted
+   *   from the start of the exported range, at which a keyframe is forced.
+   *   Forcing keyframes implies a re-encode.
+   * @param {Object} [settings.outputSize] - The output size ({preset, width,
+   *   height}): 'original', a resolution preset id or 'custom'; any preset
+   *   but 'original' forces a re-encode.
+   * @param {string} [settings.rotationMode] - How the rotation is applied:
+   *   'render' draws it into the pixels, 'metadata' keeps the pixels as-is and
+   *   writes it to the MP4 track matrix, see getMetadataRotation().
+   * @param {Object} [settings.speed] - The playback speed ({factor, method}),
+   *   see ProcessingPipeline; any factor but 1 forces a re-encode and drops
+   *   the audio.
+   * @param {string} [settings.direction] - The playback direction: 'forward',
+   *   'reverse' or 'boomerang' (forward then backwards); any direction but
+   *   'forward' forces a re-encode and drops the audio.
+   * @param {Object|null} [settings.split] - Splits the output into parts of
+   *   at most `maxDurationMs` and `maxBytes` (0 for no limit), see
+   *   ProcessingPipeline; null exports one file.
+   */
+  setOutputSettings(settings) {
+    this.outputSettings = { ...this.outputSettings, ...settings };
+  }
+
+  /**
+   * Gets the rotation to write to the output track matrix instead of drawing
+   * it. This needs the 'metadata' rotation mode and an MP4 output, and
+   * nothing drawn relative to the rotated picture: flips, levelling, the
+   * timestamp overlay and custom filters keep the rotation drawn.
+   * @returns {number} The rotation in degrees (90, 180 or 270), or 0 if the
+   *   rotation is drawn or there is none.
+   */
+  getMetadataRotation() {
+    if (
+      this.rotation === 0 ||
+      this.outputSettings.rotationMode !== "metadata" ||
+      this.outputSettings.container !== "mp4"
+    ) {
+      return 0;
+    }
+    if (
+      this.flip.horizontal ||
+      this.flip.vertical ||
+      this.levelAngle !== 0 ||
+      this.timestampProvider.isEnabled() ||
+      this.filterChain.hasEnabledFilters([kFrameFilterId, kTimestampFilterId])
+    ) {
+      debugLog("VideoProcessor", "Drawing the rotation, the picture has display-space changes");
+      return 0;
+    }
+    return this.rotation;
+  }
+
+  /**
+   * Restores the preview after an export, whether finalized, cancelled or
+   * failed: the drawn rotation, if the export wrote it to the track matrix,
+   * and the canvas size, which the export set to the output size.
+   * @private
+   */
+  restorePreview() {
+    if (this.uiManager.rotation !== this.rotation) {
+      this.uiManager.updateRotation(this.rotation);
+    }
+    this.uiManager.fitCanvas();
+  }
+
+  /**
+   * Checks whether the export can reuse the source samples: no pixel changes
+   * are requested (no timestamp overlay, custom filter, crop, zoom, pan-and-zoom
+   * keyframes, drawn rotation, levelling, flip, resize, speed or direction
+   * change, joined segments or files), the
+   * bitrate and GOPs are left to the source, the output is an MP4 and the
+   * source codec can be muxed as-is.
+   * @returns {boolean} True if the samples can be remuxed without re-encoding.
+   */
+  canStreamCopy() {
+    return (
+      this.outputSettings.container === "mp4" &&
+      this.outputSettings.rateControl.mode === "auto" &&
+      this.outputSettings.gop.mode === "auto" &&
+      this.outputSettings.keyframeTimes.length === 0 &&
+      this.outputSettings.outputSize.preset === "original" &&
+      this.outputSettings.speed.factor === 1 &&
+      this.outputSettings.direction === "forward" &&
+      this.segments === null &&
+      this.sequence === null &&
+      !this.timestampProvider.isEnabled() &&
+      !this.filterChain.hasEnabledFilters([kFrameFilterId, kTimestampFilterId]) &&
+      this.crop === null &&
+      this.uiManager.viewportAnimation.isEmpty() &&
+      this.zoom === 1 &&
+      (this.rotation === 0 || this.getMetadataRotation() !== 0) &&
+      this.levelAngle === 0 &&
+      !this.flip.horizontal &&
+      !this.flip.vertical &&
+      muxerCodecFromCodecString(this.videoConfig?.codec) !== null
+    );
+  }
+
   /**
    * Processes the initialized file with current configuration
    * @returns {Promise<void>}
@@ -226,30 +578,92 @@ export class VideoProcessor {
     }
 
     await this.waitForPreviousPromise(); // For preview
+    // The outputs downloaded by the last export are read by now.
+    await removeDownloadedTempFiles();
 
     this.frame_count = 0;
-    this.uiManager.updateFrameCount(this.frame_count, this.nb_samples);
+    this.pausedTime = 0;
+    // A boomerang plays every frame twice, except the one it turns around on.
+    const isBoomerang =
+      this.outputSettings.direction === "boomerang" &&
+      this.segments === null &&
+      this.sequence === null;
+    const totalFrames = isBoomerang ? 2 * this.nb_samples - 1 : this.nb_samples;
+    this.uiManager.setPaused(false);
+    // Frames are drawn cropped, not with the crop editing view.
+    this.uiManager.setCropEditing(false);
+    this.uiManager.updateFrameCount(this.frame_count, totalFrames);
     this.uiManager.createTimestampRenderer(
       this.timestampProvider.getUserStartTime(),
       this.mp4StartTime,
-      this.timeRangeStart
+      this.timeRangeStart,
+      this.sequence?.overlayShifts
     );
 
-    this.pipeline = new ProcessingPipeline({
+    const trimMode = this.canStreamCopy()
+      ? this.outputSettings.trimMode
+      : "reencode";
+    infoLog("VideoProcessor", "Starting export", { trimMode });
+    if (trimMode === "copy") {
+      this.uiManager.setStatus("copy", "Copying samples without re-encoding");
+    } else if (trimMode === "smart") {
+      this.uiManager.setStatus("smart", "Re-encoding only the boundary GOPs");
+    }
+
+    // A rotation written to the track matrix is not drawn, so the frames are
+    // rendered upright for the export and the rotation is restored after it.
+    const metadataRotation = this.getMetadataRotation();
+    if (metadataRotation !== 0) {
+      infoLog("VideoProcessor", "Writing the rotation to the track matrix", {
+        rotation: metadataRotation,
+      });
+      this.uiManager.updateRotation(0);
+    }
+
+    const options = {
       onFrameProcessed: () => {
         this.frame_count++;
-        this.uiManager.updateFrameCount(this.frame_count, this.nb_samples);
+        this.uiManager.updateFrameCount(this.frame_count, totalFrames);
       },
       onFinalized: () => this.finalize(),
       sampleManager: this.sampleManager,
+      audioSampleManager: this.audioSampleManager,
+      audioConfig: this.audioConfig,
       uiManager: this.uiManager,
       isChromeBased: this.isChromeBased,
       fps: this.fps,
-    });
+      outputCodec: this.outputSettings.codec,
+      container: this.outputSettings.container,
+      trimMode,
+      rateControl: this.outputSettings.rateControl,
+      gop: this.outputSettings.gop,
+      keyframeTimes: this.outputSettings.keyframeTimes,
+      outputSize: this.outputSettings.outputSize,
+      metadataRotation,
+      speed: this.outputSettings.speed,
+      direction: this.outputSettings.direction,
+      segments: this.segments,
+      durationMs: this.getOutputDurationMs(),
+      outputName: this.outputName,
+      onOutput: this.onOutput,
+      split: this.outputSettings.split,
+      sourceConfigs: this.sequence?.configs ?? null,
+    };
+    // Custom filter stages are functions, which cannot be sent to a worker,
+    // and the worker reads a single source file.
+    const useWorker =
+      WorkerPipeline.isSupported() &&
+      !this.filterChain.hasEnabledFilters([kFrameFilterId, kTimestampFilterId]) &&
+      this.sequence === null;
+    infoLog("VideoProcessor", "Export thread", { worker: useWorker });
+    this.pipeline = useWorker
+      ? new WorkerPipeline({ ...options, file: this.file })
+      : new ProcessingPipeline(options);
 
     try {
       await this.pipeline.setup(this.videoConfig);
     } catch (error) {
+      this.restorePreview();
       await this.errorHandler.handleError(error, "pipeline setup", {
         showToUser: true,
         critical: true,
@@ -274,6 +688,7 @@ export class VideoProcessor {
     try {
       await this.pipeline.start(this.timeRangeStart, this.timeRangeEnd);
     } catch (error) {
+      this.restorePreview();
       this.stateManager.transitionTo("error");
       await this.errorHandler.handleError(error, "processing", {
         showToUser: true,
@@ -286,6 +701,28 @@ export class VideoProcessor {
     }
   }
 
+  /**
+   * Gets the duration of the export. A range ends at the start of its last
+   * frame; joined segments follow each other, and the output plays them at
+   * the requested speed, twice for a boomerang.
+   * @returns {number} The duration in ms.
+   * @private
+   */
+  getOutputDurationMs() {
+    const frameDurationMs = 1000 / this.fps;
+    const ranges = this.segments ?? [{ start: this.timeRangeStart, end: this.timeRangeEnd }];
+    let durationMs = 0;
+    for (const { start, end } of ranges) {
+      durationMs += end - start + frameDurationMs;
+    }
+    if (this.segments) {
+      return durationMs;
+    }
+    const repeat =
+      this.outputSettings.direction === "boomerang" && this.sequence === null ? 2 : 1;
+    return (durationMs / this.outputSettings.speed.factor) * repeat;
+  }
+
   /**
    * Processes file within specified time range
    * @param {number} startMs - Start time in milliseconds
@@ -293,7 +730,9 @@ export class VideoProcessor {
    * @returns {Promise<void>}
    */
   async processFileByTime(startMs, endMs) {
+    this.resetForReprocessing();
     this.startProcessVideoTime = performance.now();
+    this.segments = null;
 
     [this.nb_samples, this.timeRangeStart, this.timeRangeEnd] =
       await this.sampleManager.finalizeTimeRange(startMs, endMs);
@@ -308,7 +747,9 @@ export class VideoProcessor {
    * @returns {Promise<void>}
    */
   async processFileByFrame(startIndex, endIndex) {
+    this.resetForReprocessing();
     this.startProcessVideoTime = performance.now();
+    this.segments = null;
     [this.nb_samples, this.timeRangeStart, this.timeRangeEnd] =
       await this.sampleManager.finalizeSampleInIndex(startIndex, endIndex);
     this.uiManager.updateFrameCount(0, this.nb_samples);
@@ -316,16 +757,235 @@ export class VideoProcessor {
   }
 
   /**
-   * Sets up video processing from a File
-   * @param {File} file - Video file to process
+   * Processes several segments of the file joined into one output, with
+   * continuous timestamps. Each segment is decoded from the keyframe before
+   * it, as with processFileByTime; the timestamp overlay keeps showing the
+   * recording time of each frame.
+   * @param {Array<{start: number, end: number}>} segments - The segments in ms.
+   * @param {string} [mode='keep'] - 'keep' exports the segments, 'remove'
+   *   exports everything but the segments.
    * @returns {Promise<void>}
+   * @throws {Error} If no frame is left to export
+   */
+  async processFileBySegments(segments, mode = "keep") {
+    this.resetForReprocessing();
+    this.startProcessVideoTime = performance.now();
+    const samples = this.sampleManager.originalSamples;
+    const kept =
+      mode === "remove"
+        ? invertSegments(segments, 0, SampleManager.sampleTimeMs(samples[samples.length - 1]) + 1)
+        : normalizeSegments(segments);
+    if (kept.length === 0) {
+      throw new Error("The cut list leaves nothing to export");
+    }
+
+    let ranges;
+    [this.nb_samples, ranges] = await this.sampleManager.finalizeTimeRanges(kept);
+    if (ranges.length === 0) {
+      throw new Error("The cut list leaves nothing to export");
+    }
+    this.timeRangeStart = ranges[0].start;
+    this.timeRangeEnd = ranges[ranges.length - 1].end;
+    this.segments = ranges.length > 1 ? ranges : null;
+    infoLog("VideoProcessor", "Joining segments", { mode, segments: ranges });
+    this.uiManager.updateFrameCount(0, this.nb_samples);
+    await this.processFile();
+  }
+
+  /**
+   * Exports each clip of a clip list as its own file, one after the other.
+   * Every clip is cut from the sample index parsed when the file was opened,
+   * with the current output settings. A clip that leaves the processor in
+   * the 'error' state, or cancel(), stops the batch.
+   * @param {Array<{start: number, end: number, name: string}>} clips - The
+   *   clips in ms with unique file names, see parseClipList.
+   * @param {Function} [onClipStatus] - Called with the clip index and its
+   *   status: 'processing', 'done' (with its outputs, several when split
+   *   into parts), 'failed' (with the error), 'cancelled' or 'skipped'.
+   * @returns {Promise<Array<{name: string, file: Blob, tempFileName: string|null}>>}
+   *   The outputs of the exported clips, in clip order, with the temporary
+   *   OPFS files holding them, which the caller removes once done with them.
+   */
+  async processClips(clips, onClipStatus = () => {}) {
+    const outputs = [];
+    this.batchCancelled = false;
+    infoLog("VideoProcessor", "Starting batch export", { clips: clips.length });
+    try {
+      for (let i = 0; i < clips.length; i++) {
+        if (this.batchCancelled) {
+          onClipStatus(i, "skipped");
+          continue;
+        }
+        const { start, end, name } = clips[i];
+        const clipOutputs = [];
+        this.outputName = name;
+        this.onOutput = (file, fileName, tempFileName) =>
+          clipOutputs.push({ name: fileName, file, tempFileName });
+        onClipStatus(i, "processing");
+        try {
+          await this.processFileByTime(start, end);
+        } catch (error) {
+          errorLog("VideoProcessor", `Failed to export clip ${name}`, error);
+          await this.removeOutputs(clipOutputs);
+          onClipStatus(i, "failed", error);
+          this.batchCancelled ||= this.stateManager.isInState("error");
+          continue;
+        }
+        // The parts handed out before a cancel are dropped with the clip.
+        if (this.stateManager.isInState("finalized")) {
+          outputs.push(...clipOutputs);
+          onClipStatus(i, "done", clipOutputs);
+        } else {
+          await this.removeOutputs(clipOutputs);
+          onClipStatus(i, "cancelled");
+        }
+      }
+    } finally {
+      this.outputName = kDefaultOutputName;
+      this.onOutput = undefined;
+    }
+    infoLog("VideoProcessor", "Batch export finished", {
+      exported: outputs.length,
+      clips: clips.length,
+    });
+    return outputs;
+  }
+
+  /**
+   * Removes the temporary files of dropped outputs.
+   * @param {Array<{tempFileName: string|null}>} outputs - The outputs.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeOutputs(outputs) {
+    for (const { tempFileName } of outputs) {
+      if (tempFileName) {
+        await removeTempFile(tempFileName);
+      }
+    }
+  }
+
+  /**
+   * Cancels the export in progress. Chunk dispatch stops, the pipeline's
+   * decoder and encoder are torn down, the temporary output file is deleted,
+   * and the processor returns to the 'initialized' state so the range and
+   * settings can be adjusted before exporting again. A batch export stops
+   * before its next clip.
+   * @returns {Promise<boolean>} True if an export was cancelled.
+   */
+  async cancel() {
+    this.batchCancelled = true;
+    const isActive =
+      this.stateManager.isProcessing() || this.stateManager.isPaused();
+    if (!isActive || !this.pipeline) {
+      return false;
+    }
+
+    infoLog("VideoProcessor", "Cancelling video processing", {
+      frameCount: this.frame_count,
+    });
+
+    await this.pipeline.cancel();
+    this.pipeline = null;
+
+    // Drop the loaded sample data and restore the full index for the preview.
+    this.sampleManager.releaseSampleData();
+    this.audioSampleManager.releaseSampleData();
+    this.sampleManager.resetForReprocessing();
+
+    this.stateManager.transitionTo("initialized");
+    this.stateManager.resolveProcessing();
+    this.uiManager.setPaused(false);
+    this.restorePreview();
+    this.uiManager.setStatus("cancel", "Processing cancelled");
+    return true;
+  }
+
+  /**
+   * Pauses the export in progress. Chunk dispatch stops and the queued
+   * frames drain, while the muxer and the output file stay open.
+   * @returns {boolean} True if the export was paused.
+   */
+  pause() {
+    if (!this.stateManager.isProcessing() || !this.pipeline?.pause()) {
+      return false;
+    }
+    this.pauseStartTime = performance.now();
+    this.stateManager.transitionTo("paused");
+    this.uiManager.setPaused(true);
+    this.uiManager.setStatus("pause", "Processing paused");
+    return true;
+  }
+
+  /**
+   * Resumes a paused export from where dispatch stopped.
+   * @returns {boolean} True if the export was resumed.
+   */
+  resume() {
+    if (!this.stateManager.isPaused() || !this.pipeline?.resume()) {
+      return false;
+    }
+    this.pausedTime += performance.now() - this.pauseStartTime;
+    this.pauseStartTime = undefined;
+    this.stateManager.transitionTo("processing");
+    this.uiManager.setPaused(false);
+    this.uiManager.setStatus("encode", "Processing resumed");
+    return true;
+  }
+
+  /**
+   * Checks if an export is currently paused.
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.stateManager.isPaused();
+  }
+
+  /**
+   * Sets up video processing from a File. WebM/Matroska files are recognized
+   * by their EBML signature; anything else is demuxed as MP4.
+   * @param {File} file - Video file to process
+   * @returns {Promise<void>} Resolves once the file is demuxed; the setup
+   *   with its configuration goes on from there.
+   * @throws {Error} If the file cannot be demuxed.
    */
   async setupDemuxer(file) {
-    this.demuxer = new MP4Demuxer(file, {
-      onConfig: (config) => this.setup(config),
+    const Demuxer = (await MatroskaDemuxer.isMatroska(file))
+      ? MatroskaDemuxer
+      : MP4Demuxer;
+    await new Promise((resolve, reject) => {
+      this.demuxer = new Demuxer(file, {
+        onConfig: (config) => {
+          resolve();
+          return this.setup(config);
+        },
+        onAudioConfig: (config) => {
+          this.audioConfig = config;
+        },
+        setStatus: (phase, message) => this.uiManager.setStatus(phase, message),
+        onError: reject,
+        sampleManager: this.sampleManager,
+        audioSampleManager: this.audioSampleManager,
+      });
+    });
+  }
+
+  /**
+   * Sets up video processing from several MP4 files joined into one video.
+   * @param {Array<File>} files - Video files to join
+   * @param {string} order - 'created' or 'name', see initFiles
+   * @returns {Promise<void>}
+   */
+  async setupSequence(files, order) {
+    this.sequence = new FileSequence(files, {
+      order,
       setStatus: (phase, message) => this.uiManager.setStatus(phase, message),
       sampleManager: this.sampleManager,
+      audioSampleManager: this.audioSampleManager,
     });
+    const { videoConfig, audioConfig } = await this.sequence.open();
+    this.audioConfig = audioConfig;
+    await this.setup(videoConfig);
   }
 
   /**
@@ -352,6 +1012,9 @@ export class VideoProcessor {
       // Setup decoder for previewing
       await this.setupPreviewDecoder(config);
 
+      this.crop = null;
+      this.flip = { horizontal: false, vertical: false };
+      this.levelAngle = 0;
       this.uiManager.setup(
         this.videoWidth,
         this.videoHeight,
@@ -359,7 +1022,7 @@ export class VideoProcessor {
         this.zoom,
         this.rotation
       );
-      this.setInitialRotation(this.matrix);
+      this.setInitialOrientation(this.matrix);
 
       this.frame_count = 0;
       this.uiManager.updateFrameCount(0, 0); // Initially 0 samples
@@ -441,7 +1104,12 @@ export class VideoProcessor {
         frame,
         (f) => {
           this.previewManager.drawPreview(f, (drawFrame) =>
-            this.uiManager.drawFrame(drawFrame)
+            this.uiManager.renderFrame(drawFrame, {
+              mode: "preview",
+              fps: this.fps,
+              width: this.uiManager.canvas.width,
+              height: this.uiManager.canvas.height,
+            })
           );
         },
         "preview"
@@ -470,6 +1138,7 @@ export class VideoProcessor {
     try {
       // Phase 1: Prepare preview (loads the sample data on demand) and get handle
       const previewHandle = await this.previewManager.preparePreview(percentage);
+      this.previewTimeMs = previewHandle;
       await this.waitForPreviousPromise();
 
       // A newer preview request arrived while waiting; skip decoding this one.
@@ -477,8 +1146,11 @@ export class VideoProcessor {
         return;
       }
 
-      // Reset the decoder so chunks from a previous position are not reused.
-      await this.decoder.resetAndConfigure(this.videoConfig);
+      // Reset the decoder so chunks from a previous position are not reused,
+      // configuring it for the joined file the preview comes from.
+      const config =
+        this.sequence?.configFor(this.previewManager.samples[0]) ?? this.videoConfig;
+      await this.decoder.resetAndConfigure(config);
 
       // Phase 2: start preview decoding
       const previewPromise = this.previewManager.executePreview(previewHandle);
@@ -14,7 +14,9 @@ export class VideoProcessorState {
       idle: ["initializing", "error"],
       initializing: ["initialized", "error"],
       initialized: ["processing", "finalized", "error"],
-      processing: ["finalized", "error"],
+      processing: ["finalized", "paused", "initialized", "error"],
+      // A worker export can finish before it receives a pause request.
+      paused: ["processing", "finalized", "initialized", "error"],
       finalized: ["initialized", "idle"],
       error: ["idle", "initializing"],
     };
@@ -64,6 +66,14 @@ export class VideoProcessorState {
     return this.currentState === "processing";
   }
 
+  /**
+   * Checks if the processor is paused in the middle of processing.
+   * @returns {boolean} - True if paused
+   */
+  isPaused() {
+    return this.currentState === "paused";
+  }
+
   /**
    * Checks if the processor is initialized.
    * @returns {boolean} - True if initialized
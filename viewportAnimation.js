@@ -0,0 +1,108 @@
+/**
+ * Easing curves for the transition from a keyframe to the next, mapping the
+ * elapsed fraction of the transition to the fraction of the movement.
+ */
+export const kEasings = {
+  linear: (t) => t,
+  "ease-in-out": (t) => t * t * (3 - 2 * t),
+};
+
+/**
+ * Animates the viewport, the part of the source frame that is drawn, with
+ * keyframes over time (pan-and-zoom). Between two keyframes the viewport is
+ * interpolated with the easing of the first; before the first and after the
+ * last keyframe it holds still.
+ */
+export class ViewportAnimation {
+  /**
+   * Initializes an animation without keyframes.
+   */
+  constructor() {
+    // Keyframes sorted by time: {timeMs, rect: {x, y, width, height}, easing}
+    this.keyframes = [];
+  }
+
+  /**
+   * Checks whether the animation has keyframes.
+   * @returns {boolean} True if there are no keyframes.
+   */
+  isEmpty() {
+    return this.keyframes.length === 0;
+  }
+
+  /**
+   * Sets the viewport at a time, replacing any keyframe already at that time.
+   * @param {number} timeMs - The source time in milliseconds.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The
+   *   viewport in source pixels.
+   * @param {string} [easing='linear'] - The easing towards the next keyframe,
+   *   a key of kEasings.
+   */
+  setKeyframe(timeMs, rect, easing = "linear") {
+    this.keyframes = this.keyframes.filter((keyframe) => keyframe.timeMs !== timeMs);
+    this.keyframes.push({ timeMs, rect: { ...rect }, easing });
+    this.keyframes.sort((a, b) => a.timeMs - b.timeMs);
+  }
+
+  /**
+   * Removes the keyframe closest to a time, if it is close enough.
+   * @param {number} timeMs - The source time in milliseconds.
+   * @param {number} toleranceMs - How far the keyframe may be from the time.
+   * @returns {boolean} True if a keyframe was removed.
+   */
+  removeKeyframeNear(timeMs, toleranceMs) {
+    let closest = -1;
+    for (let i = 0; i < this.keyframes.length; i++) {
+      const distance = Math.abs(this.keyframes[i].timeMs - timeMs);
+      if (
+        distance <= toleranceMs &&
+        (closest < 0 || distance < Math.abs(this.keyframes[closest].timeMs - timeMs))
+      ) {
+        closest = i;
+      }
+    }
+    if (closest < 0) {
+      return false;
+    }
+    this.keyframes.splice(closest, 1);
+    return true;
+  }
+
+  /**
+   * Removes every keyframe.
+   */
+  clear() {
+    this.keyframes = [];
+  }
+
+  /**
+   * Computes the viewport at a time.
+   * @param {number} timeMs - The source time in milliseconds.
+   * @returns {{x: number, y: number, width: number, height: number}|null} The
+   *   viewport in source pixels, or null without keyframes.
+   */
+  getViewport(timeMs) {
+    if (this.isEmpty()) {
+      return null;
+    }
+    const next = this.keyframes.findIndex((keyframe) => keyframe.timeMs > timeMs);
+    if (next === 0) {
+      return { ...this.keyframes[0].rect };
+    }
+    if (next < 0) {
+      return { ...this.keyframes[this.keyframes.length - 1].rect };
+    }
+
+    const from = this.keyframes[next - 1];
+    const to = this.keyframes[next];
+    const ease = kEasings[from.easing] ?? kEasings.linear;
+    const t = ease((timeMs - from.timeMs) / (to.timeMs - from.timeMs));
+    const lerp = (a, b) => a + (b - a) * t;
+    return {
+      x: lerp(from.rect.x, to.rect.x),
+      y: lerp(from.rect.y, to.rect.y),
+      width: lerp(from.rect.width, to.rect.width),
+      height: lerp(from.rect.height, to.rect.height),
+    };
+  }
+}
@@ -13,7 +13,7 @@ export default {
   output: {
     filename: "bundle.js",
     path: path.resolve(__dirname, "dist"),
-    sourceMapFilename: "bundle.js.map",
+    sourceMapFilename: "[file].map",
   },
   module: {
     rules: [
@@ -0,0 +1,245 @@
+import { infoLog, warnLog } from "./logging.js";
+import { downloadFile } from "./videoEncoder.js";
+
+/**
+ * WorkerPipeline runs the ProcessingPipeline in a dedicated worker, so
+ * decoding, rendering and encoding stay off the main thread. It has the
+ * interface of ProcessingPipeline: the finalized samples are transferred to
+ * the worker on setup, and the worker reports its status, progress and the
+ * output file back through messages.
+ */
+export class WorkerPipeline {
+  /**
+   * Checks whether the browser can run the export in a worker, which needs
+   * OffscreenCanvas to render the frames.
+   * @returns {boolean} True if a worker export is possible.
+   */
+  static isSupported() {
+    return typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined";
+  }
+
+  /**
+   * Creates a new WorkerPipeline instance.
+   * @param {Object} options - The options of ProcessingPipeline, plus the source file.
+   * @param {File} options.file - The source file, read by the worker for the audio.
+   * @param {Function} options.onFrameProcessed - Callback executed for each processed frame.
+   * @param {Function} options.onFinalized - Callback executed when processing is complete.
+   * @param {SampleManager} options.sampleManager - The manager for video samples,
+   *   whose finalized samples are handed to the worker.
+   * @param {SampleManager} [options.audioSampleManager] - The manager for audio samples.
+   * @param {Object|null} [options.audioConfig] - The source audio configuration, if any.
+   * @param {UIManager} options.uiManager - The manager whose render state the
+   *   worker reproduces, and which displays the status.
+   * @param {Function} [options.onOutput=downloadFile] - Receives the output
+   *   file sent back by the worker, its suggested name and its temporary
+   *   OPFS file name, see VideoEncoder.
+   */
+  constructor({
+    file,
+    onFrameProcessed,
+    onFinalized,
+    sampleManager,
+    audioSampleManager = null,
+    audioConfig = null,
+    uiManager,
+    onOutput = downloadFile,
+    ...options
+  }) {
+    this.file = file;
+    this.onOutput = onOutput; // Receives the output file sent back by the worker
+    this.onFrameProcessed = onFrameProcessed;
+    this.onFinalized = onFinalized;
+    this.sampleManager = sampleManager;
+    this.audioSampleManager = audioSampleManager;
+    this.audioConfig = audioConfig;
+    this.uiManager = uiManager;
+    this.options = options; // The remaining ProcessingPipeline options
+
+    this.worker = null;
+    this.state = "idle"; // 'idle', 'ready', 'processing', 'paused', 'finalized', 'cancelled'
+    this.pending = null; // {resolve, reject} of the setup, start or cancel awaiting the worker
+  }
+
+  /**
+   * Starts the worker and sets up its pipeline. The finalized video samples
+   * are moved to the worker and released here.
+   * @param {Object} config - The video configuration object from the demuxer.
+   */
+  async setup(config) {
+    this.worker = new Worker(new URL("./exportWorker.js", import.meta.url));
+    this.worker.onmessage = (e) => this.handleMessage(e.data);
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this.settle(new Error(`Export worker error: ${e.message}`));
+    };
+
+    const { samples, buffer } = this.sampleManager.takeFinalizedSamples();
+    const audioIndex =
+      this.audioConfig && this.audioSampleManager?.originalSamples
+        ? this.audioSampleManager.originalSamples.map(({ data, ...entry }) => entry)
+        : null;
+    const ready = this.waitForWorker();
+    this.worker.postMessage(
+      {
+        type: "setup",
+        data: {
+          file: this.file,
+          videoConfig: config,
+          samples,
+          audioConfig: this.audioConfig,
+          audioIndex,
+          renderState: this.uiManager.getRenderState(),
+          options: this.options,
+        },
+      },
+      [buffer]
+    );
+    try {
+      await ready;
+    } catch (error) {
+      this.terminate();
+      throw error;
+    }
+    this.state = "ready";
+    infoLog("WorkerPipeline", "Export worker ready", { samples: samples.length });
+  }
+
+  /**
+   * Starts the video processing in the worker.
+   * @param {number} timeRangeStart - The start of the processing time range in ms.
+   * @param {number} timeRangeEnd - The end of the processing time range in ms.
+   * @returns {Promise<void>} Resolves once the output is finalized or the
+   *   processing is cancelled.
+   */
+  async start(timeRangeStart, timeRangeEnd) {
+    if (this.state !== "ready") {
+      throw new Error("Pipeline is not ready to start processing.");
+    }
+    this.state = "processing";
+    const done = this.waitForWorker();
+    this.worker.postMessage({
+      type: "start",
+      data: { timeRangeStart, timeRangeEnd },
+    });
+    try {
+      await done;
+    } finally {
+      this.terminate();
+    }
+  }
+
+  /**
+   * Pauses the processing in the worker.
+   * @returns {boolean} True if the pipeline was paused.
+   */
+  pause() {
+    if (this.state !== "processing") {
+      return false;
+    }
+    this.state = "paused";
+    this.worker.postMessage({ type: "pause" });
+    return true;
+  }
+
+  /**
+   * Resumes a paused processing in the worker.
+   * @returns {boolean} True if the pipeline was resumed.
+   */
+  resume() {
+    if (this.state !== "paused") {
+      return false;
+    }
+    this.state = "processing";
+    this.worker.postMessage({ type: "resume" });
+    return true;
+  }
+
+  /**
+   * Cancels the processing. The worker discards the partial output before
+   * it is terminated. Resolves the promise returned by start().
+   */
+  async cancel() {
+    if (!this.worker || this.state === "finalized" || this.state === "cancelled") {
+      return;
+    }
+    infoLog("WorkerPipeline", "Cancelling processing");
+    const processing = this.pending;
+    this.state = "cancelled";
+    const cancelled = this.waitForWorker();
+    this.worker.postMessage({ type: "cancel" });
+    try {
+      await cancelled;
+    } catch (error) {
+      warnLog("WorkerPipeline", "Export worker failed while cancelling", error);
+    }
+    processing?.resolve();
+    this.terminate();
+  }
+
+  /**
+   * Creates the promise settled by the next 'ready', 'finalized',
+   * 'cancelled' or 'error' message of the worker.
+   * @returns {Promise<void>}
+   * @private
+   */
+  waitForWorker() {
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  /**
+   * Settles the pending promise, if any.
+   * @param {Error} [error] - The error to reject it with; it is resolved otherwise.
+   * @private
+   */
+  settle(error) {
+    const pending = this.pending;
+    this.pending = null;
+    if (error) {
+      pending?.reject(error);
+    } else {
+      pending?.resolve();
+    }
+  }
+
+  /**
+   * Handles a message from the worker.
+   * @param {Object} message - The message ({type, data}).
+   * @private
+   */
+  handleMessage({ type, data }) {
+    switch (type) {
+      case "status":
+        this.uiManager.setStatus(data.phase, data.message);
+        break;
+      case "progress":
+        this.onFrameProcessed();
+        break;
+      case "output":
+        this.onOutput(data.file, data.name, data.tempFileName);
+        break;
+      case "finalized":
+        this.state = "finalized";
+        this.onFinalized();
+        this.settle();
+        break;
+      case "ready":
+      case "cancelled":
+        this.settle();
+        break;
+      case "error":
+        this.settle(new Error(data.message));
+        break;
+    }
+  }
+
+  /**
+   * Stops the worker.
+   * @private
+   */
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}